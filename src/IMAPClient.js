@@ -1,7 +1,90 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { EventEmitter } from "events";
 import { simpleParser } from "mailparser";
 import net from "net";
+import { pipeline as pipelineCallback } from "stream";
 import tls from "tls";
+import { promisify } from "util";
+import { FileCacheAdapter, MemoryCacheAdapter } from "./cache.js";
+import TransferDecoder from "./decoder.js";
+import IMAPEncoder from "./encoder.js";
+import {
+    AbortError,
+    AuthenticationError,
+    ConnectionError,
+    IMAPBadError,
+    IMAPByeError,
+    IMAPError,
+    IMAPNoError,
+    TimeoutError,
+    UIDValidityError
+} from "./errors.js";
+import { ConsoleLogger, IMAPRedactor, TranscriptRecorder } from "./logger.js";
 import IMAPParser from "./parser.js";
+import ResponseReader from "./reader.js";
+import IMAPSearch from "./search.js";
+import IMAPSort from "./sort.js";
+import IMAPThread from "./thread.js";
+import ModifiedUTF7 from "./utf7.js";
+
+// stream/promises only exists from Node 15 on
+const pipeline = promisify(pipelineCallback);
+
+// Commands that can safely be sent again after the connection dropped mid-flight
+const IDEMPOTENT_COMMANDS = ['CAPABILITY', 'NOOP', 'CHECK', 'LIST', 'LSUB', 'STATUS', 'SELECT', 'EXAMINE', 'SEARCH', 'FETCH'];
+
+// Untagged responses that report mailbox changes, and the commands whose results
+// include them. Arriving during any other command they only update `mailbox`.
+const MAILBOX_UPDATES = {
+    EXISTS: ['SELECT', 'EXAMINE'],
+    RECENT: ['SELECT', 'EXAMINE'],
+    FLAGS: ['SELECT', 'EXAMINE'],
+    EXPUNGE: ['EXPUNGE', 'MOVE'],
+    // Replaces EXPUNGE once QRESYNC is enabled
+    VANISHED: ['SELECT', 'EXAMINE', 'FETCH', 'EXPUNGE', 'MOVE'],
+    FETCH: ['FETCH', 'STORE', 'SELECT', 'EXAMINE'],
+    // Status responses with HIGHESTMODSEQ, UIDNEXT, UIDVALIDITY or PERMANENTFLAGS
+    CODE: ['SELECT', 'EXAMINE']
+};
+
+// Response codes in untagged OK responses that describe the selected mailbox
+const MAILBOX_CODES = ['HIGHESTMODSEQ', 'UIDNEXT', 'UIDVALIDITY', 'PERMANENTFLAGS'];
+
+// Commands that change the connection or mailbox state, or expunge messages so
+// that sequence numbers in later commands would be ambiguous; they run alone
+const BARRIER_COMMANDS = [
+    'STARTTLS', 'LOGIN', 'AUTHENTICATE', 'ENABLE', 'COMPRESS', 'SELECT', 'EXAMINE',
+    'CLOSE', 'UNSELECT', 'IDLE', 'EXPUNGE', 'MOVE', 'LOGOUT'
+];
+
+// Untagged responses that carry the results of each command. They go to the
+// command in flight that returns them, so a command is not pipelined while
+// another that returns any of the same responses is still running.
+const COMMAND_RESULTS = {
+    SEARCH: ['SEARCH', 'ESEARCH'],
+    SORT: ['SORT', 'ESEARCH'],
+    THREAD: ['THREAD'],
+    FETCH: ['FETCH', 'VANISHED'],
+    STORE: ['FETCH'],
+    LIST: ['LIST'],
+    LSUB: ['LSUB'],
+    STATUS: ['STATUS'],
+    NAMESPACE: ['NAMESPACE'],
+    GETQUOTA: ['QUOTA'],
+    GETQUOTAROOT: ['QUOTAROOT', 'QUOTA'],
+    CAPABILITY: ['CAPABILITY'],
+    ID: ['ID']
+};
+
+// Records fetchMessages() buffers before it stops reading from the socket until
+// the loop consuming them catches up; reading resumes below half of it
+const FETCH_HIGH_WATER_MARK = 100;
+
+// Marks the commands that restore a session, which must not wait for the restore
+const sessionRestore = new AsyncLocalStorage();
+
+// Carries the `signal` and `timeout` of a public method call to the commands it sends
+const callOptions = new AsyncLocalStorage();
 
 /**
  * @class IMAPClient
@@ -9,320 +92,3220 @@ import IMAPParser from "./parser.js";
  * @param {Object} options - Configuration options for IMAP connection
  * @param {string} options.host - IMAP server hostname
  * @param {number} options.port - IMAP server port
- * @param {boolean} [options.secure=true] - Use TLS/SSL connection
- * @param {boolean} [options.debug=false] - Enable debug logging
+ * @param {boolean} [options.starttls=false] - Connect in plaintext and upgrade with STARTTLS
+ * @param {boolean} [options.secure=!starttls] - Use implicit TLS/SSL connection
+ * @param {Object} [options.tls] - TLS options for implicit TLS and STARTTLS
+ * @param {boolean} [options.tls.rejectUnauthorized=true] - Reject certificates that fail verification
+ * @param {string|Buffer|Array} [options.tls.ca] - CA bundle to trust
+ * @param {string} [options.tls.servername] - SNI server name, defaults to host
+ * @param {string|Buffer} [options.tls.cert] - Client certificate chain
+ * @param {string|Buffer} [options.tls.key] - Client private key
+ * @param {string|Buffer} [options.tls.pfx] - Client PFX/PKCS12 bundle
+ * @param {string} [options.tls.passphrase] - Passphrase for key or pfx
+ * @param {string} [options.tls.minVersion] - Minimum TLS version, e.g. 'TLSv1.2'
+ * @param {string[]} [options.tls.fingerprints] - Pinned SHA-256 certificate fingerprints
+ * @param {number} [options.idleInterval=1680000] - Re-issue IDLE after this many
+ * milliseconds, keeping under the server's 29-minute limit
+ * @param {number} [options.pollInterval=60000] - NOOP polling interval used by idle()
+ * when the server lacks IDLE
+ * @param {number} [options.commandTimeout=60000] - Fail a command when the server sends
+ * nothing for this many milliseconds; 0 disables. Every public method also accepts a
+ * `timeout` and an AbortSignal `signal` in its options.
+ * @param {number} [options.keepAlive=60000] - TCP keepalive initial delay in milliseconds; 0 disables
+ * @param {number} [options.heartbeatInterval=0] - Send NOOP after this many milliseconds
+ * without traffic to detect dead connections; 0 disables
+ * @param {boolean|Object} [options.reconnect=false] - Reconnect and restore the session
+ * when the connection drops; true uses the defaults below
+ * @param {number} [options.reconnect.retries=10] - Attempts before giving up
+ * @param {number} [options.reconnect.minDelay=1000] - Delay before the first attempt in milliseconds
+ * @param {number} [options.reconnect.maxDelay=30000] - Upper bound for the delay
+ * @param {number} [options.reconnect.factor=2] - Growth of the delay per attempt
+ * @param {number} [options.reconnect.jitter=0.2] - Random spread of each delay, as a fraction
+ * @param {boolean|Object} [options.pipelining=false] - Send commands without waiting for
+ * the previous one to complete; true uses the default depth
+ * @param {number} [options.pipelining.maxInFlight=10] - Most commands awaiting completion at once
+ * @param {CacheAdapter} [options.cache] - Keeps envelopes, flags, body structures and raw
+ * messages by mailbox, UIDVALIDITY and UID, and serves UID reads from it; see
+ * MemoryCacheAdapter and FileCacheAdapter
+ * @param {boolean} [options.offline=false] - Serve fetchEmail() and fetchEmailBody() from
+ * the cache only, without contacting the server
+ * @param {Logger} [options.logger] - Receives structured log records, e.g. a pino logger;
+ * see Logger in logger.js
+ * @param {boolean} [options.redact=true] - Hide passwords, SASL responses and literal
+ * contents in logs and transcripts
+ * @param {string|Transcript} [options.transcript] - File to append the wire traffic to,
+ * or a TranscriptRecorder
+ * @param {boolean} [options.debug=false] - Print all log records to the console when no
+ * logger is given
+ * @fires IMAPClient#exists
+ * @fires IMAPClient#expunge
+ * @fires IMAPClient#flags
+ * @fires IMAPClient#reconnecting
+ * @fires IMAPClient#reconnected
+ * @fires IMAPClient#error
  */
-class IMAPClient {
-    constructor({ host, port, secure = true, debug = false }) {
+class IMAPClient extends EventEmitter {
+    constructor({
+        host,
+        port,
+        starttls = false,
+        secure = !starttls,
+        tls: tlsOptions = {},
+        idleInterval = 28 * 60 * 1000,
+        pollInterval = 60 * 1000,
+        commandTimeout = 60 * 1000,
+        keepAlive = 60 * 1000,
+        heartbeatInterval = 0,
+        reconnect = false,
+        pipelining = false,
+        cache = null,
+        offline = false,
+        logger = null,
+        redact = true,
+        transcript = null,
+        debug = false
+    }) {
+        super();
+        if (secure && starttls) {
+            throw new Error('The secure and starttls options are mutually exclusive');
+        }
+
         this.host = host;
         this.port = port;
         this.secure = secure;
+        this.starttls = starttls;
+        this.tlsOptions = tlsOptions;
+        this.idleInterval = idleInterval;
+        this.pollInterval = pollInterval;
+        this.commandTimeout = commandTimeout;
+        this.keepAlive = keepAlive;
+        this.heartbeatInterval = heartbeatInterval;
+        this.reconnectOptions = reconnect ? {
+            retries: 10,
+            minDelay: 1000,
+            maxDelay: 30 * 1000,
+            factor: 2,
+            jitter: 0.2,
+            ...(reconnect === true ? {} : reconnect)
+        } : null;
+        this.maxInFlight = pipelining ? Math.max(1, (pipelining === true ? {} : pipelining).maxInFlight || 10) : 1;
+        this.cache = cache;
+        this.offline = offline;
+        this.cacheQueue = Promise.resolve();
+        this.cacheUnverified = null;
         this.debug = debug;
+        this.logger = logger || (debug ? new ConsoleLogger() : null);
+        this.redact = redact;
+        this.transcript = typeof transcript === 'string' ? new TranscriptRecorder(transcript) : transcript;
         this.socket = null;
         this.connected = false;
+        this.greeting = null;
+        this.bye = null;
+        this.pendingGreeting = null;
+        this.preauth = false;
+        this.capabilities = [];
+        this.utf8Enabled = false;
+        this.qresyncEnabled = false;
         this.commandCounter = 0;
-        this.responseBuffer = '';
+        this.reader = new ResponseReader();
         this.commandQueue = [];
+        this.inFlight = [];
         this.currentCommand = null;
+        this.mailbox = null;
+        this.idleState = null;
+        this.credentials = null;
+        this.reconnecting = null;
+        this.established = false;
+        this.closing = false;
+        this.heartbeat = null;
+        this.lastActivity = 0;
         this.emailBuffer = [];
+        this.handleRawResponse = this.handleRawResponse.bind(this);
+        this.handleClose = this.handleClose.bind(this);
     }
 
 
-    log(...args) {
-        if (this.debug) {
-            console.log(...args);
+    /**
+     * Logs a message and the values it describes at debug level
+     * @param {string} message - Message, e.g. `'Mailboxes:'`
+     * @param {...*} details - Values logged as `data`, or an error logged as `err`
+     */
+    log(message, ...details) {
+        const [detail] = details;
+        let fields = {};
+        if (detail instanceof Error) {
+            fields = { err: detail };
+        } else if (details.length) {
+            fields = { data: details.length === 1 ? detail : details };
         }
+        this._log('debug', String(message).replace(/:$/, ''), fields);
     }
 
     /**
-    * Establishes a connection to the IMAP server
-    * @async
-    * @returns {Promise<string>} Connection status message
-    * @throws {Error} If connection fails
-    */
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const connectionOptions = {
-                host: this.host,
-                port: this.port,
-                rejectUnauthorized: false
-            };
-
-            const socket = this.secure
-                ? tls.connect(connectionOptions, () => {
-                    this.socket = socket;
-                    this.socket.setEncoding('utf8');
-                    this.socket.on('data', this.handleRawResponse.bind(this));
-                    this.socket.on('close', () => {
-                        this.connected = false;
-                        this.log('Connection closed');
-                    });
-                    this.connected = true;
-                    resolve('Connected successfully');
-                })
-                : net.createConnection(connectionOptions, () => {
-                    this.socket = socket;
-                    this.socket.setEncoding('utf8');
-                    this.socket.on('data', this.handleRawResponse.bind(this));
-                    this.socket.on('close', () => {
-                        this.connected = false;
-                        this.log('Connection closed');
-                    });
-                    this.connected = true;
-                    resolve('Connected successfully');
-                });
-
-            socket.on('error', (err) => {
-                this.log('Socket error:', err);
-                reject(err);
-            });
-        });
+     * Passes a record to the logger, if it handles the level
+     * @private
+     * @param {string} level - trace, debug, info, warn or error
+     * @param {string} message - Message
+     * @param {Object} [fields] - Structured data
+     */
+    _log(level, message, fields = {}) {
+        if (!this.logger || typeof this.logger[level] !== 'function') return;
+        try {
+            this.logger[level](fields, message);
+        } catch {
+            // A failing logger must not break the protocol state
+        }
     }
 
     /**
-     * Generates a unique command tag for IMAP communication
+     * Logs a line of wire traffic and adds it to the transcript
      * @private
-     * @returns {string} Unique command tag
+     * @param {string} direction - `C` for client, `S` for server, `*` for connection events
+     * @param {string} text - Line, already redacted
      */
-    generateTag() {
-        return `A${++this.commandCounter}`;
+    _trace(direction, text) {
+        // Connection events are logged where they happen
+        if (direction !== '*') this._log('trace', direction === 'C' ? 'Sent' : 'Received', { data: text });
+        if (!this.transcript) return;
+        try {
+            this.transcript.write(direction, text);
+        } catch (error) {
+            this._log('warn', 'Transcript write failed', { err: error });
+        }
     }
 
     /**
-    * Sends a command to the IMAP server and manages command queue
-    * @private
-    * @param {string} command - IMAP command to send
-    * @param {boolean} [expectMultiline=false] - Whether response might span multiple lines
-    * @returns {Promise<string>} Server's response
+    * Establishes a connection to the IMAP server, waits for its greeting and
+    * loads its capabilities
+    * @async
+    * @param {Object} [options] - Connection options
+    * @param {number} [options.timeout] - Time allowed for the whole connection setup in
+    * milliseconds, defaults to `commandTimeout`
+    * @param {AbortSignal} [options.signal] - Cancels connecting
+    * @returns {Promise<string>} Connection status message
+    * @throws {TimeoutError} If the connection is not ready in time
+    * @throws {AbortError} If the signal is aborted
+    * @throws {Error} If connection fails, the server greets with BYE, or a
+    * STARTTLS upgrade cannot be completed
     */
-    async sendCommand(command, expectMultiline = false) {
-        return new Promise((resolve, reject) => {
-            if (!this.connected) {
-                return reject(new Error('Not connected to IMAP server'));
-            }
+    async connect({ signal, timeout = this.commandTimeout } = {}) {
+        this.closing = false;
+        this.established = false;
+        this.bye = null;
+        this.preauth = false;
+        this.capabilities = [];
+        this.utf8Enabled = false;
+        this.qresyncEnabled = false;
+        const greeting = new Promise((resolve, reject) => {
+            this.pendingGreeting = { resolve, reject };
+        });
+        // Socket errors are reported by the connection promise below
+        greeting.catch(() => {});
 
-            const tag = this.generateTag();
-            const fullCommand = `${tag} ${command}\r\n`;
+        const deadline = this._deadline('Connection', { signal, timeout });
+        let socket = null;
 
-            const commandObj = {
-                tag,
-                command,
-                resolve,
-                reject,
-                expectMultiline,
-                response: [] // Store response lines
-            };
+        try {
+            await Promise.race([deadline.promise, new Promise((resolve, reject) => {
+                const onConnect = () => {
+                    socket.removeListener('error', onError);
+                    const pinError = this.secure ? this._checkFingerprint(socket) : null;
+                    if (pinError) {
+                        socket.destroy();
+                        onError(pinError);
+                        return;
+                    }
+                    socket.on('error', (err) => this._log('warn', 'Socket error', { err }));
+                    if (this.keepAlive && typeof socket.setKeepAlive === 'function') {
+                        socket.setKeepAlive(true, this.keepAlive);
+                    }
+                    this._attachSocket(socket);
+                    this.connected = true;
+                    this._log('info', 'Connected', { host: this.host, port: this.port, secure: this.secure });
+                    this._trace('*', `Connected to ${this.host}:${this.port}${this.secure ? ' over TLS' : ''}`);
+                    resolve();
+                };
+                const onError = (err) => {
+                    this._log('warn', 'Socket error', { err });
+                    this.pendingGreeting = null;
+                    reject(err);
+                };
 
-            if (!this.currentCommand) {
-                this.currentCommand = commandObj;
-                this._writeCommand(fullCommand);
-            } else {
-                this.commandQueue.push(commandObj);
-            }
-        });
-    }
+                socket = this.secure
+                    ? tls.connect(this._getTLSOptions(), onConnect)
+                    : net.createConnection({ host: this.host, port: this.port }, onConnect);
 
-    _writeCommand(fullCommand) {
-        this.log('Sending:', fullCommand.trim());
-        this.socket.write(fullCommand, 'utf8', (err) => {
-            if (err) {
-                this.log('Write error:', err);
-                this.currentCommand.reject(err);
-                this._processNextCommand();
+                socket.once('error', onError);
+            })]);
+
+            await Promise.race([deadline.promise, this._withCallOptions({ signal, timeout }, async () => {
+                await greeting;
+
+                if (!this.capabilities.length) {
+                    await this.refreshCapabilities();
+                }
+
+                if (this.starttls) {
+                    await this._upgradeToTLS();
+                }
+
+                if (this.preauth) {
+                    await this._enableUtf8();
+                }
+            })]);
+        } catch (error) {
+            // Never fall back to plaintext once TLS was requested
+            if (this.connected) {
+                this._teardown();
+            } else if (socket) {
+                socket.destroy();
             }
-        });
-    }
+            this.pendingGreeting = null;
+            throw error;
+        } finally {
+            deadline.clear();
+        }
 
-    handleRawResponse(data) {
-        this.responseBuffer += data;
-        const lines = this.responseBuffer.split('\r\n');
-        this.responseBuffer = lines.pop() || '';
-        lines.forEach(line => this.processResponseLine(line));
+        this.established = true;
+        this._startHeartbeat();
+        return 'Connected successfully';
     }
 
-    processResponseLine(line) {
-        if (!this.currentCommand) return;
+    /**
+     * Handles the server greeting sent when the connection opens
+     * @private
+     * @param {IMAPResponse} response - Untagged greeting response
+     */
+    _handleGreeting(response) {
+        const { resolve, reject } = this.pendingGreeting;
+        this.pendingGreeting = null;
+        this.greeting = response.text;
+
+        const capabilities = IMAPParser.parseCapability(response.text);
+        if (capabilities.length) {
+            this.capabilities = capabilities;
+        }
 
-        if (!line.startsWith(this.currentCommand.tag)) {
-            this.currentCommand.response.push(line);
+        const status = (response.text.split(' ')[1] || '').toUpperCase();
+        if (status === 'OK') {
+            resolve(response.text);
+        } else if (status === 'PREAUTH') {
+            this.preauth = true;
+            resolve(response.text);
         } else {
-            const status = line.split(' ')[1];
-            if (status === 'OK') {
-                this.currentCommand.resolve(this.currentCommand.response.join('\n'));
-            } else {
-                this.currentCommand.reject(new Error(`Command failed: ${line}`));
-            }
-            this._processNextCommand();
+            reject(new IMAPByeError(null, response.text, `Server rejected connection: ${response.text}`));
         }
     }
 
-    _processNextCommand() {
-        this.currentCommand = null;
-        if (this.commandQueue.length > 0) {
-            const nextCommand = this.commandQueue.shift();
-            this.currentCommand = nextCommand;
-            const fullCommand = `${nextCommand.tag} ${nextCommand.command}\r\n`;
-            this._writeCommand(fullCommand);
-        }
+    /**
+     * Checks whether the server advertised a capability
+     * @param {string} capability - Capability name, e.g. 'IDLE' or 'AUTH=PLAIN'
+     * @returns {boolean} True if the capability is supported
+     */
+    hasCapability(capability) {
+        return this.capabilities.includes(capability.toUpperCase());
     }
 
     /**
-     * Authenticates with the IMAP server using username and password
+     * Requests the server's current capabilities and stores them on `capabilities`
      * @async
-     * @param {string} username - Email account username
-     * @param {string} password - Email account password
-     * @returns {Promise<string>} Login response from server
-     * @throws {Error} If login fails
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string[]>} Advertised capabilities
+     * @throws {Error} If the CAPABILITY command fails
      */
-    async login(username, password) {
-        try {
-            const response = await this.sendCommand(`LOGIN ${username} ${password}`);
-            this.log('Login successful');
-            return response;
-        } catch (error) {
-            this.log('Login failed:', error);
-            throw error;
-        }
+    async refreshCapabilities(options = {}) {
+        const response = await this._withCallOptions(options, () => this.sendCommand('CAPABILITY'));
+        this.capabilities = IMAPParser.parseCapability(response);
+        this.log('Capabilities:', this.capabilities);
+        return this.capabilities;
     }
 
     /**
-     * Retrieves a list of available mailboxes
+     * Enables protocol extensions for this connection using ENABLE (RFC 5161)
      * @async
-     * @returns {Promise<Array<Object>>} List of mailboxes with their attributes
-     * @throws {Error} If mailbox listing fails
+     * @param {string|string[]} extensions - Extensions to enable, e.g. `['CONDSTORE']`
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string[]>} Extensions the server enabled, in upper case; those it
+     * does not support are left out
+     * @throws {Error} If an extension name is invalid or the ENABLE command fails
      */
-    async listMailboxes() {
+    async enable(extensions, options = {}) {
         try {
-            const response = await this.sendCommand('LIST "" "*"', true);
-            const parsed = IMAPParser.parseList(response);
-            this.log('Mailboxes:', parsed);
-            return parsed;
+            const list = (Array.isArray(extensions) ? extensions : [extensions]).map(name => String(name).toUpperCase());
+            if (!list.length || list.some(name => !/^[^\s(){%*"\\\]]+$/.test(name))) {
+                throw new Error(`Invalid extension list: ${list.join(' ')}`);
+            }
+
+            const response = await this._withCallOptions(options, () => this.sendCommand(`ENABLE ${list.join(' ')}`));
+            const enabled = IMAPParser.parseEnabled(response);
+            if (enabled.includes('UTF8=ACCEPT')) this.utf8Enabled = true;
+            if (enabled.includes('QRESYNC')) this.qresyncEnabled = true;
+            this.log('Enabled:', enabled);
+            return enabled;
         } catch (error) {
-            this.log('List mailboxes failed:', error);
+            this.log('Enable failed:', error);
             throw error;
         }
     }
 
     /**
-     * Selects a specific mailbox for further operations
+     * Exchanges client and server identification using ID (RFC 2971)
      * @async
-     * @param {string} mailbox - Name of the mailbox to select
-     * @returns {Promise<Object>} Mailbox metadata
-     * @throws {Error} If mailbox selection fails
+     * @param {Object|null} [clientInfo=null] - Fields describing the client, e.g.
+     * `{ name: 'my-app', version: '1.0' }`; null sends nothing about the client
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object|null>} Server identification fields, or null if the
+     * server sent none
+     * @throws {Error} If the server does not support ID, a field contains a line
+     * break, or the command fails
      */
-    async selectMailbox(mailbox) {
+    async id(clientInfo = null, options = {}) {
         try {
-            const response = await this.sendCommand(`SELECT "${mailbox}"`);
-            const parsed = IMAPParser.parseSelect(response);
-            this.log(`Mailbox ${mailbox} selected:`, parsed);
+            if (!this.hasCapability('ID')) {
+                throw new Error('Server does not support ID');
+            }
+
+            const fields = Object.entries(clientInfo || {}).flatMap(([key, value]) => [key, value]);
+            // ID fields are quoted strings and cannot be sent as literals
+            const invalid = fields.find(value => value != null && /[\r\n\0]/.test(String(value)));
+            if (invalid !== undefined) {
+                throw new Error(`Invalid ID field: ${JSON.stringify(invalid)}`);
+            }
+            const list = fields.map(value => (value == null ? 'NIL' : IMAPEncoder.quoteString(value)));
+            const command = `ID ${list.length ? `(${list.join(' ')})` : 'NIL'}`;
+
+            const response = await this._withCallOptions(options, () => this.sendCommand(command));
+            const parsed = IMAPParser.parseId(response);
+            this.log('Server ID:', parsed);
             return parsed;
         } catch (error) {
-            this.log(`Select mailbox ${mailbox} failed:`, error);
+            this.log('ID failed:', error);
             throw error;
         }
     }
 
     /**
-     * Retrieves the total number of emails in the current mailbox
-     * @async
-     * @returns {Promise<number>} Total email count
-     * @throws {Error} If email count retrieval fails
+     * Builds the options passed to tls.connect()
+     * @private
+     * @param {Object} [overrides] - Extra options, e.g. an existing socket to upgrade
+     * @returns {Object} TLS connection options
      */
-    async fetchEmailCount() {
-        try {
-            const response = await this.sendCommand(`SEARCH ALL`);
-            const parsed = IMAPParser.parseSearch(response);
-            this.log(`Email count:`, parsed.length);
-            return parsed.length;
-        } catch (error) {
-            this.log(`Email count failed:`, error);
-            throw error;
+    _getTLSOptions(overrides = {}) {
+        const { fingerprints, ...options } = this.tlsOptions;
+        return {
+            host: this.host,
+            port: this.port,
+            servername: this.host,
+            rejectUnauthorized: true,
+            ...options,
+            ...overrides
+        };
+    }
+
+    /**
+     * Compares the server certificate with the pinned fingerprints. Runs once the
+     * TLS handshake completes, since Node skips checkServerIdentity when
+     * `rejectUnauthorized` is false, the usual setup for self-signed certificates.
+     * @private
+     * @param {tls.TLSSocket} socket - Connected TLS socket
+     * @returns {Error|null} Error if no pinned fingerprint matches
+     */
+    _checkFingerprint(socket) {
+        const { fingerprints } = this.tlsOptions;
+        if (!fingerprints || !fingerprints.length) return null;
+
+        const pinned = fingerprints.map(fp => fp.replace(/:/g, '').toUpperCase());
+        const cert = socket.getPeerCertificate() || {};
+        const fingerprint = (cert.fingerprint256 || '').replace(/:/g, '').toUpperCase();
+        if (fingerprint && pinned.includes(fingerprint)) return null;
+        return new Error(`Certificate fingerprint ${cert.fingerprint256} does not match any pinned fingerprint`);
+    }
+
+    /**
+     * Wires response handling to a connected socket
+     * @private
+     * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+     */
+    _attachSocket(socket) {
+        if (this.socket) {
+            this.socket.removeListener('data', this.handleRawResponse);
+            this.socket.removeListener('close', this.handleClose);
+        }
+        this.socket = socket;
+        this.reader = new ResponseReader();
+        socket.on('data', this.handleRawResponse);
+        socket.on('close', this.handleClose);
+    }
+
+    handleClose() {
+        // Idling resumes after a reconnect, still stopped by the same signal
+        const idleOptions = this.idleState ? { signal: this.idleState.signal } : null;
+        this.connected = false;
+        clearInterval(this.heartbeat);
+        this._clearIdleState();
+        if (this.pendingGreeting) {
+            this.pendingGreeting.reject(new ConnectionError('Connection closed before server greeting'));
+            this.pendingGreeting = null;
+        }
+        // close() records its own end of the session
+        if (!this.closing) {
+            this._log('info', 'Connection closed');
+            this._trace('*', 'Connection closed');
+        }
+
+        const pending = this._takePending();
+
+        // Commands of a failed restore attempt; the attempt loop retries
+        if (this.reconnecting || this.closing || !this.reconnectOptions || !this.established) {
+            pending.forEach(command => command.reject(this._closedError(command)));
+            return;
+        }
+
+        const retry = [];
+        for (const command of pending) {
+            if (this._isRetryable(command)) {
+                retry.push(command);
+            } else {
+                const name = this._commandName(command.command);
+                command.reject(new ConnectionError(`Connection lost while running ${name}`, name));
+            }
         }
+        this._reconnect(retry, idleOptions);
     }
 
     /**
-     * Fetches email envelope metadata for a specific email
-     * @async
-     * @param {number} id - Message sequence number
-     * @returns {Promise<Object>} Email envelope information
-     * @throws {Error} If email fetch fails
+     * Creates the error for a command left pending when the connection closed
+     * @private
+     * @returns {IMAPByeError|ConnectionError} A BYE error if the server said goodbye
      */
-    async fetchEmail(id) {
-        try {
-            const response = await this.sendCommand(`FETCH ${id} ENVELOPE`);
-            const parsed = IMAPParser.parseEnvelope(response);
-            this.log(`Fetched email:`, parsed);
-            return parsed;
-        } catch (error) {
-            this.log(`Fetch email ${id} failed:`, error);
-            throw error;
+    _closedError(command) {
+        const name = this._commandName(command.command);
+        if (this.bye && !this.closing) {
+            return new IMAPByeError(name, this.bye, `Connection closed by server: ${this.bye}`);
         }
+        return new ConnectionError('Connection closed', name);
     }
 
     /**
-     * Retrieves the body of a specific email
-     * @async
-     * @param {number} id - Message sequence number
-     * @param {string} [format="TEXT"] - Preferred body format (TEXT, HTML)
-     * @returns {Promise<Object>} Parsed email body using mailparser
-     * @throws {Error} If email body retrieval fails
+     * Removes the running and queued commands, returning those still awaiting a result
+     * @private
+     * @returns {Object[]} Unsettled commands
      */
-    async fetchEmailBody(id, format = "TEXT") {
-        try {
-            const res = await this.sendCommand(`FETCH ${id} BODY[${format}]`);
-            let response = res
+    _takePending() {
+        const pending = [...this.inFlight, ...this.commandQueue];
+        pending.forEach(command => clearTimeout(command.timer));
+        this.currentCommand = null;
+        this.inFlight = [];
+        this.commandQueue = [];
+        return pending.filter(command => !command.settled);
+    }
+
+    /**
+     * Drops a connection whose protocol state can no longer be trusted and
+     * settles its pending commands (or reconnects, if enabled)
+     * @private
+     */
+    _teardown() {
+        const socket = this.socket;
+        socket.removeListener('data', this.handleRawResponse);
+        socket.removeListener('close', this.handleClose);
+        socket.destroy();
+        this.handleClose();
+    }
+
+    /**
+     * Sends NOOP whenever the connection has been quiet for `heartbeatInterval`
+     * @private
+     */
+    _startHeartbeat() {
+        clearInterval(this.heartbeat);
+        if (!this.heartbeatInterval) return;
+
+        this.heartbeat = setInterval(() => {
+            // Running commands and IDLE already show whether the server is alive
+            if (this.currentCommand || this.idleState || !this.connected) return;
+            if (Date.now() - this.lastActivity < this.heartbeatInterval) return;
+            this.execute('NOOP', { timeout: this.commandTimeout || this.heartbeatInterval })
+                .catch(error => this._log('warn', 'Heartbeat failed', { err: error }));
+        }, this.heartbeatInterval);
+        if (this.heartbeat.unref) this.heartbeat.unref();
+    }
+
+    /**
+     * Creates a promise that rejects once a timeout elapses or a signal aborts
+     * @private
+     * @param {string} name - Operation name used in the error
+     * @param {Object} options - `{ signal, timeout }`
+     * @returns {{promise: Promise<never>, clear: Function}} The promise, and a function
+     * that stops the timer and signal listener
+     */
+    _deadline(name, { signal, timeout }) {
+        let timer = null;
+        let onAbort = null;
+        const promise = new Promise((resolve, reject) => {
+            if (timeout) {
+                timer = setTimeout(() => reject(new TimeoutError(name, timeout)), timeout);
+            }
+            if (signal) {
+                onAbort = () => reject(new AbortError(name, signal.reason));
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+        promise.catch(() => {});
+
+        return {
+            promise,
+            clear: () => {
+                clearTimeout(timer);
+                if (onAbort) signal.removeEventListener('abort', onAbort);
+            }
+        };
+    }
 
-            // Remove trailing = at the end of lines and join them
-            response = response.replace(/=\n/g, '');
+    /**
+     * Runs `fn` so that the commands it sends use the given timeout and abort signal
+     * @private
+     * @param {Object} [options] - Public method options
+     * @param {AbortSignal} [options.signal] - Cancels the commands
+     * @param {number} [options.timeout] - Overrides `commandTimeout`
+     * @param {Function} fn - Operation to run
+     * @returns {*} Result of `fn`
+     */
+    _withCallOptions({ signal, timeout } = {}, fn) {
+        if (signal === undefined && timeout === undefined) return fn();
+        return callOptions.run({ signal, timeout }, fn);
+    }
 
-            // Decode soft-break encoded characters (fixing =3D and similar issues)
-            response = response.replace(/=3D/g, '=');
+    /**
+     * Reconnects with exponential backoff and restores the session, then runs
+     * the held commands
+     * @private
+     * @param {Object[]} held - Commands to run once the session is restored
+     * @param {Object|null} resumeIdle - Options to re-enter IDLE with afterwards, or null
+     */
+    async _reconnect(held, resumeIdle) {
+        const { retries } = this.reconnectOptions;
+        const mailbox = this.mailbox;
+        this.reconnecting = { held };
 
-            // Apply other specific fixes (optional based on previous logic)
-            response = response.replace(/="=/g, '="');
-            response = response.replace(/:=/g, ':');
-            response = response.replace(/class==/g, 'class=');
+        for (let attempt = 1; attempt <= retries && !this.closing; attempt++) {
+            const delay = this._reconnectDelay(attempt);
+            /**
+             * @event IMAPClient#reconnecting
+             * @type {{attempt: number, delay: number}}
+             */
+            this.emit('reconnecting', { attempt, delay });
+            await new Promise((resolve) => {
+                this.reconnecting.wake = resolve;
+                this.reconnecting.timer = setTimeout(resolve, delay);
+            });
+            if (this.closing) break;
 
-            // const parsed = IMAPParser.parseBody(response);
-            const match = response.match(/{\d+}\s(<!DOCTYPE html[\s\S]*)/);
-            let parsed = null
-            if (match) {
-                let htmlContent = match[1].trimEnd(); // Remove trailing spaces or )
+            try {
+                await sessionRestore.run(this, () => this._restoreSession(mailbox));
+            } catch (error) {
+                this._log('warn', 'Reconnect attempt failed', { attempt, err: error });
+                if (this.connected) {
+                    this.connected = false;
+                    this.socket.destroy();
+                }
+                continue;
+            }
 
-                if (htmlContent.endsWith(')')) {
-                    htmlContent = htmlContent.slice(0, -1); // Remove the last character if it's a `)`
+            const { held: commands } = this.reconnecting;
+            this.reconnecting = null;
+            for (const command of commands) {
+                const stale = this._staleUidValidity(command, mailbox);
+                if (stale) {
+                    command.reject(stale);
+                    continue;
                 }
-                parsed = await simpleParser(htmlContent);
+                command.response = [];
+                command.error = null;
+                this._enqueue(command);
+            }
+
+            this._log('info', 'Reconnected', { attempt });
+            /**
+             * @event IMAPClient#reconnected
+             * @type {{attempt: number}}
+             */
+            this.emit('reconnected', { attempt });
+            if (resumeIdle) this.idle(resumeIdle).catch(error => this.log('IDLE failed:', error));
+            return;
+        }
+
+        const error = new ConnectionError(this.closing ? 'Connection closed' : `Reconnection failed after ${retries} attempts`);
+        const { held: commands } = this.reconnecting;
+        this.reconnecting = null;
+        commands.forEach(command => command.reject(error));
+        if (this.closing) return;
+
+        this._log('error', error.message, { retries });
+        // An 'error' event without listeners would throw from this detached task
+        if (this.listenerCount('error')) {
+            /**
+             * @event IMAPClient#error
+             * @type {Error}
+             */
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Reconnects, re-authenticates and re-opens the mailbox that was open
+     * @private
+     * @param {Object|null} mailbox - Mailbox state from before the connection dropped
+     */
+    async _restoreSession(mailbox) {
+        await this.connect();
+
+        if (this.credentials && !this.preauth) {
+            if (this.credentials.mechanism) {
+                await this.authenticate(this.credentials);
             } else {
-                parsed = await simpleParser(res);
+                await this.login(this.credentials.username, this.credentials.password);
             }
+        }
 
-            this.log(`Fetched email body:`, res);
-            return parsed;
-        } catch (error) {
-            this.log(`Fetch email body ${id} failed:`, error);
-            throw error;
+        if (mailbox) {
+            await this._openMailbox(mailbox.readOnly ? 'EXAMINE' : 'SELECT', mailbox.name);
         }
     }
 
     /**
-     * Closes the connection and logs out from the IMAP server
-     * @async
-     * @returns {Promise<string>} Logout response
-     * @throws {Error} If logout fails
+     * Computes the backoff delay for a reconnect attempt
+     * @private
+     * @param {number} attempt - Attempt number, starting at 1
+     * @returns {number} Delay in milliseconds
+     */
+    _reconnectDelay(attempt) {
+        const { minDelay, maxDelay, factor, jitter } = this.reconnectOptions;
+        const base = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+        // Spread reconnects so many clients do not hit the server at once
+        return Math.max(0, Math.round(base * (1 + jitter * (Math.random() * 2 - 1))));
+    }
+
+    /**
+     * Whether a command that was pending when the connection dropped may be sent again
+     * @private
+     */
+    _isRetryable(command) {
+        // Streamed results were already handed out and would be repeated
+        return !command.streamed && IDEMPOTENT_COMMANDS.includes(this._commandName(command.command));
+    }
+
+    /**
+     * Gets the command name, without a UID prefix
+     * @private
+     * @param {string|Array} command - Command text or parts
+     * @returns {string} Upper-case command name, e.g. FETCH
+     */
+    _commandName(command) {
+        const text = Array.isArray(command) ? command[0] : command;
+        const [name, subcommand] = String(text).toUpperCase().split(' ');
+        return name === 'UID' && subcommand ? subcommand : name;
+    }
+
+    /**
+     * Rejects UID commands held across a reconnect when the mailbox's
+     * UIDVALIDITY changed, since their UIDs may now name other messages
+     * @private
+     * @returns {UIDValidityError|null} Error to reject the command with
+     */
+    _staleUidValidity(command, mailbox) {
+        const text = Array.isArray(command.command) ? command.command[0] : command.command;
+        if (!mailbox || !/^UID /i.test(String(text)) || !this.mailbox) return null;
+        if (mailbox.uidvalidity == null || mailbox.uidvalidity === this.mailbox.uidvalidity) return null;
+        return new UIDValidityError(mailbox.name, mailbox.uidvalidity, this.mailbox.uidvalidity);
+    }
+
+    /**
+     * Upgrades the plaintext connection to TLS using STARTTLS
+     * @private
+     * @returns {Promise<void>}
+     * @throws {Error} If the server does not offer STARTTLS or the handshake fails
+     */
+    async _upgradeToTLS() {
+        if (this.preauth) {
+            throw new Error('Cannot use STARTTLS on a preauthenticated connection');
+        }
+        if (!this.hasCapability('STARTTLS')) {
+            throw new Error('Server does not support STARTTLS');
+        }
+
+        await this.sendCommand('STARTTLS');
+
+        const plainSocket = this.socket;
+        // Anything the server sent after the tagged OK arrived before TLS and
+        // must not be trusted
+        plainSocket.removeListener('data', this.handleRawResponse);
+
+        await new Promise((resolve, reject) => {
+            const secureSocket = tls.connect(this._getTLSOptions({ socket: plainSocket }), () => {
+                secureSocket.removeListener('error', reject);
+                const pinError = this._checkFingerprint(secureSocket);
+                if (pinError) {
+                    secureSocket.destroy();
+                    reject(pinError);
+                    return;
+                }
+                secureSocket.on('error', (err) => this._log('warn', 'Socket error', { err }));
+                this._attachSocket(secureSocket);
+                this._log('info', 'Connection upgraded to TLS');
+                this._trace('*', 'Connection upgraded to TLS');
+                resolve();
+            });
+            secureSocket.once('error', reject);
+        });
+
+        // Capabilities learned before the upgrade must be discarded
+        this.capabilities = [];
+        await this.refreshCapabilities();
+    }
+
+    /**
+     * Generates a unique command tag for IMAP communication
+     * @private
+     * @returns {string} Unique command tag
+     */
+    generateTag() {
+        return `A${++this.commandCounter}`;
+    }
+
+    /**
+    * Sends a command to the IMAP server and manages command queue
+    * @private
+    * @param {string|Array<string|{literal: Buffer}>} command - IMAP command to send, or
+    * its space-separated parts when it carries literals
+    * @returns {Promise<string>} Server's response
+    */
+    async sendCommand(command) {
+        const { responses } = await this.execute(command);
+        return responses.map(response => response.toString()).join('\n');
+    }
+
+    /**
+    * Sends a command and resolves with the structured responses it produced
+    * @private
+    * @param {string|Array<string|{literal: Buffer}>} command - IMAP command to send, or
+    * its space-separated parts when it carries literals
+    * @param {Object} [options] - Command options
+    * @param {Function} [options.onContinuation] - Produces the reply line for each `+`
+    * continuation once all literals are sent; may return a promise. Returning null or
+    * undefined sends nothing.
+    * @param {Function} [options.onUntagged] - Receives each untagged response as it
+    * arrives instead of collecting it in `responses`
+    * @param {number} [options.timeout] - Overrides the call's or client's timeout
+    * @param {AbortSignal} [options.signal] - Overrides the call's abort signal
+    * @returns {Promise<{responses: IMAPResponse[], completion: IMAPResponse}>} Untagged
+    * responses and the tagged completion
+    */
+    async execute(command, { onContinuation, onUntagged, timeout, signal } = {}) {
+        const context = callOptions.getStore() || {};
+        const limit = [timeout, context.timeout, this.commandTimeout].find(value => value !== undefined);
+        const abortSignal = signal || context.signal;
+
+        return new Promise((resolve, reject) => {
+            const commandObj = {
+                tag: null,
+                command,
+                chunks: [],
+                onContinuation,
+                onUntagged,
+                timeout: limit,
+                timer: null,
+                settled: false,
+                error: null,
+                response: [] // Store responses
+            };
+            commandObj.resolve = value => this._settle(commandObj, resolve, value);
+            commandObj.reject = error => this._settle(commandObj, reject, error);
+
+            if (abortSignal) {
+                if (abortSignal.aborted) {
+                    return commandObj.reject(new AbortError(this._commandName(command), abortSignal.reason));
+                }
+                const onAbort = () => this._abortCommand(commandObj, abortSignal.reason);
+                abortSignal.addEventListener('abort', onAbort, { once: true });
+                commandObj.detach = () => abortSignal.removeEventListener('abort', onAbort);
+            }
+
+            if (this.reconnecting && sessionRestore.getStore() !== this) {
+                // Runs once the session is restored
+                this.reconnecting.held.push(commandObj);
+                return;
+            }
+            if (!this.connected) {
+                return commandObj.reject(new ConnectionError('Not connected to IMAP server', this._commandName(command)));
+            }
+
+            this._enqueue(commandObj);
+        });
+    }
+
+    /**
+     * Settles a command's promise once
+     * @private
+     */
+    _settle(command, settle, value) {
+        if (command.settled) return;
+        command.settled = true;
+        if (command.detach) command.detach();
+        settle(value);
+    }
+
+    /**
+     * Rejects a command whose abort signal fired. A command that was already
+     * sent still completes on the server; its result is discarded.
+     * @private
+     */
+    _abortCommand(command, reason) {
+        const queues = [this.commandQueue, this.reconnecting ? this.reconnecting.held : []];
+        for (const queue of queues) {
+            const index = queue.indexOf(command);
+            if (index !== -1) queue.splice(index, 1);
+        }
+        command.reject(new AbortError(this._commandName(command.command), reason));
+    }
+
+    /**
+     * (Re)starts the timer that fails the running command when the server goes quiet
+     * @private
+     */
+    _armTimeout(command) {
+        clearTimeout(command.timer);
+        if (!command.timeout) return;
+        command.timer = setTimeout(() => this._handleTimeout(command), command.timeout);
+        if (command.timer.unref) command.timer.unref();
+    }
+
+    /**
+     * Fails a command the server stopped answering and drops the connection,
+     * since a late answer could no longer be told apart from later commands
+     * @private
+     */
+    _handleTimeout(command) {
+        if (this.currentCommand !== command) return;
+        const error = new TimeoutError(this._commandName(command.command), command.timeout);
+        this._log('warn', error.message, { tag: command.tag });
+        this._logCompletion(command, 'TIMEOUT');
+        command.reject(error);
+        this._teardown();
+    }
+
+    /**
+     * Tags a command and sends it, or queues it behind the running commands
+     * @private
+     * @param {Object} commandObj - Command created by execute()
+     */
+    _enqueue(commandObj) {
+        commandObj.tag = this.generateTag();
+        commandObj.bytesOut = 0;
+        commandObj.bytesIn = 0;
+        commandObj.chunks = IMAPEncoder.toChunks(commandObj.tag, commandObj.command, {
+            literalPlus: this.hasCapability('LITERAL+'),
+            literalMinus: this.hasCapability('LITERAL-')
+        });
+        // Continuations cannot be told apart, so commands that wait for one run alone too
+        commandObj.barrier = commandObj.chunks.length > 1 || Boolean(commandObj.onContinuation)
+            || BARRIER_COMMANDS.includes(this._commandName(commandObj.command));
+
+        this.commandQueue.push(commandObj);
+        this._sendQueued();
+        // IDLE never completes by itself, so end it to let the command run
+        if (this.commandQueue.length) this._breakIdle();
+    }
+
+    /**
+     * Sends queued commands while the pipeline has room. Without pipelining
+     * at most one command is in flight.
+     * @private
+     */
+    _sendQueued() {
+        while (this.commandQueue.length && this._canSend(this.commandQueue[0])) {
+            const commandObj = this.commandQueue.shift();
+            this.inFlight.push(commandObj);
+            if (!this.currentCommand) this.currentCommand = commandObj;
+            this._writeCommand(commandObj);
+        }
+    }
+
+    /**
+     * Whether a command may be sent while the in-flight commands are running
+     * @private
+     */
+    _canSend(commandObj) {
+        if (!this.inFlight.length) return true;
+        if (this.inFlight.length >= this.maxInFlight || commandObj.barrier) return false;
+        const results = this._commandResults(commandObj);
+        return !this.inFlight.some(running => running.barrier
+            || this._commandResults(running).some(kind => results.includes(kind)));
+    }
+
+    /**
+     * Untagged responses that carry a command's results
+     * @private
+     * @returns {string[]}
+     */
+    _commandResults(commandObj) {
+        return COMMAND_RESULTS[this._commandName(commandObj.command)] || [];
+    }
+
+    /**
+     * Finds the command an untagged response belongs to: the one in flight
+     * that returns it, else the oldest command in flight
+     * @private
+     * @param {IMAPResponse} response - Untagged response
+     * @returns {Object|null}
+     */
+    _untaggedOwner(response) {
+        const match = response.text.match(/^\* (?:\d+ )?([A-Za-z]+)/);
+        const kind = match ? match[1].toUpperCase() : null;
+        return this.inFlight.find(running => this._commandResults(running).includes(kind))
+            || this.currentCommand;
+    }
+
+    _writeCommand(commandObj) {
+        commandObj.sentAt = Date.now();
+        // The whole command is traced at once, with its literals and credentials redacted
+        const trace = this.logger || this.transcript
+            ? IMAPRedactor.command(commandObj.tag, commandObj.command, { redact: this.redact })
+            : null;
+        this._write(commandObj.chunks.shift(), commandObj, trace);
+        // Commands behind the oldest one wait for it, so their clock starts when it completes
+        if (commandObj === this.currentCommand) this._armTimeout(commandObj);
+    }
+
+    /**
+     * Writes to the socket on behalf of a command
+     * @private
+     * @param {Buffer|string} data - Data to send
+     * @param {Object} [command] - Command the data belongs to, for its byte count
+     * and to fail if the write does
+     * @param {string|null} [trace] - Text to log instead of the data; null logs nothing
+     */
+    _write(data, command, trace) {
+        if (command) command.bytesOut += Buffer.byteLength(data);
+        if (trace !== null && (this.logger || this.transcript)) {
+            this._trace('C', trace === undefined ? data.toString().trim() : trace);
+        }
+        this.lastActivity = Date.now();
+        const socket = this.socket;
+        socket.write(data, 'utf8', (err) => {
+            if (!err) return;
+            this._log('error', 'Write error', { err });
+            if (command) command.reject(err);
+            // The server may have received part of the data, so the other
+            // commands in flight are settled (or retried) with the connection
+            if (socket === this.socket) this._teardown();
+        });
+    }
+
+    /**
+     * Answers a `+` continuation request for the current command
+     * @private
+     * @param {IMAPResponse} response - Continuation response
+     */
+    _handleContinuation(response) {
+        const command = this.currentCommand;
+
+        if (command.chunks.length) {
+            // Already traced with the command
+            this._write(command.chunks.shift(), command, null);
+            return;
+        }
+
+        if (!command.onContinuation) {
+            this.log('Unexpected continuation:', response.text);
+            return;
+        }
+
+        // The server is waiting for us, so the timeout restarts once we reply
+        clearTimeout(command.timer);
+        Promise.resolve()
+            .then(() => command.onContinuation(response))
+            .then((reply) => {
+                if (reply != null && this.currentCommand === command) {
+                    // SASL responses carry credentials
+                    const secret = this.redact && this._commandName(command.command) === 'AUTHENTICATE';
+                    this._write(`${reply}\r\n`, command, secret ? '[redacted]' : undefined);
+                    this._armTimeout(command);
+                }
+            })
+            .catch((error) => {
+                // Cancel the exchange; the server answers with a tagged BAD
+                command.error = error;
+                if (this.currentCommand === command) this._write('*\r\n', command);
+            });
+    }
+
+    handleRawResponse(data) {
+        this.lastActivity = Date.now();
+        // The server is still talking, so give the running command more time
+        if (this.currentCommand) this._armTimeout(this.currentCommand);
+        const responses = this.reader.push(data);
+        responses.forEach(response => this.processResponse(response));
+    }
+
+    processResponse(response) {
+        this._traceResponse(response);
+        this._checkStatusResponse(response);
+        if (this.pendingGreeting && response.tag === '*') {
+            this._handleGreeting(response);
+            return;
+        }
+        if (response.tag === '*' && this._handleMailboxUpdate(response)) return;
+        if (!this.currentCommand) return;
+
+        const command = this.inFlight.find(running => running.tag === response.tag);
+        if (response.tag === '+') {
+            this._handleContinuation(response);
+        } else if (!command) {
+            const owner = this._untaggedOwner(response);
+            if (owner.onUntagged) {
+                owner.streamed = true;
+                owner.onUntagged(response);
+            } else {
+                owner.response.push(response);
+            }
+        } else {
+            const status = response.text.split(' ')[1];
+            clearTimeout(command.timer);
+            this._logCompletion(command, String(status).toUpperCase());
+            if (command.error) {
+                command.reject(command.error);
+            } else if (status === 'OK') {
+                command.resolve({
+                    responses: command.response,
+                    completion: response
+                });
+            } else {
+                command.reject(this._responseError(command, response));
+            }
+            this._processNextCommand(command);
+        }
+    }
+
+    /**
+     * Traces a server response and counts its bytes for the command it belongs to
+     * @private
+     * @param {IMAPResponse} response - Server response
+     */
+    _traceResponse(response) {
+        if (this.logger || this.transcript) {
+            this._trace('S', IMAPRedactor.response(response, { redact: this.redact }));
+        }
+        const owner = response.tag === '*'
+            ? this._untaggedOwner(response)
+            : this.inFlight.find(running => running.tag === response.tag) || this.currentCommand;
+        if (owner) owner.bytesIn += response.byteLength();
+    }
+
+    /**
+     * Logs the outcome of a command as a structured record
+     * @private
+     * @param {Object} command - Finished command
+     * @param {string} status - OK, NO, BAD or TIMEOUT
+     */
+    _logCompletion(command, status) {
+        this._log('debug', 'Command completed', {
+            tag: command.tag,
+            command: this._commandName(command.command),
+            status,
+            duration: command.sentAt ? Date.now() - command.sentAt : 0,
+            bytesOut: command.bytesOut,
+            bytesIn: command.bytesIn
+        });
+    }
+
+    /**
+     * Emits `alert` for [ALERT] response codes and remembers an untagged BYE
+     * @private
+     * @param {IMAPResponse} response - Server response
+     */
+    _checkStatusResponse(response) {
+        const status = IMAPParser.parseStatusResponse(response.text);
+        if (!status) return;
+
+        if (status.code === 'ALERT') {
+            this._log('warn', 'Server alert', { text: status.text });
+            /**
+             * Text the server requires to be shown to the user
+             * @event IMAPClient#alert
+             * @type {{text: string, tag: string}}
+             */
+            this.emit('alert', { text: status.text, tag: status.tag });
+        }
+        if (status.tag === '*' && status.status === 'BYE') {
+            this.bye = response.text;
+        }
+    }
+
+    /**
+     * Creates the error for a command the server answered with NO or BAD
+     * @private
+     * @param {Object} command - Command created by execute()
+     * @param {IMAPResponse} response - Tagged completion
+     * @returns {IMAPError} Typed error
+     */
+    _responseError(command, response) {
+        const name = this._commandName(command.command);
+        const status = (response.text.split(' ')[1] || '').toUpperCase();
+        if (status === 'BAD') return new IMAPBadError(name, response.text);
+        if (name === 'LOGIN' || name === 'AUTHENTICATE') return new AuthenticationError(name, response.text);
+        return new IMAPNoError(name, response.text);
+    }
+
+    /**
+     * Removes a completed command from the pipeline and sends what may follow it
+     * @private
+     * @param {Object} [command=this.currentCommand] - Completed command
+     */
+    _processNextCommand(command = this.currentCommand) {
+        if (this.idleState && this.idleState.command === command) {
+            this.idleState.command = null;
+        }
+        this.inFlight = this.inFlight.filter(running => running !== command);
+        if (this.currentCommand === command) {
+            this.currentCommand = this.inFlight[0] || null;
+            if (this.currentCommand) this._armTimeout(this.currentCommand);
+        }
+        this._sendQueued();
+        if (!this.currentCommand) this._resumeIdle();
+    }
+
+    /**
+     * Applies an untagged mailbox update to `mailbox` and emits its event,
+     * unless the running command asked for it
+     * @private
+     * @param {IMAPResponse} response - Untagged response
+     * @returns {boolean} True if the response was consumed as an unsolicited update
+     */
+    _handleMailboxUpdate(response) {
+        const update = this._parseMailboxUpdate(response);
+        if (!update) return false;
+
+        const owner = this._untaggedOwner(response);
+        const command = owner ? this._commandName(owner.command) : null;
+        const requested = MAILBOX_UPDATES[update.type].includes(command);
+        // SELECT and EXAMINE describe the mailbox being opened, which replaces this state
+        if (this.mailbox && command !== 'SELECT' && command !== 'EXAMINE') {
+            this._applyMailboxUpdate(update);
+        }
+        if (requested) return false;
+
+        this._emitMailboxUpdate(update);
+        return true;
+    }
+
+    /**
+     * Recognizes untagged responses that report mailbox changes
+     * @private
+     * @param {IMAPResponse} response - Untagged response
+     * @returns {Object|null} `{ type, ... }` with type EXISTS, RECENT, EXPUNGE, VANISHED,
+     * FETCH, FLAGS or CODE, or null for other responses
+     */
+    _parseMailboxUpdate(response) {
+        const text = response.text;
+        const numbered = text.match(/^\* (\d+) (EXISTS|RECENT|EXPUNGE|FETCH)\b/i);
+        if (numbered) {
+            const type = numbered[2].toUpperCase();
+            if (type !== 'FETCH') return { type, value: parseInt(numbered[1], 10) };
+            return { type, record: IMAPParser.parseFetch(response) };
+        }
+
+        const flags = text.match(/^\* FLAGS \(([^)]*)\)/i);
+        if (flags) return { type: 'FLAGS', flags: flags[1].split(' ').filter(Boolean) };
+
+        if (/^\* VANISHED /i.test(text)) return { type: 'VANISHED', ...IMAPParser.parseVanished(text) };
+
+        const status = IMAPParser.parseStatusResponse(text);
+        if (status && status.status === 'OK' && MAILBOX_CODES.includes(status.code)) {
+            return { type: 'CODE', code: status.code, data: status.codeData };
+        }
+        return null;
+    }
+
+    /**
+     * Updates the selected mailbox's state
+     * @private
+     */
+    _applyMailboxUpdate(update) {
+        const mailbox = this.mailbox;
+        if (update.type === 'EXISTS') {
+            mailbox.exists = update.value;
+        } else if (update.type === 'RECENT') {
+            mailbox.recent = update.value;
+        } else if (update.type === 'EXPUNGE') {
+            mailbox.exists = Math.max(0, mailbox.exists - 1);
+            // The expunged UID is unknown, so cached reads must check their UID still exists
+            if (this.cache) this.cacheUnverified = new Set();
+        } else if (update.type === 'VANISHED') {
+            // EARLIER reports messages that were already gone from `exists`
+            if (!update.earlier) mailbox.exists = Math.max(0, mailbox.exists - update.uids.length);
+            this._uncache(update.uids);
+        } else if (update.type === 'FLAGS') {
+            mailbox.flags = update.flags;
+        } else if (update.type === 'CODE') {
+            IMAPParser._applySelectCode(mailbox, update.code, update.data);
+        } else if (update.record) {
+            if (update.record.modseq > (mailbox.highestModseq || 0)) mailbox.highestModseq = update.record.modseq;
+            this._cacheRecord(update.record);
+        }
+    }
+
+    /**
+     * Emits the event for an unsolicited mailbox update
+     * @private
+     */
+    _emitMailboxUpdate(update) {
+        if (update.type === 'EXISTS') {
+            /**
+             * @event IMAPClient#exists
+             * @type {{count: number}}
+             */
+            this.emit('exists', { count: update.value });
+        } else if (update.type === 'EXPUNGE') {
+            /**
+             * @event IMAPClient#expunge
+             * @type {{seq: number}}
+             */
+            this.emit('expunge', { seq: update.value });
+        } else if (update.type === 'VANISHED' && !update.earlier) {
+            /**
+             * Messages expunged while QRESYNC is enabled, identified by UID
+             * @event IMAPClient#vanished
+             * @type {{uids: number[]}}
+             */
+            this.emit('vanished', { uids: update.uids });
+        } else if (update.type === 'FETCH' && update.record && update.record.flags) {
+            const { seq, uid = null, flags, modseq } = update.record;
+            /**
+             * @event IMAPClient#flags
+             * @type {{seq: number, uid: number|null, flags: string[], modseq?: number}}
+             */
+            this.emit('flags', modseq === undefined ? { seq, uid, flags } : { seq, uid, flags, modseq });
+        }
+    }
+
+    /**
+     * Authenticates with the IMAP server using username and password
+     * @async
+     * @param {string} username - Email account username
+     * @param {string} password - Email account password
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Login response from server
+     * @throws {AuthenticationError} If the server rejects the credentials
+     * @throws {Error} If login fails
+     */
+    async login(username, password, options = {}) {
+        try {
+            const response = await this._withCallOptions(options, () => this.sendCommand([
+                'LOGIN',
+                IMAPEncoder.encodeString(username),
+                IMAPEncoder.encodeString(password)
+            ]));
+            this.log('Login successful');
+            if (this.reconnectOptions) this.credentials = { username, password };
+            await this._withCallOptions(options, () => this._afterAuthentication());
+            return response;
+        } catch (error) {
+            this.log('Login failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Authenticates with a SASL mechanism using the AUTHENTICATE command
+     * @async
+     * @param {Object} options - Authentication options
+     * @param {string} options.mechanism - PLAIN, LOGIN, XOAUTH2 or OAUTHBEARER
+     * @param {string} options.username - Email account username
+     * @param {string} [options.password] - Password for PLAIN and LOGIN
+     * @param {string} [options.authzid] - Authorization identity for PLAIN
+     * @param {string} [options.accessToken] - OAuth2 access token for XOAUTH2 and OAUTHBEARER
+     * @param {Function} [options.tokenProvider] - Async `({ username, forceRefresh })` callback
+     * returning an access token. A rejected token is refreshed and retried once.
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Tagged completion from the server
+     * @throws {AuthenticationError} If the server rejects the credentials
+     * @throws {Error} If the mechanism is unsupported or authentication fails
+     */
+    async authenticate({ mechanism, username, password, authzid = '', accessToken, tokenProvider, signal, timeout }) {
+        const name = String(mechanism).toUpperCase();
+
+        try {
+            return await this._withCallOptions({ signal, timeout }, async () => {
+                let response;
+                if (name === 'PLAIN') {
+                    response = await this._authenticateSASL(name, Buffer.from(`${authzid}\0${username}\0${password}`), () => {
+                        throw new Error('Unexpected PLAIN challenge');
+                    });
+                } else if (name === 'LOGIN') {
+                    const replies = [username, password];
+                    response = await this._authenticateSASL(name, null, () => {
+                        if (!replies.length) throw new Error('Unexpected LOGIN challenge');
+                        return Buffer.from(replies.shift());
+                    });
+                } else if (name === 'XOAUTH2' || name === 'OAUTHBEARER') {
+                    response = await this._authenticateOAuth(name, { username, accessToken, tokenProvider });
+                } else {
+                    throw new Error(`Unsupported SASL mechanism: ${mechanism}`);
+                }
+
+                this.log('Authentication successful');
+                if (this.reconnectOptions) {
+                    // A provider is asked for a fresh token rather than reusing this one
+                    this.credentials = { mechanism, username, password, authzid, tokenProvider, accessToken: tokenProvider ? undefined : accessToken };
+                }
+                await this._afterAuthentication();
+                return response;
+            });
+        } catch (error) {
+            this.log('Authentication failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reloads capabilities and enables extensions once the session is authenticated
+     * @private
+     */
+    async _afterAuthentication() {
+        // Servers commonly advertise more once authenticated
+        await this.refreshCapabilities();
+        await this._enableUtf8();
+    }
+
+    /**
+     * Enables UTF8=ACCEPT when the server supports it, so mailbox names and
+     * search strings are sent as UTF-8 instead of modified UTF-7 and charsets
+     * @private
+     */
+    async _enableUtf8() {
+        if (this.utf8Enabled || !this.hasCapability('UTF8=ACCEPT')) return;
+        await this.enable(['UTF8=ACCEPT']);
+    }
+
+    /**
+     * Runs an OAuth2 exchange, refreshing the token and retrying once if the
+     * server rejects the credentials
+     * @private
+     */
+    async _authenticateOAuth(mechanism, { username, accessToken, tokenProvider }) {
+        if (!accessToken && !tokenProvider) {
+            throw new Error(`${mechanism} requires an accessToken or tokenProvider`);
+        }
+
+        // The GS2 header of OAUTHBEARER escapes its separators (RFC 5801)
+        const authzid = String(username).replace(/=/g, '=3D').replace(/,/g, '=2C');
+        const attempt = async (token) => {
+            const initial = mechanism === 'XOAUTH2'
+                ? `user=${username}\x01auth=Bearer ${token}\x01\x01`
+                : `n,a=${authzid},\x01host=${this.host}\x01port=${this.port}\x01auth=Bearer ${token}\x01\x01`;
+
+            // A challenge after the initial response carries the error details;
+            // it must be acknowledged before the server sends its tagged NO
+            return this._authenticateSASL(mechanism, Buffer.from(initial), (challenge) => {
+                this.log(`${mechanism} error:`, challenge.toString());
+                return Buffer.from(mechanism === 'XOAUTH2' ? '' : '\x01');
+            });
+        };
+
+        const token = accessToken || await tokenProvider({ username, forceRefresh: false });
+        try {
+            return await attempt(token);
+        } catch (error) {
+            if (!tokenProvider || !(error instanceof AuthenticationError)) throw error;
+            this.log(`${mechanism} token rejected, retrying with a fresh token`);
+            return attempt(await tokenProvider({ username, forceRefresh: true }));
+        }
+    }
+
+    /**
+     * Runs an AUTHENTICATE exchange, base64-encoding every client response
+     * @private
+     * @param {string} mechanism - SASL mechanism name
+     * @param {Buffer|null} initial - Initial client response, if the mechanism has one
+     * @param {Function} respond - Produces the reply to a decoded server challenge
+     * @returns {Promise<string>} Tagged completion text
+     */
+    async _authenticateSASL(mechanism, initial, respond) {
+        const command = [`AUTHENTICATE ${mechanism}`];
+        let pendingInitial = initial;
+
+        if (initial && this.hasCapability('SASL-IR')) {
+            command.push(initial.length ? initial.toString('base64') : '=');
+            pendingInitial = null;
+        }
+
+        const { completion } = await this.execute(command.join(' '), {
+            onContinuation: async (response) => {
+                if (pendingInitial) {
+                    const reply = pendingInitial;
+                    pendingInitial = null;
+                    return reply.toString('base64');
+                }
+                const challenge = Buffer.from(response.text.substring(2), 'base64');
+                const reply = await respond(challenge);
+                return reply.toString('base64');
+            }
+        });
+        return completion.text;
+    }
+
+    /**
+     * Retrieves a list of available mailboxes
+     * @async
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Array<Object>>} List of mailboxes with their attributes. Mailboxes
+     * with a role such as `\\Sent` or `\\Trash` (RFC 6154) carry it as `specialUse`.
+     * @throws {Error} If mailbox listing fails
+     */
+    async listMailboxes(options = {}) {
+        try {
+            // Some servers only report special-use attributes when asked for them
+            const command = this.hasCapability('SPECIAL-USE') ? 'LIST "" "*" RETURN (SPECIAL-USE)' : 'LIST "" "*"';
+            const response = await this._withCallOptions(options, () => this.sendCommand(command));
+            const parsed = IMAPParser.parseList(response, { utf8: this.utf8Enabled });
+            this.log('Mailboxes:', parsed);
+            return parsed;
+        } catch (error) {
+            this.log('List mailboxes failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the available mailboxes as a folder hierarchy
+     * @async
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Array<Object>>} Root folders, each with name, path, delimiter,
+     * flags and children
+     * @throws {Error} If mailbox listing fails
+     */
+    async listMailboxTree(options = {}) {
+        return IMAPParser.buildMailboxTree(await this.listMailboxes(options));
+    }
+
+    /**
+     * Finds the mailbox the server designates for a role, such as the Sent or
+     * Trash folder, using its special-use attributes (RFC 6154)
+     * @async
+     * @param {string} role - One of all, archive, drafts, flagged, junk, sent or trash,
+     * with or without the leading backslash
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object|null>} The mailbox as returned by listMailboxes, or null
+     * if no mailbox has the role
+     * @throws {Error} If the role is unknown or mailbox listing fails
+     */
+    async getSpecialMailbox(role, options = {}) {
+        const name = String(role).replace(/^\\/, '').toLowerCase();
+        const attribute = IMAPParser.specialUse([`\\${name}`]);
+        if (!attribute) {
+            throw new Error(`Unknown special-use role: ${role}`);
+        }
+
+        const mailboxes = await this.listMailboxes(options);
+        return mailboxes.find(mailbox => mailbox.specialUse === attribute) || null;
+    }
+
+    /**
+     * Retrieves the personal, other users' and shared namespaces using NAMESPACE
+     * (RFC 2342). Without NAMESPACE support, the whole hierarchy is reported as a
+     * single personal namespace.
+     * @async
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<{personal: Array, otherUsers: Array, shared: Array}>} Namespaces
+     * of each kind as `{ prefix, delimiter }`
+     * @throws {Error} If the command fails
+     */
+    async getNamespaces(options = {}) {
+        try {
+            let namespaces;
+            if (this.hasCapability('NAMESPACE')) {
+                const response = await this._withCallOptions(options, () => this.sendCommand('NAMESPACE'));
+                namespaces = IMAPParser.parseNamespace(response, { utf8: this.utf8Enabled });
+            }
+            if (!namespaces) {
+                // An empty mailbox pattern asks only for the hierarchy delimiter
+                const response = await this._withCallOptions(options, () => this.sendCommand('LIST "" ""'));
+                const [root] = IMAPParser.parseList(response, { utf8: this.utf8Enabled });
+                namespaces = { personal: [{ prefix: '', delimiter: root ? root.delimiter : null }], otherUsers: [], shared: [] };
+            }
+            this.log('Namespaces:', namespaces);
+            return namespaces;
+        } catch (error) {
+            this.log('Namespace lookup failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the list of subscribed mailboxes using LSUB
+     * @async
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Array<Object>>} List of subscribed mailboxes with their attributes
+     * @throws {Error} If mailbox listing fails
+     */
+    async listSubscribed(options = {}) {
+        try {
+            const response = await this._withCallOptions(options, () => this.sendCommand('LSUB "" "*"'));
+            const parsed = IMAPParser.parseList(response, { utf8: this.utf8Enabled });
+            this.log('Subscribed mailboxes:', parsed);
+            return parsed;
+        } catch (error) {
+            this.log('List subscribed mailboxes failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Selects a specific mailbox for further operations
+     * @async
+     * @param {string} mailbox - Name of the mailbox to select
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} Mailbox metadata
+     * @throws {Error} If mailbox selection fails
+     */
+    async selectMailbox(mailbox, options = {}) {
+        return this._openMailbox('SELECT', mailbox, options);
+    }
+
+    /**
+     * Opens a mailbox read-only using EXAMINE, so that reading messages
+     * never changes their flags
+     * @async
+     * @param {string} mailbox - Name of the mailbox to examine
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} Mailbox metadata
+     * @throws {Error} If mailbox selection fails
+     */
+    async examineMailbox(mailbox, options = {}) {
+        return this._openMailbox('EXAMINE', mailbox, options);
+    }
+
+    /**
+     * Runs SELECT or EXAMINE and records the selected mailbox
+     * @private
+     */
+    async _openMailbox(command, mailbox, options = {}) {
+        const { parsed } = await this._select(command, mailbox, null, options);
+        return parsed;
+    }
+
+    /**
+     * Runs SELECT or EXAMINE, optionally with select parameters such as
+     * `(CONDSTORE)`, and records the selected mailbox
+     * @private
+     * @returns {Promise<{parsed: Object, responses: IMAPResponse[]}>} Mailbox metadata and
+     * the untagged responses
+     */
+    async _select(command, mailbox, parameters, options = {}) {
+        try {
+            const parts = [command, this._encodeMailbox(mailbox)];
+            if (parameters) parts.push(parameters);
+            const { responses, completion } = await this._withCallOptions(options, () => this.execute(parts));
+            const parsed = IMAPParser.parseSelect([...responses, completion].map(String).join('\n'));
+            // Servers may open a mailbox read-only even for SELECT
+            if (parsed.readOnly === null) parsed.readOnly = command === 'EXAMINE';
+            this.mailbox = { name: mailbox, ...parsed };
+            this.cacheUnverified = null;
+            if (this.cache && parsed.uidvalidity != null) {
+                // Entries cached under another UIDVALIDITY can never be valid again
+                this._cacheTask(() => this.cache.clear(mailbox, parsed.uidvalidity));
+            }
+            this.log(`Mailbox ${mailbox} selected:`, parsed);
+            return { parsed, responses };
+        } catch (error) {
+            // A failed SELECT or EXAMINE leaves no mailbox selected
+            if (error instanceof IMAPNoError) this.mailbox = null;
+            this.log(`Select mailbox ${mailbox} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Creates a mailbox
+     * @async
+     * @param {string} mailbox - Name of the mailbox to create
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Server response
+     * @throws {Error} If the mailbox cannot be created
+     */
+    async createMailbox(mailbox, options = {}) {
+        return this._mailboxCommand('CREATE', [mailbox], options);
+    }
+
+    /**
+     * Deletes a mailbox
+     * @async
+     * @param {string} mailbox - Name of the mailbox to delete
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Server response
+     * @throws {Error} If the mailbox cannot be deleted
+     */
+    async deleteMailbox(mailbox, options = {}) {
+        const response = await this._mailboxCommand('DELETE', [mailbox], options);
+        if (this.mailbox && this.mailbox.name === mailbox) {
+            this.mailbox = null;
+        }
+        return response;
+    }
+
+    /**
+     * Renames a mailbox
+     * @async
+     * @param {string} mailbox - Current mailbox name
+     * @param {string} newName - New mailbox name
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Server response
+     * @throws {Error} If the mailbox cannot be renamed
+     */
+    async renameMailbox(mailbox, newName, options = {}) {
+        const response = await this._mailboxCommand('RENAME', [mailbox, newName], options);
+        // The selected mailbox stays selected under its new name. Renaming INBOX
+        // moves its messages to a new mailbox and leaves INBOX in place.
+        if (this.mailbox && this.mailbox.name === mailbox && mailbox.toUpperCase() !== 'INBOX') {
+            this.mailbox.name = newName;
+        }
+        return response;
+    }
+
+    /**
+     * Subscribes to a mailbox
+     * @async
+     * @param {string} mailbox - Name of the mailbox
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Server response
+     * @throws {Error} If the subscription fails
+     */
+    async subscribe(mailbox, options = {}) {
+        return this._mailboxCommand('SUBSCRIBE', [mailbox], options);
+    }
+
+    /**
+     * Unsubscribes from a mailbox
+     * @async
+     * @param {string} mailbox - Name of the mailbox
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>} Server response
+     * @throws {Error} If the unsubscription fails
+     */
+    async unsubscribe(mailbox, options = {}) {
+        return this._mailboxCommand('UNSUBSCRIBE', [mailbox], options);
+    }
+
+    /**
+     * Runs a command whose arguments are all mailbox names
+     * @private
+     */
+    async _mailboxCommand(command, mailboxes, options = {}) {
+        try {
+            const parts = [command, ...mailboxes.map(name => this._encodeMailbox(name))];
+            const response = await this._withCallOptions(options, () => this.sendCommand(parts));
+            this.log(`${command} ${mailboxes.join(' ')} succeeded`);
+            return response;
+        } catch (error) {
+            this.log(`${command} ${mailboxes.join(' ')} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves mailbox counters using STATUS, without selecting the mailbox
+     * @async
+     * @param {string} mailbox - Name of the mailbox
+     * @param {string[]} [items=['MESSAGES','UNSEEN','UIDNEXT','UIDVALIDITY']] - STATUS data items
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} Mailbox name and the requested counters, keyed in lower case
+     * @throws {Error} If the STATUS command fails
+     */
+    async mailboxStatus(mailbox, items = ['MESSAGES', 'UNSEEN', 'UIDNEXT', 'UIDVALIDITY'], options = {}) {
+        try {
+            const list = items.map(item => String(item).toUpperCase());
+            const command = ['STATUS', this._encodeMailbox(mailbox), `(${list.join(' ')})`];
+            const response = await this._withCallOptions(options, () => this.sendCommand(command));
+            const parsed = { ...IMAPParser.parseStatus(response), name: mailbox };
+            this.log(`Mailbox ${mailbox} status:`, parsed);
+            return parsed;
+        } catch (error) {
+            this.log(`Status of mailbox ${mailbox} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the usage and limits of a quota root using GETQUOTA (RFC 9208)
+     * @async
+     * @param {string} [root=''] - Quota root name, usually from getQuotaRoot
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<{root: string, resources: Object}|null>} The quota root with
+     * `{ usage, limit }` per lower-case resource name; STORAGE is in KiB
+     * @throws {Error} If the server does not support QUOTA or the command fails
+     */
+    async getQuota(root = '', options = {}) {
+        try {
+            if (!this.hasCapability('QUOTA')) {
+                throw new Error('Server does not support QUOTA');
+            }
+
+            const command = ['GETQUOTA', IMAPEncoder.encodeString(root)];
+            const response = await this._withCallOptions(options, () => this.sendCommand(command));
+            const [quota = null] = IMAPParser.parseQuota(response);
+            this.log(`Quota ${root}:`, quota);
+            return quota;
+        } catch (error) {
+            this.log(`Quota of ${root} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the quota roots of a mailbox and their usage using GETQUOTAROOT
+     * (RFC 9208)
+     * @async
+     * @param {string} [mailbox='INBOX'] - Name of the mailbox
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<{mailbox: string, roots: string[], quotas: Array}>} Quota roots
+     * and their quotas, as returned by getQuota
+     * @throws {Error} If the server does not support QUOTA or the command fails
+     */
+    async getQuotaRoot(mailbox = 'INBOX', options = {}) {
+        try {
+            if (!this.hasCapability('QUOTA')) {
+                throw new Error('Server does not support QUOTA');
+            }
+
+            const command = ['GETQUOTAROOT', this._encodeMailbox(mailbox)];
+            const response = await this._withCallOptions(options, () => this.sendCommand(command));
+            const parsed = { ...IMAPParser.parseQuotaRoot(response, { utf8: this.utf8Enabled }), mailbox };
+            this.log(`Quota roots of ${mailbox}:`, parsed);
+            return parsed;
+        } catch (error) {
+            this.log(`Quota roots of ${mailbox} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Encodes a mailbox name as a command argument, in modified UTF-7 unless
+     * UTF8=ACCEPT is enabled
+     * @private
+     * @param {string} mailbox - Mailbox name
+     * @returns {string|{literal: Buffer}} Command part
+     */
+    _encodeMailbox(mailbox) {
+        return IMAPEncoder.encodeString(this.utf8Enabled ? mailbox : ModifiedUTF7.encode(mailbox));
+    }
+
+    /**
+     * Retrieves the total number of emails in the current mailbox
+     * @async
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<number>} Total email count
+     * @throws {Error} If email count retrieval fails
+     */
+    async fetchEmailCount({ signal, timeout } = {}) {
+        try {
+            const { count } = await this.search({ all: true }, { return: ['COUNT'], signal, timeout });
+            this.log(`Email count:`, count);
+            return count;
+        } catch (error) {
+            this.log(`Email count failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Searches the selected mailbox
+     * @async
+     * @param {Object} [criteria={}] - Search criteria, e.g. `{ from, to, subject, since,
+     * before, unseen, flagged, larger, header: [name, value], or: [...], not: {...} }`.
+     * See IMAPSearch.compile for every supported key. Matches all messages when empty.
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.uid=false] - Return UIDs instead of sequence numbers
+     * @param {string[]} [options.return] - ESEARCH result options (MIN, MAX, COUNT, ALL).
+     * Computed client-side when the server lacks ESEARCH.
+     * @param {number} [options.uidvalidity] - UIDVALIDITY that UIDs in the criteria were cached under
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<number[]|Object>} Matching numbers, or an ESEARCH result
+     * `{ uid, min, max, count, all }` when `options.return` is given
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the criteria are invalid or the search fails
+     */
+    async search(criteria = {}, { uid = false, return: returnOptions, uidvalidity, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const { parts, utf8 } = IMAPSearch.compile(criteria);
+            const requested = returnOptions && returnOptions.map(option => option.toUpperCase());
+            const esearch = requested && this.hasCapability('ESEARCH');
+
+            const command = [uid ? 'UID SEARCH' : 'SEARCH'];
+            if (esearch) command.push(`RETURN (${requested.join(' ')})`);
+            // With UTF8=ACCEPT enabled, UTF-8 is implied and CHARSET is not allowed
+            if (utf8 && !this.utf8Enabled) command.push('CHARSET', 'UTF-8');
+            command.push(...parts);
+
+            const response = await this._withCallOptions({ signal, timeout }, () => this.sendCommand(command));
+            let result;
+            if (!requested) {
+                result = IMAPParser.parseSearch(response);
+            } else if (esearch) {
+                result = IMAPParser.parseESearch(response)
+                    || { uid, min: null, max: null, count: requested.includes('COUNT') ? 0 : null, all: [] };
+            } else {
+                const all = IMAPParser.parseSearch(response);
+                const pick = (option, value) => (requested.includes(option) ? value : null);
+                result = {
+                    uid,
+                    min: pick('MIN', all.length ? all.reduce((a, b) => Math.min(a, b)) : null),
+                    max: pick('MAX', all.length ? all.reduce((a, b) => Math.max(a, b)) : null),
+                    count: pick('COUNT', all.length),
+                    all: requested.includes('ALL') ? all : []
+                };
+            }
+
+            this.log(`Search results:`, result);
+            return result;
+        } catch (error) {
+            this.log(`Search failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sorts matching messages with SORT (RFC 5256), or locally from their
+     * envelopes when the server lacks the extension
+     * @async
+     * @param {string|string[]} criteria - Sort keys: ARRIVAL, CC, DATE, FROM, SIZE, SUBJECT
+     * or TO, each optionally preceded by REVERSE, e.g. `['REVERSE', 'DATE']`
+     * @param {Object} [search={}] - Search criteria as for search(); matches all messages when empty
+     * @param {Object} [options] - Sort options
+     * @param {boolean} [options.uid=false] - Return UIDs instead of sequence numbers
+     * @param {number} [options.uidvalidity] - UIDVALIDITY that UIDs in the criteria were cached under
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<number[]>} Matching numbers in sorted order
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the criteria are invalid or a command fails
+     * @example
+     * // Newest first
+     * const uids = await client.sort(['REVERSE', 'DATE'], { unseen: true }, { uid: true });
+     */
+    async sort(criteria, search = {}, { uid = false, uidvalidity, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const keys = IMAPSort.compile(criteria);
+            const result = await this._withCallOptions({ signal, timeout }, async () => {
+                if (this.hasCapability('SORT')) {
+                    const command = [uid ? 'UID SORT' : 'SORT', `(${keys.join(' ')})`, 'UTF-8', ...IMAPSearch.compile(search).parts];
+                    return IMAPParser.parseSort(await this.sendCommand(command));
+                }
+                const records = await this._fetchMatching(search, IMAPSort.fetchItems(keys));
+                return IMAPSort.sortMessages(records, keys).map(record => (uid ? record.uid : record.seq));
+            });
+            this.log(`Sort results:`, result);
+            return result;
+        } catch (error) {
+            this.log(`Sort failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Groups matching messages into conversations with THREAD (RFC 5256), or
+     * locally when the server lacks the algorithm
+     * @async
+     * @param {string} [algorithm='REFERENCES'] - REFERENCES (by Message-ID, In-Reply-To and
+     * References, then subject) or ORDEREDSUBJECT (by subject only); other algorithms the
+     * server advertises are passed through
+     * @param {Object} [search={}] - Search criteria as for search(); matches all messages when empty
+     * @param {Object} [options] - Thread options
+     * @param {boolean} [options.uid=false] - Return UIDs instead of sequence numbers
+     * @param {number} [options.uidvalidity] - UIDVALIDITY that UIDs in the criteria were cached under
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Array<{id: number|null, children: Array}>>} One tree per thread, see
+     * IMAPParser.parseThread; `id` is null for a missing message that groups its replies
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the algorithm is not supported or a command fails
+     */
+    async thread(algorithm = 'REFERENCES', search = {}, { uid = false, uidvalidity, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const name = String(algorithm).toUpperCase();
+            const local = name === 'REFERENCES' || name === 'ORDEREDSUBJECT';
+            if (!/^[A-Z0-9-]+$/.test(name) || (!local && !this.hasCapability(`THREAD=${name}`))) {
+                throw new Error(`Unsupported threading algorithm: ${algorithm}`);
+            }
+
+            const result = await this._withCallOptions({ signal, timeout }, async () => {
+                if (this.hasCapability(`THREAD=${name}`)) {
+                    const command = [uid ? 'UID THREAD' : 'THREAD', name, 'UTF-8', ...IMAPSearch.compile(search).parts];
+                    return IMAPParser.parseThread(await this.sendCommand(command));
+                }
+                const references = name === 'REFERENCES';
+                const items = { uid: true, envelope: true, internalDate: true, headers: references ? ['References'] : undefined };
+                const records = await this._fetchMatching(search, items);
+                const id = record => (uid ? record.uid : record.seq);
+                return references ? IMAPThread.references(records, id) : IMAPThread.orderedSubject(records, id);
+            });
+            this.log(`Thread results:`, result.length);
+            return result;
+        } catch (error) {
+            this.log(`Thread failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches items for every message matching search criteria
+     * @private
+     */
+    async _fetchMatching(search, items) {
+        const uids = await this.search(search, { uid: true });
+        return this._fetchUids(uids, items);
+    }
+
+    /**
+     * Fetches email envelope metadata for a specific email
+     * @async
+     * @param {number|string} id - Message sequence number, or UID with `options.uid`
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.uid=false] - Address the message by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UID was cached under
+     * @param {string} [options.mailbox] - Mailbox to read from in offline mode when none
+     * is selected, together with `options.uidvalidity`
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} Email envelope information
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {ConnectionError} In offline mode, if the envelope is not cached
+     * @throws {Error} If email fetch fails
+     */
+    async fetchEmail(id, { uid = false, uidvalidity, mailbox, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const scope = this._cacheScope(id, uid, { mailbox, uidvalidity });
+            const cached = (scope || this.offline) && await this._withCallOptions({ signal, timeout },
+                () => this._readCache(scope, id, entry => entry.envelope != null));
+            if (cached) {
+                this.log(`Fetched email from cache:`, id);
+                return cached.envelope;
+            }
+
+            // The UID FETCH response carries the UID, so the envelope is cached on arrival
+            const command = `${uid ? 'UID FETCH' : 'FETCH'} ${IMAPEncoder.sequenceSet(id)} ENVELOPE`;
+            // Literals are read from the structured responses, so non-UTF-8 bytes cannot shift fields
+            const { responses } = await this._withCallOptions({ signal, timeout }, () => this.execute(command));
+            const record = responses.map(response => IMAPParser.parseFetch(response)).find(item => item && item.envelope);
+            const parsed = record ? record.envelope : null;
+            this.log(`Fetched email:`, parsed);
+            return parsed;
+        } catch (error) {
+            this.log(`Fetch email ${id} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches data for a range of messages in a single FETCH command
+     * @async
+     * @param {number|string|Array} range - Sequence set such as `1:*` or `100,105:120`,
+     * or a UID set with `options.uid`
+     * @param {Object} [items] - Data to fetch for each message; defaults to UID, flags and envelope
+     * @param {boolean} [items.uid] - UID
+     * @param {boolean} [items.flags] - Flags
+     * @param {boolean} [items.envelope] - Envelope
+     * @param {boolean} [items.size] - Size in bytes (RFC822.SIZE)
+     * @param {boolean} [items.internalDate] - Date the server received the message
+     * @param {boolean} [items.bodyStructure] - Raw BODYSTRUCTURE list
+     * @param {string[]|boolean} [items.headers] - Header fields to fetch, or true for the
+     * whole header; fetched with BODY.PEEK so \Seen is not set
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.uid=false] - Address messages by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UIDs were cached under
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {AsyncIterable<Object>} One record per message, yielded as the server
+     * sends it; see IMAPParser.parseFetch for the fields
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the range or items are invalid or the FETCH command fails
+     * @example
+     * for await (const message of client.fetchMessages('1:*', { uid: true, envelope: true })) {
+     *     console.log(message.uid, message.envelope.subject);
+     * }
+     */
+    async *fetchMessages(range, items = { uid: true, flags: true, envelope: true }, { uid = false, uidvalidity, signal, timeout } = {}) {
+        const queue = [];
+        let finished = false;
+        let stopped = false;
+        let failure = null;
+        let wake = null;
+        let count = 0;
+        let paused = null;
+
+        const notify = () => {
+            if (wake) wake();
+            wake = null;
+        };
+
+        try {
+            this._checkUidValidity(uidvalidity);
+            const command = `${uid ? 'UID FETCH' : 'FETCH'} ${IMAPEncoder.sequenceSet(range)} (${this._fetchItems(items).join(' ')})`;
+
+            // Records are handed over one by one rather than collected in the
+            // command's responses, and the socket is paused while too many wait
+            // for the loop, so large ranges are never held in full
+            this.execute(command, {
+                signal,
+                timeout,
+                onUntagged: (response) => {
+                    if (stopped) return;
+                    const record = IMAPParser.parseFetch(response);
+                    if (!record) return;
+                    queue.push(record);
+                    if (!paused && queue.length >= FETCH_HIGH_WATER_MARK) paused = this._pauseReading();
+                    notify();
+                }
+            }).then(() => {
+                finished = true;
+                notify();
+            }, (error) => {
+                failure = error;
+                finished = true;
+                notify();
+            });
+
+            while (true) {
+                while (queue.length) {
+                    count++;
+                    yield queue.shift();
+                    if (paused && queue.length < FETCH_HIGH_WATER_MARK / 2) {
+                        this._resumeReading(paused);
+                        paused = null;
+                    }
+                }
+                if (finished) break;
+                await new Promise(resolve => { wake = resolve; });
+            }
+            if (failure) throw failure;
+
+            this.log(`Fetched messages:`, count);
+        } catch (error) {
+            this.log(`Fetch messages ${range} failed:`, error);
+            throw error;
+        } finally {
+            stopped = true;
+            queue.length = 0;
+            this._resumeReading(paused);
+        }
+    }
+
+    /**
+     * Stops reading from the socket until _resumeReading(). The running command's
+     * timer stops too, since the server is not the one keeping it waiting.
+     * @private
+     * @returns {net.Socket|tls.TLSSocket|null} The paused socket
+     */
+    _pauseReading() {
+        const { socket } = this;
+        if (!socket || typeof socket.pause !== 'function') return null;
+        socket.pause();
+        if (this.currentCommand) clearTimeout(this.currentCommand.timer);
+        return socket;
+    }
+
+    /**
+     * Reads from a socket paused by _pauseReading() again
+     * @private
+     * @param {net.Socket|tls.TLSSocket|null} socket - Paused socket
+     */
+    _resumeReading(socket) {
+        if (!socket || socket !== this.socket) return;
+        socket.resume();
+        if (this.currentCommand) this._armTimeout(this.currentCommand);
+    }
+
+    /**
+     * Builds the FETCH data items for fetchMessages
+     * @private
+     * @param {Object} items - Requested items
+     * @returns {string[]} FETCH data items
+     */
+    _fetchItems(items) {
+        const result = [];
+        if (items.uid) result.push('UID');
+        if (items.flags) result.push('FLAGS');
+        if (items.size) result.push('RFC822.SIZE');
+        if (items.internalDate) result.push('INTERNALDATE');
+        if (items.envelope) result.push('ENVELOPE');
+        if (items.bodyStructure) result.push('BODYSTRUCTURE');
+
+        if (items.headers === true) {
+            result.push('BODY.PEEK[HEADER]');
+        } else if (items.headers && items.headers.length) {
+            for (const name of items.headers) {
+                if (!/^[!-9;-~]+$/.test(name)) throw new Error(`Invalid header field name: ${name}`);
+            }
+            result.push(`BODY.PEEK[HEADER.FIELDS (${items.headers.join(' ')})]`);
+        }
+
+        if (!result.length) throw new Error('No fetch items requested');
+        return result;
+    }
+
+    /**
+     * Brings a mirror of a mailbox up to date. Uses QRESYNC or CONDSTORE when
+     * the server supports them, so only changes since the last run are
+     * transferred, and otherwise diffs the mailbox's UID list. Selects the mailbox.
+     * @async
+     * @param {string} mailbox - Name of the mailbox
+     * @param {Object} [lastState] - `newState` of the previous run; omit for the first run
+     * @param {number} [lastState.uidvalidity] - UIDVALIDITY of the mirrored messages
+     * @param {number} [lastState.highestModseq] - HIGHESTMODSEQ reached by the last run
+     * @param {number[]} [lastState.uids] - UIDs of the mirrored messages
+     * @param {Object} [options] - Sync options
+     * @param {Object} [options.items] - Data to fetch for added messages, see fetchMessages;
+     * defaults to UID, flags and envelope
+     * @param {boolean} [options.readOnly=false] - Open the mailbox with EXAMINE
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for each command
+     * @param {AbortSignal} [options.signal] - Cancels the sync
+     * @returns {Promise<Object>} `{ added, changedFlags, vanished, reset, newState }`:
+     * records for new messages, `{ uid, flags, modseq }` for messages whose flags changed
+     * (every known message without CONDSTORE), UIDs that disappeared, whether UIDVALIDITY
+     * changed so the mirror must be rebuilt, and the state to pass to the next run
+     * @throws {Error} If the mailbox cannot be selected or a command fails
+     * @example
+     * const { added, changedFlags, vanished, newState } = await client.sync('INBOX', saved);
+     */
+    async sync(mailbox, lastState = {}, { items = { uid: true, flags: true, envelope: true }, readOnly = false, signal, timeout } = {}) {
+        try {
+            const result = await this._withCallOptions({ signal, timeout },
+                () => this._sync(mailbox, lastState || {}, { items, readOnly }));
+            this.log(`Synced ${mailbox}:`, {
+                added: result.added.length,
+                changed: result.changedFlags.length,
+                vanished: result.vanished.length
+            });
+            return result;
+        } catch (error) {
+            this.log(`Sync of ${mailbox} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Runs a sync; see sync()
+     * @private
+     */
+    async _sync(mailbox, lastState, { items, readOnly }) {
+        const known = (lastState.uids || []).map(Number);
+        const knownSet = new Set(known);
+        const qresync = await this._enableQresync();
+        const condstore = qresync || this.hasCapability('CONDSTORE');
+        const resume = lastState.uidvalidity != null && lastState.highestModseq != null && condstore;
+
+        let parameters = null;
+        if (resume && qresync) {
+            const uids = known.length ? ` ${IMAPEncoder.compactSet(known)}` : '';
+            parameters = `(QRESYNC (${Number(lastState.uidvalidity)} ${Number(lastState.highestModseq)}${uids}))`;
+        } else if (condstore) {
+            parameters = '(CONDSTORE)';
+        }
+        const { parsed, responses } = await this._select(readOnly ? 'EXAMINE' : 'SELECT', mailbox, parameters);
+
+        const reset = lastState.uidvalidity != null && Number(lastState.uidvalidity) !== parsed.uidvalidity;
+        const result = { added: [], changedFlags: [], vanished: [], reset };
+        let current;
+
+        if (lastState.uidvalidity == null || reset) {
+            // Everything the mirror holds is gone or unknown
+            current = await this._allUids(parsed);
+            result.vanished = reset ? known : [];
+            result.added = await this._fetchUids(current, items);
+        } else if (resume && parsed.highestModseq != null) {
+            let changed;
+            if (qresync) {
+                changed = responses.map(response => IMAPParser.parseFetch(response)).filter(Boolean);
+                result.vanished = IMAPParser.parseVanished(responses.map(String).join('\n')).uids;
+            } else {
+                changed = parsed.highestModseq > Number(lastState.highestModseq)
+                    ? await this._changedSince(Number(lastState.highestModseq))
+                    : [];
+            }
+
+            // Without the UID list, messages are told apart by the UIDNEXT of the last run
+            const isNew = uid => (known.length || lastState.uidnext == null
+                ? !knownSet.has(uid)
+                : uid >= Number(lastState.uidnext));
+            const addedUids = [];
+            for (const { uid, flags, modseq } of changed) {
+                if (uid === undefined) continue;
+                if (isNew(uid)) addedUids.push(uid);
+                else result.changedFlags.push({ uid, flags, modseq });
+            }
+
+            if (!qresync && known.length) {
+                const present = new Set(await this._allUids(parsed));
+                result.vanished = known.filter(uid => !present.has(uid));
+                current = [...present];
+            } else if (known.length) {
+                const vanished = new Set(result.vanished);
+                current = [...known.filter(uid => !vanished.has(uid)), ...addedUids];
+            } else {
+                current = await this._allUids(parsed);
+            }
+            result.added = await this._fetchUids(addedUids, items);
+        } else {
+            // No CONDSTORE: diff the UID lists and report the flags of every known message
+            current = await this._allUids(parsed);
+            const present = new Set(current);
+            result.vanished = known.filter(uid => !present.has(uid));
+            const kept = current.filter(uid => knownSet.has(uid));
+            result.added = await this._fetchUids(current.filter(uid => !knownSet.has(uid)), items);
+            result.changedFlags = (await this._fetchUids(kept, { uid: true, flags: true }))
+                .map(({ uid, flags }) => ({ uid, flags }));
+        }
+
+        // SELECT responses bypass the cache, and vanished UIDs may predate this connection.
+        // After a reset the old entries are already gone with their UIDVALIDITY.
+        if (!reset) this._uncache(result.vanished);
+        if (qresync) result.changedFlags.forEach(record => this._cacheRecord(record));
+
+        result.newState = {
+            uidvalidity: parsed.uidvalidity,
+            highestModseq: parsed.highestModseq,
+            uidnext: parsed.uidnext,
+            uids: [...new Set(current)].sort((a, b) => a - b)
+        };
+        return result;
+    }
+
+    /**
+     * Enables QRESYNC once per connection when the server supports it
+     * @private
+     * @returns {Promise<boolean>} Whether QRESYNC is enabled
+     */
+    async _enableQresync() {
+        if (this.qresyncEnabled || !this.hasCapability('QRESYNC')) return this.qresyncEnabled;
+        try {
+            // ENABLE is refused while a mailbox is selected. sync() selects one
+            // right after, so leaving the current one loses nothing.
+            if (this.mailbox) {
+                if (!this.hasCapability('UNSELECT') && !this.hasCapability('IMAP4REV2')) return false;
+                await this.sendCommand('UNSELECT');
+                this.mailbox = null;
+            }
+            await this.enable(['QRESYNC']);
+        } catch (error) {
+            this.log('ENABLE QRESYNC failed:', error);
+        }
+        return this.qresyncEnabled;
+    }
+
+    /**
+     * Lists every UID in the selected mailbox
+     * @private
+     */
+    async _allUids(mailbox) {
+        if (!mailbox.exists) return [];
+        return this.search({ all: true }, { uid: true });
+    }
+
+    /**
+     * Fetches UID, FLAGS and MODSEQ of messages changed since a modification sequence
+     * @private
+     */
+    async _changedSince(modseq) {
+        const { responses } = await this.execute(`UID FETCH 1:* (UID FLAGS MODSEQ) (CHANGEDSINCE ${modseq})`);
+        return responses.map(response => IMAPParser.parseFetch(response)).filter(Boolean);
+    }
+
+    /**
+     * Fetches items for a list of UIDs, in UID order
+     * @private
+     */
+    async _fetchUids(uids, items) {
+        if (!uids.length) return [];
+        const records = [];
+        for await (const record of this.fetchMessages(IMAPEncoder.compactSet(uids), { ...items, uid: true }, { uid: true })) {
+            records.push(record);
+        }
+        return records.sort((a, b) => a.uid - b.uid);
+    }
+
+    /**
+     * Retrieves the body of a specific email
+     * @async
+     * @param {number|string} id - Message sequence number, or UID with `options.uid`
+     * @param {string} [format="TEXT"] - Preferred body format (TEXT, HEADER). HTML is
+     * accepted as TEXT; the parsed body carries both `text` and `html`.
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.uid=false] - Address the message by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UID was cached under
+     * @param {string} [options.mailbox] - Mailbox to read from in offline mode when none
+     * is selected, together with `options.uidvalidity`
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} Parsed email body using mailparser. Reads served from the
+     * cache do not mark the message as seen.
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {ConnectionError} In offline mode, if the message is not cached
+     * @throws {Error} If email body retrieval fails
+     */
+    async fetchEmailBody(id, format = "TEXT", { uid = false, uidvalidity, mailbox, signal, timeout } = {}) {
+        // HTML is no IMAP section, but it used to be accepted; the parsed
+        // TEXT carries the HTML body
+        if (format === 'HTML') format = 'TEXT';
+        try {
+            this._checkUidValidity(uidvalidity);
+            // The full message is cached, which also answers requests for its header
+            const scope = format === 'TEXT' || format === 'HEADER' ? this._cacheScope(id, uid, { mailbox, uidvalidity }) : null;
+            const cached = (scope || this.offline) && await this._withCallOptions({ signal, timeout },
+                () => this._readCache(scope, id, entry => Buffer.isBuffer(entry.raw)));
+            if (cached) {
+                const raw = format === 'HEADER' ? this._headerOf(cached.raw) : cached.raw;
+                this.log(`Fetched email body from cache:`, raw.length, 'bytes');
+                return simpleParser(raw);
+            }
+
+            // The text section alone carries no MIME headers, so fetch them
+            // alongside it to let mailparser decode transfer encodings and charsets
+            const sections = format === 'TEXT' ? ['HEADER', 'TEXT'] : [format];
+            const items = sections.map(section => `BODY[${section}]`).join(' ');
+            const command = uid ? 'UID FETCH' : 'FETCH';
+            const { responses } = await this.execute(`${command} ${IMAPEncoder.sequenceSet(id)} (${items})`, { signal, timeout });
+
+            const raw = Buffer.concat(sections.map(section => IMAPParser.parseBody(responses, section) || Buffer.alloc(0)));
+            if (scope && format === 'TEXT' && raw.length) this._updateCache(scope, { raw });
+            const parsed = await simpleParser(raw);
+
+            this.log(`Fetched email body:`, raw.length, 'bytes');
+            return parsed;
+        } catch (error) {
+            this.log(`Fetch email body ${id} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches a single MIME part, decoding its transfer encoding and charset.
+     * Uses BODY.PEEK, so the message is not marked as seen.
+     * @async
+     * @param {number|string} id - Message sequence number, or UID with `options.uid`
+     * @param {string} partNumber - Part number from the body structure, e.g. `1.2`
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.uid=false] - Address the message by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UID was cached under
+     * @param {number} [options.start=0] - Offset into the encoded part, with `options.length`
+     * @param {number} [options.length] - Fetch at most this many encoded bytes, e.g. for a
+     * preview; base64 parts should start at a multiple of 4
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<{structure: Object, content: string|Buffer}>} The part's node from
+     * the body structure, and its content as text for `text/*` parts or bytes otherwise
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the message or part does not exist or the FETCH command fails
+     */
+    async fetchPart(id, partNumber, { uid = false, uidvalidity, start = 0, length, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const { structure, raw } = await this._fetchSection(id, partNumber, { uid, start, length, signal, timeout });
+
+            const decoded = TransferDecoder.decode(raw, structure.encoding);
+            const content = structure.type.startsWith('text/')
+                ? TransferDecoder.decodeText(decoded, structure.parameters.charset)
+                : decoded;
+
+            this.log(`Fetched part ${partNumber}:`, decoded.length, 'bytes');
+            return { structure, content };
+        } catch (error) {
+            this.log(`Fetch part ${partNumber} of ${id} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Streams a decoded MIME part, typically an attachment, into a writable stream.
+     * The part is fetched in ranges with BODY.PEEK, so only one range is held in
+     * memory at a time and the message is not marked as seen.
+     * @async
+     * @param {number|string} id - Message sequence number, or UID with `options.uid`
+     * @param {string} partNumber - Part number from the body structure, e.g. `2`
+     * @param {Writable} destination - Stream that receives the decoded bytes; it is ended
+     * once the part is complete
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.uid=false] - Address the message by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UID was cached under
+     * @param {number} [options.chunkSize=1048576] - Encoded bytes fetched per round trip
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for each round trip
+     * @param {AbortSignal} [options.signal] - Cancels the download
+     * @returns {Promise<Object>} The part's node from the body structure
+     * @throws {UIDValidityError} If the mailbox's UIDVALIDITY no longer matches
+     * @throws {Error} If the message or part does not exist, the FETCH command fails or
+     * the destination errors
+     */
+    async downloadAttachment(id, partNumber, destination, { uid = false, uidvalidity, chunkSize = 1024 * 1024, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const first = await this._fetchSection(id, partNumber, { uid, start: 0, length: chunkSize, signal, timeout });
+
+            await pipeline(
+                this._sectionChunks(id, partNumber, first.raw, { uid, chunkSize, signal, timeout }),
+                TransferDecoder.create(first.structure.encoding),
+                destination
+            );
+
+            this.log(`Downloaded part ${partNumber} of ${id}`);
+            return first.structure;
+        } catch (error) {
+            this.log(`Download part ${partNumber} of ${id} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Yields the encoded ranges of a part, fetching the next range once the
+     * previous one has been consumed
+     * @private
+     */
+    async *_sectionChunks(id, partNumber, first, { uid, chunkSize, signal, timeout }) {
+        let chunk = first;
+        let offset = 0;
+        while (true) {
+            if (chunk.length) yield chunk;
+            if (chunk.length < chunkSize) return;
+            offset += chunk.length;
+            ({ raw: chunk } = await this._fetchSection(id, partNumber, { uid, start: offset, length: chunkSize, structure: false, signal, timeout }));
+        }
+    }
+
+    /**
+     * Fetches the raw bytes of a body section, optionally with the message's
+     * body structure
+     * @private
+     * @returns {Promise<{structure: Object|null, raw: Buffer}>} The section's structure
+     * node (when requested) and its still encoded bytes
+     */
+    async _fetchSection(id, partNumber, { uid = false, start = 0, length, structure = true, signal, timeout } = {}) {
+        if (!/^\d+(\.\d+)*$/.test(String(partNumber))) {
+            throw new Error(`Invalid part number: ${partNumber}`);
+        }
+
+        const range = length === undefined ? '' : `<${start}.${length}>`;
+        const items = `${structure ? 'BODYSTRUCTURE ' : ''}BODY.PEEK[${partNumber}]${range}`;
+        const command = `${uid ? 'UID FETCH' : 'FETCH'} ${IMAPEncoder.sequenceSet(id)} (${items})`;
+        const { responses } = await this.execute(command, { signal, timeout });
+
+        const raw = IMAPParser.parseBody(responses, String(partNumber)) || Buffer.alloc(0);
+        if (!structure) return { structure: null, raw };
+
+        const record = responses.map(response => IMAPParser.parseFetch(response)).find(item => item && item.bodyStructure);
+        if (!record) throw new Error(`Message ${id} not found`);
+
+        const node = IMAPParser.findBodyPart(record.bodyStructure, String(partNumber));
+        if (!node) throw new Error(`Part ${partNumber} not found in message ${id}`);
+        return { structure: node, raw };
+    }
+
+    /**
+     * Adds flags to messages
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {string|string[]} flags - System flags (e.g. `\Seen`) or custom keywords
+     * @param {Object} [options] - Store options
+     * @param {boolean} [options.uid=false] - Address messages by UID
+     * @param {boolean} [options.silent=false] - Use .SILENT and skip the updated flags
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UIDs were cached under
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Array<Object>>} Updated `{ seq, uid, flags }` per message
+     * @throws {Error} If the STORE command fails
+     */
+    async addFlags(set, flags, options = {}) {
+        return this._store(set, '+FLAGS', flags, options);
+    }
+
+    /**
+     * Removes flags from messages
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {string|string[]} flags - System flags or custom keywords
+     * @param {Object} [options] - Store options, see addFlags
+     * @returns {Promise<Array<Object>>} Updated `{ seq, uid, flags }` per message
+     * @throws {Error} If the STORE command fails
+     */
+    async removeFlags(set, flags, options = {}) {
+        return this._store(set, '-FLAGS', flags, options);
+    }
+
+    /**
+     * Replaces the flags of messages
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {string|string[]} flags - Complete new set of flags
+     * @param {Object} [options] - Store options, see addFlags
+     * @returns {Promise<Array<Object>>} Updated `{ seq, uid, flags }` per message
+     * @throws {Error} If the STORE command fails
+     */
+    async setFlags(set, flags, options = {}) {
+        return this._store(set, 'FLAGS', flags, options);
+    }
+
+    /**
+     * Runs STORE (or UID STORE) for one of the flag methods
+     * @private
+     */
+    async _store(set, item, flags, { uid = false, silent = false, uidvalidity, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const command = `${uid ? 'UID STORE' : 'STORE'} ${IMAPEncoder.sequenceSet(set)} ${item}${silent ? '.SILENT' : ''} ${IMAPEncoder.flagList(flags)}`;
+            const response = await this._withCallOptions({ signal, timeout }, () => this.sendCommand(command));
+            const parsed = IMAPParser.parseFetchFlags(response);
+            this.log(`Stored flags:`, parsed);
+            return parsed;
+        } catch (error) {
+            this.log(`Store flags on ${set} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Marks messages as \Deleted and expunges them
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {Object} [options] - Delete options
+     * @param {boolean} [options.uid=false] - Address messages by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UIDs were cached under
+     * @param {boolean} [options.allowFullExpunge=false] - Without UIDPLUS, expunge every
+     * \Deleted message in the mailbox, see expunge()
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<number[]>} Expunged sequence numbers, or their UIDs once QRESYNC
+     * is enabled; see expunge()
+     * @throws {Error} If the server lacks UIDPLUS and `allowFullExpunge` is not set
+     * @throws {Error} If flagging or expunging fails
+     */
+    async deleteMessages(set, { uid = false, uidvalidity, allowFullExpunge = false, signal, timeout } = {}) {
+        this._checkPartialExpunge(allowFullExpunge);
+        return this._withCallOptions({ signal, timeout }, async () => {
+            // Resolve UIDs before anything is flagged, so only these messages go
+            const uids = uid || !this.hasCapability('UIDPLUS') ? set : await this.search({ seq: set }, { uid: true });
+            await this.addFlags(set, '\\Deleted', { uid, uidvalidity, silent: true });
+            return this.expunge(uids, { uid: true, allowFullExpunge });
+        });
+    }
+
+    /**
+     * Permanently removes messages flagged \Deleted. Without a set, every \Deleted
+     * message in the mailbox is removed. With a set, only those messages are,
+     * using UID EXPUNGE; servers without UIDPLUS cannot do that, so the call
+     * fails unless `allowFullExpunge` accepts removing all of them.
+     * @async
+     * @param {number|string|Array} [set] - Sequence set, or UID set with `options.uid`,
+     * to restrict the expunge to
+     * @param {Object} [options] - Expunge options
+     * @param {boolean} [options.uid=false] - Whether `set` holds UIDs
+     * @param {boolean} [options.allowFullExpunge=false] - Without UIDPLUS, expunge every
+     * \Deleted message instead of failing
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<number[]>} Expunged sequence numbers. Once QRESYNC is enabled
+     * (`qresyncEnabled`, turned on by sync()), servers report expunged messages with
+     * VANISHED instead, and their UIDs are returned.
+     * @throws {Error} If `set` is given, the server lacks UIDPLUS and `allowFullExpunge`
+     * is not set
+     * @throws {Error} If the EXPUNGE command fails
+     */
+    async expunge(set, { uid = false, allowFullExpunge = false, signal, timeout } = {}) {
+        try {
+            const parsed = await this._withCallOptions({ signal, timeout }, async () => {
+                let command = 'EXPUNGE';
+                if (set != null) {
+                    this._checkPartialExpunge(allowFullExpunge);
+                    if (this.hasCapability('UIDPLUS')) {
+                        const uids = uid ? set : await this.search({ seq: set }, { uid: true });
+                        if (Array.isArray(uids) && !uids.length) return [];
+                        command = `UID EXPUNGE ${IMAPEncoder.sequenceSet(uids)}`;
+                    }
+                }
+                return this._parseExpunged(await this.sendCommand(command));
+            });
+            this.log(`Expunged:`, parsed);
+            return parsed;
+        } catch (error) {
+            this.log(`Expunge failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fails unless the server can expunge selected messages (UIDPLUS) or the
+     * caller accepts expunging every \Deleted message in the mailbox
+     * @private
+     */
+    _checkPartialExpunge(allowFullExpunge) {
+        if (allowFullExpunge || this.hasCapability('UIDPLUS')) return;
+        throw new Error('Expunging selected messages requires UIDPLUS; pass allowFullExpunge to expunge every \\Deleted message');
+    }
+
+    /**
+     * Copies messages to another mailbox
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {string} destination - Destination mailbox
+     * @param {Object} [options] - Copy options
+     * @param {boolean} [options.uid=false] - Address messages by UID
+     * @param {number} [options.uidvalidity] - UIDVALIDITY the UIDs were cached under
+     * @param {boolean} [options.create=false] - Create the destination and retry when the
+     * server answers [TRYCREATE]
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} `{ destination, uidvalidity, uidMap }`, where uidMap maps
+     * source UIDs to destination UIDs. Both are null unless the server supports UIDPLUS.
+     * @throws {Error} If the copy fails
+     */
+    async copyMessages(set, destination, { uid = false, uidvalidity, create = false, signal, timeout } = {}) {
+        try {
+            this._checkUidValidity(uidvalidity);
+            const command = [uid ? 'UID COPY' : 'COPY', IMAPEncoder.sequenceSet(set), this._encodeMailbox(destination)];
+            const { responses, completion } = await this._withCallOptions({ signal, timeout },
+                () => this._withTryCreate(destination, create, () => this.execute(command)));
+
+            const result = { destination, ...this._parseCopyResult(responses, completion) };
+            this.log(`Copied ${set} to ${destination}:`, result);
+            return result;
+        } catch (error) {
+            this.log(`Copy ${set} to ${destination} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Moves messages to another mailbox. Uses MOVE when the server supports it,
+     * otherwise COPY, STORE \Deleted and UID EXPUNGE. Without UIDPLUS the
+     * fallback would also expunge any other message already flagged \Deleted, so
+     * it fails unless `options.allowFullExpunge` is set.
+     * @async
+     * @param {number|string|Array} set - Sequence set, or UID set with `options.uid`
+     * @param {string} destination - Destination mailbox
+     * @param {Object} [options] - Move options, see copyMessages
+     * @param {boolean} [options.allowFullExpunge=false] - Let the fallback expunge every
+     * \Deleted message on servers without UIDPLUS
+     * @returns {Promise<Object>} `{ destination, uidvalidity, uidMap, expunged }`; `expunged`
+     * holds sequence numbers, or UIDs once QRESYNC is enabled, see expunge()
+     * @throws {Error} If the move fails
+     */
+    async moveMessages(set, destination, { uid = false, uidvalidity, create = false, allowFullExpunge = false, signal, timeout } = {}) {
+        if (!this.hasCapability('MOVE')) {
+            return this._withCallOptions({ signal, timeout },
+                () => this._copyAndExpunge(set, destination, { uid, uidvalidity, create, allowFullExpunge }));
+        }
+
+        try {
+            this._checkUidValidity(uidvalidity);
+            const command = [uid ? 'UID MOVE' : 'MOVE', IMAPEncoder.sequenceSet(set), this._encodeMailbox(destination)];
+            const { responses, completion } = await this._withCallOptions({ signal, timeout },
+                () => this._withTryCreate(destination, create, () => this.execute(command)));
+
+            const result = {
+                destination,
+                ...this._parseCopyResult(responses, completion),
+                expunged: this._parseExpunged(responses.map(String).join('\n'))
+            };
+            this.log(`Moved ${set} to ${destination}:`, result);
+            return result;
+        } catch (error) {
+            this.log(`Move ${set} to ${destination} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the messages an EXPUNGE or MOVE removed: sequence numbers, or UIDs
+     * once QRESYNC is enabled, since servers then send VANISHED instead of EXPUNGE
+     * @private
+     * @param {string} response - Untagged responses of the command
+     * @returns {number[]} Sequence numbers or UIDs
+     */
+    _parseExpunged(response) {
+        return this.qresyncEnabled ? IMAPParser.parseVanished(response).uids : IMAPParser.parseExpunge(response);
+    }
+
+    /**
+     * Emulates MOVE for servers without the extension
+     * @private
+     */
+    async _copyAndExpunge(set, destination, { uid, uidvalidity, create, allowFullExpunge }) {
+        this._checkPartialExpunge(allowFullExpunge);
+        // Resolve UIDs before anything is expunged, so only these messages go
+        const uids = uid || !this.hasCapability('UIDPLUS') ? set : await this.search({ seq: set }, { uid: true });
+
+        const copied = await this.copyMessages(set, destination, { uid, uidvalidity, create });
+        await this.addFlags(set, '\\Deleted', { uid, silent: true });
+        const expunged = await this.expunge(uids, { uid: true, allowFullExpunge });
+        return { ...copied, expunged };
+    }
+
+    /**
+     * Runs a command that targets `destination`, creating the mailbox and
+     * retrying once if the server answers [TRYCREATE]
+     * @private
+     */
+    async _withTryCreate(destination, create, run) {
+        try {
+            return await run();
+        } catch (error) {
+            if (!create || !(error instanceof IMAPNoError) || error.code !== 'TRYCREATE') throw error;
+            this.log(`Creating missing mailbox ${destination}`);
+            await this.createMailbox(destination);
+            return run();
+        }
+    }
+
+    /**
+     * Extracts the COPYUID result from a COPY or MOVE response
+     * @private
+     */
+    _parseCopyResult(responses, completion) {
+        const copyUid = IMAPParser.parseCopyUid([...responses, completion].map(String).join('\n'));
+        return copyUid || { uidvalidity: null, uidMap: null };
+    }
+
+    /**
+     * Uploads a raw RFC 822 message to a mailbox, e.g. to save a draft or a
+     * sent copy
+     * @async
+     * @param {string} mailbox - Destination mailbox
+     * @param {Buffer|string|ReadableStream} rawMessage - Complete message with CRLF line endings
+     * @param {Object} [options] - Append options
+     * @param {string|string[]} [options.flags] - Flags to set, e.g. `['\\Seen', '\\Draft']`
+     * @param {Date|string|number} [options.internalDate] - Internal date of the message
+     * @param {boolean} [options.create=false] - Create the mailbox and retry when the
+     * server answers [TRYCREATE]
+     * @param {number} [options.timeout] - Overrides `commandTimeout` for this call
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<Object>} `{ mailbox, uidvalidity, uid }`; the UID fields are null
+     * unless the server supports UIDPLUS
+     * @throws {Error} If the message cannot be read or the append fails
+     */
+    async appendMessage(mailbox, rawMessage, { flags, internalDate, create = false, signal, timeout } = {}) {
+        try {
+            const message = await this._readMessage(rawMessage);
+            const command = ['APPEND', this._encodeMailbox(mailbox)];
+            if (flags) command.push(IMAPEncoder.flagList(flags));
+            if (internalDate) command.push(IMAPEncoder.dateTime(internalDate));
+            command.push(IMAPEncoder.literal(message));
+
+            const { completion } = await this._withCallOptions({ signal, timeout },
+                () => this._withTryCreate(mailbox, create, () => this.execute(command)));
+
+            const result = { mailbox, ...(IMAPParser.parseAppendUid(completion.text) || { uidvalidity: null, uid: null }) };
+            this.log(`Appended ${message.length} bytes to ${mailbox}:`, result);
+            return result;
+        } catch (error) {
+            this.log(`Append to ${mailbox} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Collects a message given as a Buffer, string or readable stream
+     * @private
+     * @returns {Promise<Buffer>} Message bytes
+     */
+    async _readMessage(message) {
+        if (Buffer.isBuffer(message)) return message;
+        if (typeof message === 'string') return Buffer.from(message, 'utf8');
+        if (message && typeof message[Symbol.asyncIterator] === 'function') {
+            // The literal length must be known up front, so streams are buffered
+            const chunks = [];
+            for await (const chunk of message) {
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            }
+            return Buffer.concat(chunks);
+        }
+        throw new TypeError('Message must be a Buffer, string or readable stream');
+    }
+
+    /**
+     * Ensures cached UIDs are still valid for the selected mailbox
+     * @private
+     * @param {number} [uidvalidity] - UIDVALIDITY the caller's UIDs were cached under
+     * @throws {UIDValidityError} If the selected mailbox reports a different UIDVALIDITY
+     */
+    _checkUidValidity(uidvalidity) {
+        if (uidvalidity == null || !this.mailbox || this.mailbox.uidvalidity == null) return;
+        if (Number(uidvalidity) !== this.mailbox.uidvalidity) {
+            throw new UIDValidityError(this.mailbox.name, Number(uidvalidity), this.mailbox.uidvalidity);
+        }
+    }
+
+    /**
+     * Works out where a read is cached: the selected mailbox, or in offline
+     * mode the `mailbox` and `uidvalidity` options
+     * @private
+     * @returns {{mailbox: string, uidvalidity: number, uid: number}|null} Cache key, or null
+     * when the read cannot use the cache
+     */
+    _cacheScope(id, uid, { mailbox, uidvalidity } = {}) {
+        // Only single UIDs are stable enough to key a cache by
+        if (!this.cache || !uid || !/^\d+$/.test(String(id))) return null;
+        const scope = this.offline && mailbox != null
+            ? { mailbox, uidvalidity: uidvalidity == null ? null : Number(uidvalidity) }
+            : { mailbox: this.mailbox && this.mailbox.name, uidvalidity: this.mailbox && this.mailbox.uidvalidity };
+        if (scope.mailbox == null || scope.uidvalidity == null) return null;
+        return { ...scope, uid: Number(id) };
+    }
+
+    /**
+     * Looks up a cached message
+     * @private
+     * @param {Object|null} scope - Cache key from _cacheScope
+     * @param {number|string} id - Requested message, for error messages
+     * @param {Function} usable - Tells whether an entry holds the requested data
+     * @returns {Promise<CacheEntry|null>} The entry, or null to ask the server
+     * @throws {ConnectionError} In offline mode, if the data is not cached
+     */
+    async _readCache(scope, id, usable) {
+        let entry = null;
+        if (scope) {
+            try {
+                await this.cacheQueue;
+                entry = await this.cache.get(scope.mailbox, scope.uidvalidity, scope.uid);
+            } catch (error) {
+                this.log(`Cache read of ${id} failed:`, error);
+            }
+        }
+        if (entry && usable(entry) && (this.offline || await this._stillExists(scope))) return entry;
+        if (this.offline) throw new ConnectionError(`Message ${id} is not available offline`);
+        return null;
+    }
+
+    /**
+     * Checks that a cached UID was not expunged by a plain EXPUNGE, which
+     * reports sequence numbers only
+     * @private
+     */
+    async _stillExists(scope) {
+        if (!this.cacheUnverified || this.cacheUnverified.has(scope.uid)) return true;
+        const exists = (await this.search({ uid: scope.uid }, { uid: true })).includes(scope.uid);
+        if (exists) this.cacheUnverified.add(scope.uid);
+        else this._cacheTask(() => this.cache.delete(scope.mailbox, scope.uidvalidity, scope.uid));
+        return exists;
+    }
+
+    /**
+     * Caches the envelope, flags and body structure of a FETCH record from the
+     * selected mailbox
+     * @private
+     */
+    _cacheRecord(record) {
+        if (!this.cache || !this.mailbox || this.mailbox.uidvalidity == null || record.uid == null) return;
+        const fields = {};
+        for (const key of ['envelope', 'flags', 'bodyStructure']) {
+            if (record[key] != null) fields[key] = record[key];
+        }
+        if (!Object.keys(fields).length) return;
+        this._updateCache({ mailbox: this.mailbox.name, uidvalidity: this.mailbox.uidvalidity, uid: record.uid }, fields);
+    }
+
+    /**
+     * Merges fields into a cache entry
+     * @private
+     */
+    _updateCache({ mailbox, uidvalidity, uid }, fields) {
+        return this._cacheTask(async () => {
+            const entry = await this.cache.get(mailbox, uidvalidity, uid);
+            await this.cache.set(mailbox, uidvalidity, uid, { ...entry, ...fields });
+        });
+    }
+
+    /**
+     * Drops expunged UIDs of the selected mailbox from the cache
+     * @private
+     */
+    _uncache(uids) {
+        if (!this.cache || !this.mailbox || this.mailbox.uidvalidity == null || !uids.length) return;
+        const { name, uidvalidity } = this.mailbox;
+        this._cacheTask(async () => {
+            for (const uid of uids) await this.cache.delete(name, uidvalidity, uid);
+        });
+    }
+
+    /**
+     * Runs cache writes one at a time, so read-modify-write updates do not
+     * overwrite each other. Failures are logged; the cache is best effort.
+     * @private
+     */
+    _cacheTask(task) {
+        this.cacheQueue = this.cacheQueue.then(task).catch(error => this._log('warn', 'Cache update failed', { err: error }));
+        return this.cacheQueue;
+    }
+
+    /**
+     * Cuts the header, including the blank line after it, from a raw message
+     * @private
+     */
+    _headerOf(raw) {
+        const end = raw.indexOf('\r\n\r\n');
+        return end === -1 ? raw : raw.subarray(0, end + 4);
+    }
+
+    /**
+     * Waits for mailbox changes using IDLE, emitting `exists`, `expunge` and
+     * `flags` events. Other commands interrupt IDLE and it resumes once they
+     * complete. Falls back to NOOP polling when the server lacks IDLE.
+     * @async
+     * @param {Object} [options] - Idle options
+     * @param {AbortSignal} [options.signal] - Stops idling when aborted, like stopIdle()
+     * @returns {Promise<void>} Resolves once the server is idling
+     * @throws {AbortError} If the signal is already aborted
+     * @throws {Error} If the IDLE command is rejected
+     */
+    async idle({ signal } = {}) {
+        if (signal && signal.aborted) throw new AbortError('IDLE', signal.reason);
+        if (this.idleState) return;
+        // Removed by _clearIdleState() whenever idling ends
+        let detach = null;
+        if (signal) {
+            const onAbort = () => this.stopIdle().catch(error => this.log('Stop IDLE failed:', error));
+            signal.addEventListener('abort', onAbort, { once: true });
+            detach = () => signal.removeEventListener('abort', onAbort);
+        }
+
+        if (!this.hasCapability('IDLE')) {
+            this.log('IDLE not supported, polling with NOOP');
+            this.idleState = {
+                signal,
+                detach,
+                polling: setInterval(() => {
+                    if (this.currentCommand) return;
+                    this.sendCommand('NOOP').catch(error => this.log('NOOP failed:', error));
+                }, this.pollInterval)
+            };
+            return;
+        }
+
+        this.idleState = { signal, detach, command: null, timer: null };
+        await this._startIdle();
+    }
+
+    /**
+     * Leaves IDLE (or stops NOOP polling)
+     * @async
+     * @returns {Promise<void>} Resolves once the IDLE command has completed
+     */
+    async stopIdle() {
+        const state = this.idleState;
+        if (!state) return;
+
+        this._clearIdleState();
+        if (state.command) {
+            const { done } = state.command;
+            if (!state.command.breaking) this._sendDone(state.command);
+            await done;
+        }
+    }
+
+    /**
+     * Issues an IDLE command for the active idle session
+     * @private
+     * @returns {Promise<void>} Resolves when the server accepts IDLE
+     */
+    _startIdle() {
+        const state = this.idleState;
+
+        return new Promise((resolve, reject) => {
+            const done = this.execute('IDLE', {
+                onContinuation: () => {
+                    resolve();
+                    // stopIdle() was called before the server started idling
+                    if (this.idleState !== state) return 'DONE';
+
+                    state.command = this.currentCommand;
+                    state.command.done = done;
+                    // Idling is silent by design; the timeout applies again after DONE
+                    state.command.timeout = 0;
+                    // Re-issue IDLE before the server drops an idle connection
+                    state.timer = setTimeout(() => this._breakIdle(), this.idleInterval);
+                    this.log('Idling');
+                    if (this.commandQueue.length) this._breakIdle();
+                    return null;
+                }
+            });
+
+            done.catch((error) => {
+                this.log('IDLE failed:', error);
+                if (this.idleState === state) this._clearIdleState();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Ends the running IDLE command so that it can be refreshed or another
+     * command can run
+     * @private
+     */
+    _breakIdle() {
+        const state = this.idleState;
+        if (!state || !state.command || state.command.breaking) return;
+        clearTimeout(state.timer);
+        this._sendDone(state.command);
+    }
+
+    /**
+     * Writes DONE for an IDLE command and waits at most `commandTimeout` for it to complete
+     * @private
+     */
+    _sendDone(command) {
+        command.breaking = true;
+        command.timeout = this.commandTimeout;
+        this._write('DONE\r\n', command);
+        this._armTimeout(command);
+    }
+
+    /**
+     * Re-enters IDLE once no commands are left to run
+     * @private
+     */
+    _resumeIdle() {
+        const state = this.idleState;
+        if (!state || state.polling || state.command || !this.connected) return;
+        this._startIdle().catch(() => {});
+    }
+
+    /**
+     * Stops idling without talking to the server
+     * @private
+     */
+    _clearIdleState() {
+        const state = this.idleState;
+        if (!state) return;
+        this.idleState = null;
+        clearInterval(state.polling);
+        clearTimeout(state.timer);
+        if (state.detach) state.detach();
+    }
+
+    /**
+     * Closes the connection and logs out from the IMAP server. Every command
+     * still pending when the connection goes away is rejected.
+     * @async
+     * @param {Object} [options] - Close options
+     * @param {number} [options.timeout] - Time allowed for logging out, defaults to
+     * `commandTimeout`. The connection is dropped when it elapses.
+     * @returns {Promise<string>} Logout response
+     * @throws {TimeoutError} If the server does not answer LOGOUT in time
+     * @throws {Error} If logout fails
+     */
+    async close({ timeout = this.commandTimeout } = {}) {
+        this.closing = true;
+        clearInterval(this.heartbeat);
+        try {
+            if (this.reconnecting) {
+                // Stops the reconnect loop, which rejects the held commands
+                clearTimeout(this.reconnecting.timer);
+                if (this.reconnecting.wake) this.reconnecting.wake();
+                this.log('Reconnect cancelled');
+                return 'Connection closed';
+            }
+            if (!this.connected) return 'Connection closed';
+            return await this._logout(timeout);
+        } finally {
+            if (this.transcript && typeof this.transcript.close === 'function') await this.transcript.close();
+        }
+    }
+
+    /**
+     * Sends LOGOUT within `timeout` and drops the connection
+     * @private
+     * @returns {Promise<string>} Logout response
      */
-    async close() {
+    async _logout(timeout) {
+        // Bounds the whole logout, including time spent behind stalled commands
+        const deadline = this._deadline('LOGOUT', { timeout });
         try {
-            const response = await this.sendCommand('LOGOUT');
+            const response = await Promise.race([deadline.promise, (async () => {
+                await this.stopIdle();
+                return this.sendCommand('LOGOUT');
+            })()]);
             this.socket.end();
             this.connected = false;
-            this.log('Connection closed');
+            this._log('info', 'Connection closed');
             return response;
         } catch (error) {
             this.log('Logout failed:', error);
+            if (this.connected) this._teardown();
             throw error;
+        } finally {
+            deadline.clear();
+            this._takePending().forEach(command => command.reject(this._closedError(command)));
+            this._trace('*', 'Connection closed');
         }
     }
 }
 
+export {
+    AbortError,
+    AuthenticationError,
+    ConnectionError,
+    ConsoleLogger,
+    FileCacheAdapter,
+    IMAPBadError,
+    IMAPByeError,
+    IMAPError,
+    IMAPNoError,
+    MemoryCacheAdapter,
+    TimeoutError,
+    TranscriptRecorder,
+    UIDValidityError
+};
 export default IMAPClient
\ No newline at end of file
@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * A cached message. Every field is optional and filled in as the client
+ * downloads it.
+ * @typedef {Object} CacheEntry
+ * @property {Object} [envelope] - Envelope record as returned by fetchEmail
+ * @property {string[]} [flags] - Message flags
+ * @property {Object} [bodyStructure] - Parsed body structure
+ * @property {Buffer} [raw] - Complete RFC 822 message
+ */
+
+/**
+ * Storage used by the message cache. Entries are keyed by mailbox name,
+ * UIDVALIDITY and UID; every method may return a promise.
+ * @typedef {Object} CacheAdapter
+ * @property {function(string, number, number): Promise<CacheEntry|null>} get - Reads an entry
+ * @property {function(string, number, number, CacheEntry): Promise<void>} set - Replaces an entry
+ * @property {function(string, number, number): Promise<void>} delete - Removes an entry
+ * @property {function(string, number=): Promise<void>} clear - Removes a mailbox's entries,
+ * except those stored under the given UIDVALIDITY
+ */
+
+/**
+ * @class MemoryCacheAdapter
+ * @description Keeps cached messages in memory for the lifetime of the process
+ * @implements {CacheAdapter}
+ */
+class MemoryCacheAdapter {
+    constructor() {
+        this.mailboxes = new Map();
+    }
+
+    async get(mailbox, uidvalidity, uid) {
+        const entries = this._entries(mailbox, uidvalidity, false);
+        const entry = entries && entries.get(Number(uid));
+        return entry ? { ...entry } : null;
+    }
+
+    async set(mailbox, uidvalidity, uid, entry) {
+        this._entries(mailbox, uidvalidity, true).set(Number(uid), { ...entry });
+    }
+
+    async delete(mailbox, uidvalidity, uid) {
+        const entries = this._entries(mailbox, uidvalidity, false);
+        if (entries) entries.delete(Number(uid));
+    }
+
+    async clear(mailbox, keepUidvalidity) {
+        const generations = this.mailboxes.get(mailbox);
+        if (!generations) return;
+        for (const uidvalidity of generations.keys()) {
+            if (uidvalidity !== Number(keepUidvalidity)) generations.delete(uidvalidity);
+        }
+    }
+
+    /**
+     * Gets the entries of one mailbox generation
+     * @private
+     */
+    _entries(mailbox, uidvalidity, create) {
+        let generations = this.mailboxes.get(mailbox);
+        if (!generations) {
+            if (!create) return null;
+            generations = new Map();
+            this.mailboxes.set(mailbox, generations);
+        }
+        let entries = generations.get(Number(uidvalidity));
+        if (!entries && create) {
+            entries = new Map();
+            generations.set(Number(uidvalidity), entries);
+        }
+        return entries || null;
+    }
+}
+
+/**
+ * @class FileCacheAdapter
+ * @description Stores cached messages on disk as `<mailbox>/<uidvalidity>/<uid>.json`,
+ * with the raw message next to it in `<uid>.eml`
+ * @implements {CacheAdapter}
+ * @param {string} directory - Directory to store the cache in; created when needed
+ */
+class FileCacheAdapter {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async get(mailbox, uidvalidity, uid) {
+        const file = this._file(mailbox, uidvalidity, uid);
+        let entry;
+        try {
+            entry = JSON.parse(await fs.readFile(`${file}.json`, 'utf8'), (key, value) =>
+                (value && typeof value.$date === 'string' ? new Date(value.$date) : value));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const { raw, ...fields } = entry;
+        if (raw) {
+            try {
+                fields.raw = await fs.readFile(`${file}.eml`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return fields;
+    }
+
+    async set(mailbox, uidvalidity, uid, entry) {
+        const file = this._file(mailbox, uidvalidity, uid);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const { raw, ...fields } = entry;
+        if (raw) await fs.writeFile(`${file}.eml`, raw);
+        else await fs.rm(`${file}.eml`, { force: true });
+        // Dates are tagged so they can be revived; JSON would turn them into strings
+        const json = JSON.stringify({ ...fields, raw: Boolean(raw) }, function (key, value) {
+            return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+        });
+        await fs.writeFile(`${file}.json`, json);
+    }
+
+    async delete(mailbox, uidvalidity, uid) {
+        const file = this._file(mailbox, uidvalidity, uid);
+        await fs.rm(`${file}.json`, { force: true });
+        await fs.rm(`${file}.eml`, { force: true });
+    }
+
+    async clear(mailbox, keepUidvalidity) {
+        const directory = path.join(this.directory, this._encode(mailbox));
+        let generations;
+        try {
+            generations = await fs.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        for (const generation of generations) {
+            if (generation === String(keepUidvalidity)) continue;
+            await fs.rm(path.join(directory, generation), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Builds the path of an entry, without extension
+     * @private
+     */
+    _file(mailbox, uidvalidity, uid) {
+        return path.join(this.directory, this._encode(mailbox), String(Number(uidvalidity)), String(Number(uid)));
+    }
+
+    /**
+     * Turns a mailbox name into a safe directory name
+     * @private
+     */
+    _encode(mailbox) {
+        // Dots are escaped too, so names like `..` cannot leave the cache directory
+        return encodeURIComponent(mailbox).replace(/\./g, '%2E');
+    }
+}
+
+export { FileCacheAdapter, MemoryCacheAdapter };
@@ -0,0 +1,178 @@
+import { PassThrough, Transform } from 'stream';
+
+/**
+ * @class Base64Decoder
+ * @description Streaming base64 decoder that carries incomplete quanta over
+ * to the next chunk and ignores line breaks
+ */
+class Base64Decoder extends Transform {
+    constructor() {
+        super();
+        this.remainder = '';
+    }
+
+    _transform(chunk, encoding, callback) {
+        const data = this.remainder + chunk.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, '');
+        const usable = data.length - (data.length % 4);
+        this.remainder = data.substring(usable);
+        if (usable) this.push(Buffer.from(data.substring(0, usable), 'base64'));
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.remainder) this.push(Buffer.from(this.remainder, 'base64'));
+        callback();
+    }
+}
+
+/**
+ * @class QuotedPrintableDecoder
+ * @description Streaming quoted-printable decoder that holds back escapes, soft
+ * line breaks and trailing whitespace split across chunks
+ */
+class QuotedPrintableDecoder extends Transform {
+    constructor() {
+        super();
+        this.remainder = '';
+    }
+
+    _transform(chunk, encoding, callback) {
+        const data = this.remainder + chunk.toString('latin1');
+        // `=`, `=X` and `=\r` at the end may be completed by the next chunk
+        const escape = data.lastIndexOf('=');
+        // Spaces and tabs are dropped if a line break follows in the next chunk
+        const whitespace = data.search(/[ \t]*\r?$/);
+        const cut = Math.min(escape !== -1 && data.length - escape < 3 ? escape : data.length, whitespace);
+        this.remainder = data.substring(cut);
+        if (cut) this.push(TransferDecoder.decodeQuotedPrintable(data.substring(0, cut)));
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.remainder) this.push(TransferDecoder.decodeQuotedPrintable(this.remainder));
+        callback();
+    }
+}
+
+/**
+ * @class TransferDecoder
+ * @description Decodes MIME content transfer encodings and charsets
+ * @static
+ */
+class TransferDecoder {
+    /**
+     * Creates a stream that decodes a content transfer encoding
+     * @static
+     * @param {string} [encoding] - Transfer encoding, e.g. `base64` or `quoted-printable`
+     * @returns {Transform} Decoding stream; identity encodings pass through unchanged
+     */
+    static create(encoding) {
+        const name = String(encoding || '').toLowerCase();
+        if (name === 'base64') return new Base64Decoder();
+        if (name === 'quoted-printable') return new QuotedPrintableDecoder();
+        return new PassThrough();
+    }
+
+    /**
+     * Decodes a complete transfer-encoded payload
+     * @static
+     * @param {Buffer} data - Encoded bytes
+     * @param {string} [encoding] - Transfer encoding, e.g. `base64` or `quoted-printable`
+     * @returns {Buffer} Decoded bytes
+     */
+    static decode(data, encoding) {
+        const name = String(encoding || '').toLowerCase();
+        if (name === 'base64') {
+            return Buffer.from(data.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        }
+        if (name === 'quoted-printable') {
+            return this.decodeQuotedPrintable(data.toString('latin1'));
+        }
+        return data;
+    }
+
+    /**
+     * Decodes quoted-printable text
+     * @static
+     * @param {string} text - Encoded text, one character per byte
+     * @returns {Buffer} Decoded bytes
+     * @example
+     * // Returns: <Buffer 61 3d 62>
+     * TransferDecoder.decodeQuotedPrintable('a=3Db=\r\n')
+     */
+    static decodeQuotedPrintable(text) {
+        const decoded = text
+            .replace(/[ \t]+(?=\r?\n)/g, '')
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return Buffer.from(decoded, 'latin1');
+    }
+
+    /**
+     * Decodes RFC 2047 encoded words in a header value. Whitespace between
+     * adjacent encoded words is dropped, and words in the same charset are
+     * joined before decoding so multi-byte characters may span them.
+     * @static
+     * @param {string} text - Header value
+     * @returns {string} Unicode text
+     * @example
+     * // Returns: 'Grüße'
+     * TransferDecoder.decodeWords('=?UTF-8?Q?Gr=C3=BC=C3=9Fe?=')
+     */
+    static decodeWords(text) {
+        const input = String(text);
+        let result = '';
+        let position = 0;
+        let pending = null;
+
+        const flush = () => {
+            if (!pending) return;
+            result += this.decodeText(Buffer.concat(pending.bytes), pending.charset);
+            pending = null;
+        };
+
+        for (const match of input.matchAll(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g)) {
+            const between = input.substring(position, match.index);
+            // RFC 2231 allows a language suffix, e.g. UTF-8*en
+            const charset = match[1].split('*')[0];
+
+            if (!pending || !/^\s*$/.test(between)) {
+                flush();
+                result += between;
+            } else if (pending.charset.toLowerCase() !== charset.toLowerCase()) {
+                flush();
+            }
+
+            const bytes = match[2].toUpperCase() === 'B'
+                ? Buffer.from(match[3], 'base64')
+                : this.decodeQuotedPrintable(match[3].replace(/_/g, ' '));
+            pending = pending || { charset, bytes: [] };
+            pending.bytes.push(bytes);
+            position = match.index + match[0].length;
+        }
+
+        flush();
+        return result + input.substring(position);
+    }
+
+    /**
+     * Decodes bytes in the given charset, falling back to UTF-8 for charsets
+     * the runtime does not know
+     * @static
+     * @param {Buffer} data - Encoded text
+     * @param {string} [charset='utf-8'] - Charset name, e.g. `iso-8859-1`
+     * @returns {string} Decoded text
+     */
+    static decodeText(data, charset = 'utf-8') {
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset || 'utf-8');
+        } catch (error) {
+            decoder = new TextDecoder('utf-8');
+        }
+        return decoder.decode(data);
+    }
+}
+
+export { Base64Decoder, QuotedPrintableDecoder };
+export default TransferDecoder;
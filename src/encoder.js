@@ -0,0 +1,204 @@
+const CRLF = '\r\n';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// LITERAL- only allows non-synchronizing literals up to this size
+const LITERAL_MINUS_LIMIT = 4096;
+
+// Atoms are printable ASCII without spaces or the characters IMAP reserves
+const ATOM = /^[^\s(){%*"\\\]\x00-\x1f\x7f-\uffff]+$/;
+
+/**
+ * @class IMAPEncoder
+ * @description A utility class for building IMAP command arguments
+ * @static
+ */
+class IMAPEncoder {
+    /**
+     * Wraps data so it is sent as a literal
+     * @static
+     * @param {string|Buffer} value - Literal contents
+     * @returns {{literal: Buffer}} Literal command part
+     */
+    static literal(value) {
+        return { literal: Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8') };
+    }
+
+    /**
+     * Quotes a string, escaping backslashes and double quotes
+     * @static
+     * @param {string} value - String to quote
+     * @returns {string} Quoted string
+     * @example
+     * // Returns: "pa ss\"word"
+     * IMAPEncoder.quoteString('pa ss"word')
+     */
+    static quoteString(value) {
+        return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Encodes a string argument as a quoted string, or as a literal when it
+     * cannot be quoted (line breaks, NUL or 8-bit characters)
+     * @static
+     * @param {string} value - String to encode
+     * @returns {string|{literal: Buffer}} Command part
+     */
+    static encodeString(value) {
+        const text = String(value);
+        if (/[\r\n\0]|[^\x00-\x7f]/.test(text)) {
+            return this.literal(text);
+        }
+        return this.quoteString(text);
+    }
+
+    /**
+     * Validates and formats a message sequence set
+     * @static
+     * @param {number|string|Array<number|string>} value - Set such as `1:*`, `100,105:120`
+     * or an array of numbers and ranges
+     * @returns {string} Sequence set
+     * @throws {Error} If the set is malformed
+     */
+    static sequenceSet(value) {
+        const set = Array.isArray(value) ? value.join(',') : String(value);
+        if (!/^(\d+|\*)(:(\d+|\*))?(,(\d+|\*)(:(\d+|\*))?)*$/.test(set)) {
+            throw new Error(`Invalid sequence set: ${set}`);
+        }
+        return set;
+    }
+
+    /**
+     * Formats numbers as a compact sequence set, joining consecutive numbers into ranges
+     * @static
+     * @param {number[]} numbers - Sequence numbers or UIDs, in any order
+     * @returns {string} Sequence set, e.g. `1:3,7`; empty for no numbers
+     * @example
+     * // Returns: '1:3,7'
+     * IMAPEncoder.compactSet([3, 1, 2, 7])
+     */
+    static compactSet(numbers) {
+        const sorted = [...new Set(numbers.map(Number))].sort((a, b) => a - b);
+        const ranges = [];
+        for (let i = 0; i < sorted.length; i++) {
+            const start = sorted[i];
+            while (sorted[i + 1] === sorted[i] + 1) i++;
+            ranges.push(start === sorted[i] ? `${start}` : `${start}:${sorted[i]}`);
+        }
+        return ranges.join(',');
+    }
+
+    /**
+     * Formats a date as an IMAP date, e.g. `1-Feb-2024`
+     * @static
+     * @param {Date|string|number} value - Date to format; IMAP dates pass through
+     * @returns {string} IMAP date (UTC)
+     * @throws {Error} If the value is not a valid date
+     */
+    static date(value) {
+        if (typeof value === 'string' && /^\d{1,2}-[A-Za-z]{3}-\d{4}$/.test(value)) {
+            return value;
+        }
+        const date = this._toDate(value);
+        return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+    }
+
+    /**
+     * Formats a date as a quoted IMAP date-time, e.g. `"01-Feb-2024 09:30:00 +0000"`
+     * @static
+     * @param {Date|string|number} value - Date to format
+     * @returns {string} Quoted IMAP date-time (UTC)
+     * @throws {Error} If the value is not a valid date
+     */
+    static dateTime(value) {
+        const date = this._toDate(value);
+        const pad = number => String(number).padStart(2, '0');
+        const day = `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+        const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+        return `"${day} ${time} +0000"`;
+    }
+
+    static _toDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return date;
+    }
+
+    /**
+     * Formats a parenthesized flag list, validating system flags and keywords
+     * @static
+     * @param {string|string[]} flags - Flags such as `\Seen` or custom keywords like `$Label1`
+     * @returns {string} Flag list, e.g. `(\Seen $Label1)`
+     * @throws {Error} If a flag contains characters not allowed in an atom
+     */
+    static flagList(flags) {
+        const list = Array.isArray(flags) ? flags : [flags];
+        for (const flag of list) {
+            // Keywords are atoms; system flags are atoms prefixed with a backslash
+            if (!ATOM.test(String(flag).replace(/^\\/, ''))) {
+                throw new Error(`Invalid flag: ${flag}`);
+            }
+        }
+        return `(${list.join(' ')})`;
+    }
+
+    /**
+     * Validates a flag keyword, which is sent as an atom
+     * @static
+     * @param {string} value - Keyword such as `$Important`
+     * @returns {string} Keyword
+     * @throws {Error} If the keyword contains characters not allowed in an atom
+     */
+    static keyword(value) {
+        const keyword = String(value);
+        if (!ATOM.test(keyword)) throw new Error(`Invalid keyword: ${value}`);
+        return keyword;
+    }
+
+    /**
+     * Serializes a tagged command into the chunks written to the socket.
+     * Every chunk but the first must wait for a `+` continuation.
+     * @static
+     * @param {string} tag - Command tag
+     * @param {string|Array<string|{literal: Buffer}>} command - Command text, or
+     * space-separated parts that may include literals. No space is added after
+     * a part ending in `(` or before a part starting with `)`.
+     * @param {Object} [options] - Literal options
+     * @param {boolean} [options.literalPlus=false] - Send every literal non-synchronizing (LITERAL+)
+     * @param {boolean} [options.literalMinus=false] - Send literals up to 4096 bytes
+     * non-synchronizing (LITERAL-)
+     * @returns {Buffer[]} Chunks to send
+     */
+    static toChunks(tag, command, { literalPlus = false, literalMinus = false } = {}) {
+        const parts = Array.isArray(command) ? command : [command];
+        const chunks = [];
+        let current = [Buffer.from(`${tag} `)];
+
+        parts.forEach((part, index) => {
+            const previous = parts[index - 1];
+            const opensGroup = typeof previous === 'string' && previous.endsWith('(');
+            const closesGroup = typeof part === 'string' && part.startsWith(')');
+            if (index > 0 && !opensGroup && !closesGroup) current.push(Buffer.from(' '));
+            if (part && part.literal) {
+                const length = part.literal.length;
+                if (literalPlus || (literalMinus && length <= LITERAL_MINUS_LIMIT)) {
+                    // Non-synchronizing: the server does not send a continuation
+                    current.push(Buffer.from(`{${length}+}${CRLF}`), part.literal);
+                } else {
+                    current.push(Buffer.from(`{${length}}${CRLF}`));
+                    chunks.push(Buffer.concat(current));
+                    current = [part.literal];
+                }
+            } else {
+                current.push(Buffer.from(String(part), 'utf8'));
+            }
+        });
+
+        current.push(Buffer.from(CRLF));
+        chunks.push(Buffer.concat(current));
+        return chunks;
+    }
+}
+
+export default IMAPEncoder;
@@ -0,0 +1,157 @@
+import IMAPParser from "./parser.js";
+
+/**
+ * @class UIDValidityError
+ * @extends Error
+ * @description Thrown when a cached UID is used after the mailbox's UIDVALIDITY
+ * changed, meaning the UID may now refer to a different message
+ * @param {string|null} mailbox - Selected mailbox
+ * @param {number} expected - UIDVALIDITY the UID was cached under
+ * @param {number} actual - Current UIDVALIDITY of the mailbox
+ */
+class UIDValidityError extends Error {
+    constructor(mailbox, expected, actual) {
+        super(`UIDVALIDITY of ${mailbox || 'the selected mailbox'} changed from ${expected} to ${actual}`);
+        this.name = 'UIDValidityError';
+        this.mailbox = mailbox;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * @class TimeoutError
+ * @extends Error
+ * @description Thrown when the server does not answer a command in time. The
+ * connection is closed, since a late answer could no longer be matched.
+ * @param {string} command - Name of the command, e.g. FETCH
+ * @param {number} timeout - Timeout that elapsed, in milliseconds
+ */
+class TimeoutError extends Error {
+    constructor(command, timeout) {
+        super(`${command} timed out after ${timeout} ms`);
+        this.name = 'TimeoutError';
+        this.command = command;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * @class AbortError
+ * @extends Error
+ * @description Thrown when a command is cancelled through an AbortSignal
+ * @param {string} command - Name of the command, e.g. FETCH
+ * @param {*} [reason] - The signal's abort reason
+ */
+class AbortError extends Error {
+    constructor(command, reason) {
+        super(`${command} was aborted`);
+        this.name = 'AbortError';
+        this.command = command;
+        this.cause = reason;
+    }
+}
+
+/**
+ * @class IMAPError
+ * @extends Error
+ * @description Base class for commands the server answered with a NO, BAD or BYE
+ * status response
+ * @param {string|null} command - Name of the command, e.g. SELECT
+ * @param {string} response - The status response line
+ * @param {string} [message] - Error message, defaults to `Command failed: <response>`
+ */
+class IMAPError extends Error {
+    constructor(command, response, message) {
+        super(message || `Command failed: ${response}`);
+        const parsed = IMAPParser.parseStatusResponse(response) || {};
+        this.name = 'IMAPError';
+        this.command = command;
+        this.tag = parsed.tag || null;
+        this.status = parsed.status || null;
+        // Response code such as TRYCREATE, OVERQUOTA or AUTHENTICATIONFAILED
+        this.code = parsed.code || null;
+        this.codeData = parsed.codeData === undefined ? null : parsed.codeData;
+        this.text = parsed.text || '';
+        this.response = response;
+    }
+}
+
+/**
+ * @class IMAPNoError
+ * @extends IMAPError
+ * @description Thrown when the server refuses a command with NO, e.g. a missing
+ * mailbox (`code` NONEXISTENT) or an exceeded quota (`code` OVERQUOTA)
+ */
+class IMAPNoError extends IMAPError {
+    constructor(command, response, message) {
+        super(command, response, message);
+        this.name = 'IMAPNoError';
+    }
+}
+
+/**
+ * @class IMAPBadError
+ * @extends IMAPError
+ * @description Thrown when the server rejects a command as invalid with BAD
+ */
+class IMAPBadError extends IMAPError {
+    constructor(command, response, message) {
+        super(command, response, message);
+        this.name = 'IMAPBadError';
+    }
+}
+
+/**
+ * @class IMAPByeError
+ * @extends IMAPError
+ * @description Thrown when the server ends the connection with BYE, either in its
+ * greeting or while commands were pending
+ */
+class IMAPByeError extends IMAPError {
+    constructor(command, response, message) {
+        super(command, response, message);
+        this.name = 'IMAPByeError';
+    }
+}
+
+/**
+ * @class AuthenticationError
+ * @extends IMAPNoError
+ * @description Thrown when LOGIN or AUTHENTICATE is refused, e.g. with `code`
+ * AUTHENTICATIONFAILED or AUTHORIZATIONFAILED
+ */
+class AuthenticationError extends IMAPNoError {
+    constructor(command, response, message) {
+        super(command, response, message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * @class ConnectionError
+ * @extends Error
+ * @description Thrown when a command cannot run or complete because there is no
+ * usable connection
+ * @param {string} message - What happened to the connection
+ * @param {string|null} [command=null] - Name of the affected command, if any
+ */
+class ConnectionError extends Error {
+    constructor(message, command = null) {
+        super(message);
+        this.name = 'ConnectionError';
+        this.command = command;
+    }
+}
+
+export {
+    AbortError,
+    AuthenticationError,
+    ConnectionError,
+    IMAPBadError,
+    IMAPByeError,
+    IMAPError,
+    IMAPNoError,
+    TimeoutError,
+    UIDValidityError
+};
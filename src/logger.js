@@ -0,0 +1,185 @@
+import fs from 'fs';
+
+// Log levels shared by pino, bunyan and most other loggers, from most to least verbose
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+// Shown instead of credentials and literal contents
+const REDACTED = '[redacted]';
+
+/**
+ * Receives the client's log records. Every method is optional and is called
+ * pino-style with the record's fields first, e.g.
+ * `logger.debug({ tag: 'A1', command: 'LOGIN', status: 'OK' }, 'Command completed')`.
+ * Wire traffic is logged at trace level.
+ * @typedef {Object} Logger
+ * @property {function(Object, string): void} [trace] - Protocol lines sent and received
+ * @property {function(Object, string): void} [debug] - Results, failures and per-command records
+ * @property {function(Object, string): void} [info] - Connection lifecycle
+ * @property {function(Object, string): void} [warn] - Alerts, dropped connections and
+ * failed background work
+ * @property {function(Object, string): void} [error] - Socket write errors
+ */
+
+/**
+ * Receives the wire traffic of a session
+ * @typedef {Object} Transcript
+ * @property {function(string, string): void} write - Records one line; the direction is
+ * `C` for client, `S` for server or `*` for connection events
+ * @property {function(): Promise<void>} [close] - Flushes the transcript when the client closes
+ */
+
+/**
+ * @class ConsoleLogger
+ * @description Prints log records to the console; used when `debug` is enabled
+ * and no logger is given
+ * @implements {Logger}
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level='trace'] - Least severe level printed
+ */
+class ConsoleLogger {
+    constructor({ level = 'trace' } = {}) {
+        this.level = level;
+    }
+
+    trace(fields, message) {
+        this._print('trace', fields, message);
+    }
+
+    debug(fields, message) {
+        this._print('debug', fields, message);
+    }
+
+    info(fields, message) {
+        this._print('info', fields, message);
+    }
+
+    warn(fields, message) {
+        this._print('warn', fields, message);
+    }
+
+    error(fields, message) {
+        this._print('error', fields, message);
+    }
+
+    /**
+     * Prints a record if its level is enabled
+     * @private
+     */
+    _print(level, fields, message) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) return;
+        const method = level === 'warn' || level === 'error' ? level : 'log';
+        const details = fields && Object.keys(fields).length ? [fields] : [];
+        console[method](`[${level}] ${message}`, ...details);
+    }
+}
+
+/**
+ * @class TranscriptRecorder
+ * @description Appends a session's wire traffic to a file, one timestamped line
+ * per command or response, e.g. `2024-02-01T09:30:00.000Z C: A1 NOOP`. The file
+ * is opened on the first write and again after close().
+ * @implements {Transcript}
+ * @param {string} file - Path of the transcript file
+ */
+class TranscriptRecorder {
+    constructor(file) {
+        this.file = file;
+        this.stream = null;
+        this.error = null;
+    }
+
+    write(direction, text) {
+        if (!this.stream) {
+            const stream = fs.createWriteStream(this.file, { flags: 'a' });
+            // A transcript that cannot be written must not take the connection down
+            stream.on('error', (error) => {
+                this.error = error;
+                if (this.stream === stream) this.stream = null;
+            });
+            this.stream = stream;
+        }
+        this.stream.write(`${new Date().toISOString()} ${direction}: ${text}\n`);
+    }
+
+    /**
+     * Flushes and closes the file
+     * @returns {Promise<void>}
+     */
+    close() {
+        const { stream } = this;
+        this.stream = null;
+        if (!stream) return Promise.resolve();
+        return new Promise(resolve => stream.end(resolve));
+    }
+}
+
+/**
+ * @class IMAPRedactor
+ * @description Renders commands and responses for logs and transcripts, hiding
+ * credentials and literal contents
+ * @static
+ */
+class IMAPRedactor {
+    /**
+     * Renders a command as sent, without LOGIN passwords, AUTHENTICATE initial
+     * responses or literal contents
+     * @static
+     * @param {string} tag - Command tag
+     * @param {string|Array<string|{literal: Buffer}>} command - Command or its parts
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.redact=true] - Hide sensitive data
+     * @returns {string} Command line
+     * @example
+     * // Returns: 'A1 LOGIN "joe" [redacted]'
+     * IMAPRedactor.command('A1', ['LOGIN', '"joe"', '"secret"'])
+     */
+    static command(tag, command, { redact = true } = {}) {
+        let parts = Array.isArray(command) ? command : [command];
+        const [name, mechanism, initial] = String(parts[0]).split(' ');
+
+        if (redact && name.toUpperCase() === 'LOGIN') {
+            // The user name is kept so sessions can be told apart
+            const [, user] = parts;
+            parts = parts.length > 2 && typeof user === 'string' ? [name, user, REDACTED] : [name, REDACTED];
+        } else if (redact && name.toUpperCase() === 'AUTHENTICATE' && initial !== undefined) {
+            parts = [`${name} ${mechanism} ${REDACTED}`];
+        }
+
+        let text = `${tag} `;
+        parts.forEach((part, index) => {
+            const previous = parts[index - 1];
+            const opensGroup = typeof previous === 'string' && previous.endsWith('(');
+            const closesGroup = typeof part === 'string' && part.startsWith(')');
+            if (index > 0 && !opensGroup && !closesGroup) text += ' ';
+            text += part && part.literal ? this._literal(part.literal, redact) : String(part);
+        });
+        return text;
+    }
+
+    /**
+     * Renders a server response, replacing literal contents with their size
+     * @static
+     * @param {IMAPResponse} response - Server response
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.redact=true] - Hide literal contents
+     * @returns {string} Response text
+     */
+    static response(response, { redact = true } = {}) {
+        if (!redact) return response.toString();
+        // Each part but the last already ends in the literal's `{n}` marker
+        return response.parts
+            .map((part, index) => (index < response.literals.length ? `${part}[${response.literals[index].length} bytes]` : part))
+            .join('');
+    }
+
+    /**
+     * Renders a literal as its `{n}` marker followed by its contents or size
+     * @private
+     */
+    static _literal(literal, redact) {
+        const marker = `{${literal.length}}`;
+        return redact ? `${marker}[${literal.length} bytes]` : `${marker}\r\n${literal.toString('utf8')}`;
+    }
+}
+
+export { ConsoleLogger, IMAPRedactor, TranscriptRecorder };
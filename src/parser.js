@@ -1,3 +1,11 @@
+import TransferDecoder from "./decoder.js";
+import ModifiedUTF7 from "./utf7.js";
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Mailbox attributes naming the role of a mailbox (RFC 6154)
+const SPECIAL_USE = ['\\All', '\\Archive', '\\Drafts', '\\Flagged', '\\Junk', '\\Sent', '\\Trash'];
+
 /**
  * @class IMAPParser
  * @description A utility class for parsing IMAP server responses
@@ -5,32 +13,385 @@
  */
 class IMAPParser {
     /**
-     * Parses the LIST command response to extract mailbox information
+     * Parses the LIST (or LSUB) command response to extract mailbox information
      * @static
      * @param {string} response - Raw IMAP server response from LIST command
-     * @returns {Array<Object>} Array of mailbox objects with flags, delimiter, and name
+     * @param {Object} [options] - Parse options
+     * @param {boolean} [options.utf8=false] - Names are UTF-8 (UTF8=ACCEPT) rather than
+     * modified UTF-7
+     * @returns {Array<Object>} Array of mailbox objects with flags, delimiter, and name.
+     * The delimiter is null for flat namespaces. Mailboxes with a special-use attribute
+     * such as `\\Sent` (RFC 6154) also carry it as `specialUse`.
      * @example
      * // Returns: [{ flags: ['\\Noselect'], delimiter: '/', name: 'INBOX' }]
      * IMAPParser.parseList('* LIST (\\Noselect) "/" "INBOX"')
      */
-    static parseList(response) {
+    static parseList(response, { utf8 = false } = {}) {
         const mailboxes = [];
-        const lines = response.split('\n');
-
-        for (const line of lines) {
-            if (line.startsWith('* LIST')) {
-                const match = line.match(/^\* LIST \((.*?)\) "(.+)" "(.+)"$/);
-                if (match) {
-                    const [, flags, delimiter, name] = match;
-                    mailboxes.push({
-                        flags: flags.split(' '),
-                        delimiter,
-                        name
-                    });
+
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || !/^(LIST|LSUB)$/i.test(values[1])) continue;
+
+            const [, , flags, delimiter, value] = values;
+            if (!Array.isArray(flags) || value == null || Array.isArray(value)) continue;
+
+            const name = this._text(value);
+            const mailbox = {
+                flags,
+                delimiter,
+                name: utf8 ? name : ModifiedUTF7.decode(name)
+            };
+            const specialUse = this.specialUse(flags);
+            if (specialUse) mailbox.specialUse = specialUse;
+            mailboxes.push(mailbox);
+        }
+        return mailboxes;
+    }
+
+    /**
+     * Finds the special-use attribute among mailbox flags
+     * @static
+     * @param {string[]} flags - Mailbox attributes from LIST
+     * @returns {string|null} Attribute in canonical case, e.g. `\\Sent`, or null
+     */
+    static specialUse(flags) {
+        for (const flag of flags) {
+            const match = SPECIAL_USE.find(role => role.toLowerCase() === String(flag).toLowerCase());
+            if (match) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Parses the NAMESPACE command response (RFC 2342)
+     * @static
+     * @param {string} response - Raw IMAP server response from NAMESPACE command
+     * @param {Object} [options] - Parse options
+     * @param {boolean} [options.utf8=false] - Prefixes are UTF-8 rather than modified UTF-7
+     * @returns {{personal: Array, otherUsers: Array, shared: Array}|null} Namespaces of each
+     * kind as `{ prefix, delimiter }`, or null without a NAMESPACE response
+     * @example
+     * // Returns: { personal: [{ prefix: '', delimiter: '/' }], otherUsers: [], shared: [] }
+     * IMAPParser.parseNamespace('* NAMESPACE (("" "/")) NIL NIL')
+     */
+    static parseNamespace(response, { utf8 = false } = {}) {
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[1]).toUpperCase() !== 'NAMESPACE') continue;
+
+            const list = value => (Array.isArray(value) ? value : [])
+                .filter(Array.isArray)
+                .map(([prefix, delimiter]) => ({
+                    prefix: utf8 ? this._text(prefix) : ModifiedUTF7.decode(this._text(prefix)),
+                    delimiter: delimiter == null ? null : this._text(delimiter)
+                }));
+            return { personal: list(values[2]), otherUsers: list(values[3]), shared: list(values[4]) };
+        }
+        return null;
+    }
+
+    /**
+     * Parses QUOTA responses (RFC 9208)
+     * @static
+     * @param {string} response - Raw IMAP server response from GETQUOTA or GETQUOTAROOT
+     * @returns {Array<{root: string, resources: Object}>} One entry per quota root.
+     * `resources` maps lower-case resource names to `{ usage, limit }`; STORAGE is in KiB.
+     * @example
+     * // Returns: [{ root: '', resources: { storage: { usage: 10, limit: 512 } } }]
+     * IMAPParser.parseQuota('* QUOTA "" (STORAGE 10 512)')
+     */
+    static parseQuota(response) {
+        const quotas = [];
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[1]).toUpperCase() !== 'QUOTA') continue;
+
+            const resources = {};
+            const list = Array.isArray(values[3]) ? values[3] : [];
+            for (let i = 0; i + 2 < list.length; i += 3) {
+                resources[String(list[i]).toLowerCase()] = {
+                    usage: parseInt(list[i + 1], 10),
+                    limit: parseInt(list[i + 2], 10)
+                };
+            }
+            quotas.push({ root: this._text(values[2] == null ? '' : values[2]), resources });
+        }
+        return quotas;
+    }
+
+    /**
+     * Parses the GETQUOTAROOT command response (RFC 9208)
+     * @static
+     * @param {string} response - Raw IMAP server response from GETQUOTAROOT command
+     * @param {Object} [options] - Parse options
+     * @param {boolean} [options.utf8=false] - Mailbox names are UTF-8 rather than modified UTF-7
+     * @returns {{mailbox: string|null, roots: string[], quotas: Array}} The mailbox, its
+     * quota roots and their quotas, see parseQuota
+     */
+    static parseQuotaRoot(response, { utf8 = false } = {}) {
+        const result = { mailbox: null, roots: [], quotas: this.parseQuota(response) };
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[1]).toUpperCase() !== 'QUOTAROOT') continue;
+            const name = this._text(values[2]);
+            result.mailbox = utf8 ? name : ModifiedUTF7.decode(name);
+            result.roots = values.slice(3).map(root => this._text(root == null ? '' : root));
+        }
+        return result;
+    }
+
+    /**
+     * Parses the ID command response (RFC 2971)
+     * @static
+     * @param {string} response - Raw IMAP server response from ID command
+     * @returns {Object|null} Server identification fields such as `name` and `version`,
+     * or null if the server sent none
+     * @example
+     * // Returns: { name: 'Dovecot', version: '2.3' }
+     * IMAPParser.parseId('* ID ("name" "Dovecot" "version" "2.3")')
+     */
+    static parseId(response) {
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[1]).toUpperCase() !== 'ID' || !Array.isArray(values[2])) continue;
+
+            const info = {};
+            for (let i = 0; i + 1 < values[2].length; i += 2) {
+                const value = values[2][i + 1];
+                info[this._text(values[2][i])] = value == null ? null : this._text(value);
+            }
+            return info;
+        }
+        return null;
+    }
+
+    /**
+     * Parses the ENABLE command response (RFC 5161)
+     * @static
+     * @param {string} response - Raw IMAP server response from ENABLE command
+     * @returns {string[]} Extensions the server enabled, in upper case
+     */
+    static parseEnabled(response) {
+        const enabled = [];
+        for (const line of response.split('\n')) {
+            const match = line.match(/^\* ENABLED\b(.*)$/i);
+            if (match) enabled.push(...match[1].trim().split(/\s+/).filter(Boolean).map(name => name.toUpperCase()));
+        }
+        return enabled;
+    }
+
+    /**
+     * Builds a folder tree from a flat mailbox list using each mailbox's delimiter
+     * @static
+     * @param {Array<Object>} mailboxes - Mailboxes as returned by parseList
+     * @returns {Array<Object>} Root folders; each node has name (last path segment),
+     * path (full mailbox name), delimiter, flags and children. Parents missing from
+     * the list are added with the `\NonExistent` flag.
+     */
+    static buildMailboxTree(mailboxes) {
+        const roots = [];
+        const nodes = new Map();
+
+        const getNode = (path, delimiter) => {
+            if (nodes.has(path)) return nodes.get(path);
+
+            const segments = delimiter ? path.split(delimiter) : [path];
+            const node = {
+                name: segments[segments.length - 1],
+                path,
+                delimiter,
+                flags: ['\\NonExistent'],
+                children: []
+            };
+            nodes.set(path, node);
+
+            if (segments.length > 1) {
+                const parentPath = segments.slice(0, -1).join(delimiter);
+                getNode(parentPath, delimiter).children.push(node);
+            } else {
+                roots.push(node);
+            }
+            return node;
+        };
+
+        for (const mailbox of mailboxes) {
+            const node = getNode(mailbox.name, mailbox.delimiter);
+            node.flags = mailbox.flags;
+            if (mailbox.specialUse) node.specialUse = mailbox.specialUse;
+        }
+        return roots;
+    }
+
+    /**
+     * Parses response text into one array of values per response line
+     * @static
+     * @param {string|IMAPResponse[]} response - Raw IMAP server response. Literals of
+     * IMAPResponse objects are read by byte count and come back as Buffers.
+     * @yields {Array} Values of each line, see parseValues
+     */
+    static *readLines(response) {
+        if (Array.isArray(response)) {
+            for (const item of response) {
+                if (typeof item === 'string') {
+                    yield* this.readLines(item);
+                } else {
+                    yield this.parseValues(item.text, 0, position => item.literalAt(position)).values;
                 }
             }
+            return;
+        }
+
+        const input = String(response);
+        let position = 0;
+        while (position < input.length) {
+            const { values, position: next } = this.parseValues(input, position);
+            yield values;
+            position = next;
         }
-        return mailboxes;
+    }
+
+    /**
+     * Parses IMAP data values (atoms, quoted strings, literals, NIL and
+     * parenthesized lists) up to the end of the current line
+     * @static
+     * @param {string} input - Response text with literals inlined after their `{n}` marker
+     * @param {number} [position=0] - Offset to start at
+     * @param {Function} [literalAt] - Looks up the literal whose `{n}` marker starts at an
+     * offset, for text whose literals are held separately (see IMAPResponse#literalAt)
+     * @returns {{values: Array, position: number}} Parsed values and the offset of the
+     * next line. NIL becomes null, lists become arrays, literals found through
+     * `literalAt` become Buffers and everything else a string; bracketed sections
+     * such as `BODY[HEADER.FIELDS (TO)]` stay part of their atom.
+     */
+    static parseValues(input, position = 0, literalAt = null) {
+        const values = [];
+        const stack = [values];
+        let pos = position;
+
+        while (pos < input.length) {
+            const char = input[pos];
+            const target = stack[stack.length - 1];
+
+            if (char === '\r' || char === '\n') {
+                pos += input.startsWith('\r\n', pos) ? 2 : 1;
+                break;
+            } else if (char === ' ') {
+                pos++;
+            } else if (char === '(') {
+                const list = [];
+                target.push(list);
+                stack.push(list);
+                pos++;
+            } else if (char === ')') {
+                if (stack.length > 1) stack.pop();
+                pos++;
+            } else if (char === '"') {
+                let value = '';
+                pos++;
+                while (pos < input.length && input[pos] !== '"' && input[pos] !== '\r' && input[pos] !== '\n') {
+                    if (input[pos] === '\\' && pos + 1 < input.length) pos++;
+                    value += input[pos++];
+                }
+                if (input[pos] === '"') pos++;
+                target.push(value);
+            } else if (char === '{' && literalAt && literalAt(pos)) {
+                target.push(literalAt(pos));
+                pos = input.indexOf('}', pos) + 1;
+            } else if (char === '{' && /^\{\d+\+?\}\r\n/.test(input.substring(pos, pos + 24))) {
+                const marker = input.substring(pos).match(/^\{(\d+)\+?\}\r\n/);
+                const start = pos + marker[0].length;
+                const end = this._advanceBytes(input, start, parseInt(marker[1]));
+                target.push(input.substring(start, end));
+                pos = end;
+            } else {
+                let end = pos;
+                let depth = 0;
+                while (end < input.length) {
+                    const c = input[end];
+                    if (c === '[') depth++;
+                    else if (c === ']') depth = Math.max(0, depth - 1);
+                    else if (c === '\r' || c === '\n') break;
+                    else if (depth === 0 && (c === ' ' || c === '(' || c === ')')) break;
+                    end++;
+                }
+                const atom = input.substring(pos, end);
+                target.push(atom.toUpperCase() === 'NIL' ? null : atom);
+                pos = end;
+            }
+        }
+
+        return { values, position: pos };
+    }
+
+    /**
+     * Finds the string offset that lies `bytes` UTF-8 bytes after `start`
+     * @private
+     */
+    static _advanceBytes(input, start, bytes) {
+        let pos = start;
+        let count = 0;
+        while (pos < input.length && count < bytes) {
+            const code = input.codePointAt(pos);
+            count += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            pos += code >= 0x10000 ? 2 : 1;
+        }
+        return pos;
+    }
+
+    /**
+     * Parses capabilities from a CAPABILITY response or a [CAPABILITY ...] response code
+     * @static
+     * @param {string} response - Raw IMAP server response
+     * @returns {string[]} Upper-cased capability names
+     * @example
+     * // Returns: ['IMAP4REV1', 'IDLE', 'AUTH=PLAIN']
+     * IMAPParser.parseCapability('* CAPABILITY IMAP4rev1 IDLE AUTH=PLAIN')
+     */
+    static parseCapability(response) {
+        const match = response.match(/^\* CAPABILITY (.*)$/m) || response.match(/\[CAPABILITY ([^\]]*)\]/);
+        if (!match) return [];
+        return match[1].trim().split(/\s+/).filter(Boolean).map(capability => capability.toUpperCase());
+    }
+
+    /**
+     * Parses a status response (OK, NO, BAD, BYE or PREAUTH) into its status,
+     * response code and human-readable text
+     * @static
+     * @param {string} response - Tagged or untagged status response line
+     * @returns {{tag: string, status: string, code: string|null, codeData: string|null,
+     * text: string}|null} Parsed response, or null if the line is not a status response
+     * @example
+     * // Returns: { tag: 'A4', status: 'NO', code: 'TRYCREATE', codeData: null, text: 'No such mailbox' }
+     * IMAPParser.parseStatusResponse('A4 NO [TRYCREATE] No such mailbox')
+     */
+    static parseStatusResponse(response) {
+        const match = String(response).match(/^(\S+) (OK|NO|BAD|BYE|PREAUTH)\b ?(?:\[([^\s\]]+)(?: ([^\]]*))?\] ?)?(.*)$/i);
+        if (!match) return null;
+        return {
+            tag: match[1],
+            status: match[2].toUpperCase(),
+            code: match[3] ? match[3].toUpperCase() : null,
+            codeData: match[4] === undefined ? null : match[4],
+            text: match[5].trim()
+        };
+    }
+
+    /**
+     * Parses the STATUS command response
+     * @static
+     * @param {string} response - Raw IMAP server response from STATUS command
+     * @returns {Object} Requested counters keyed in lower case, e.g. `messages`, `unseen`
+     * @example
+     * // Returns: { messages: 231, uidnext: 44292 }
+     * IMAPParser.parseStatus('* STATUS "INBOX" (MESSAGES 231 UIDNEXT 44292)')
+     */
+    static parseStatus(response) {
+        const result = {};
+        const match = response.match(/^\* STATUS [\s\S]*\(([^()]*)\)\s*$/im);
+        if (!match) return result;
+
+        const tokens = match[1].trim().split(/\s+/);
+        for (let i = 0; i + 1 < tokens.length; i += 2) {
+            const value = parseInt(tokens[i + 1]);
+            if (!isNaN(value)) result[tokens[i].toLowerCase()] = value;
+        }
+        return result;
     }
 
     /**
@@ -44,6 +405,11 @@ class IMAPParser {
     * @property {number|null} uidvalidity - UIDVALIDITY value
     * @property {number|null} uidnext - Next expected UID
     * @property {string[]} flags - Available mailbox flags
+    * @property {string[]} permanentFlags - Flags that can be stored permanently; `\\*`
+    * means new keywords can be created
+    * @property {number|null} highestModseq - HIGHESTMODSEQ, when the server supports CONDSTORE
+    * @property {boolean|null} readOnly - Access reported by [READ-ONLY] or [READ-WRITE],
+    * when the tagged completion is included
     */
     static parseSelect(response) {
         const result = {
@@ -52,142 +418,689 @@ class IMAPParser {
             unseen: null,
             uidvalidity: null,
             uidnext: null,
-            flags: []
+            flags: [],
+            permanentFlags: [],
+            highestModseq: null,
+            readOnly: null
         };
 
-        const lines = response.split('\n');
-        for (const line of lines) {
-            if (line.startsWith('* ')) {
-                const parts = line.substring(2).split(' ');
-                if (parts[1] === 'EXISTS') {
-                    result.exists = parseInt(parts[0]);
-                } else if (parts[1] === 'RECENT') {
-                    result.recent = parseInt(parts[0]);
-                } else if (line.includes('UNSEEN')) {
-                    const match = line.match(/UNSEEN (\d+)/);
-                    if (match) result.unseen = parseInt(match[1]);
-                } else if (line.includes('UIDVALIDITY')) {
-                    const match = line.match(/UIDVALIDITY (\d+)/);
-                    if (match) result.uidvalidity = parseInt(match[1]);
-                } else if (line.includes('UIDNEXT')) {
-                    const match = line.match(/UIDNEXT (\d+)/);
-                    if (match) result.uidnext = parseInt(match[1]);
-                } else if (line.includes('FLAGS')) {
-                    const match = line.match(/FLAGS \((.*?)\)/);
-                    if (match) result.flags = match[1].split(' ');
-                }
+        for (const line of String(response).split('\n')) {
+            const text = line.trim();
+            const count = text.match(/^\* (\d+) (EXISTS|RECENT)\b/i);
+            const flags = text.match(/^\* FLAGS \(([^)]*)\)/i);
+            if (count) {
+                result[count[2].toLowerCase()] = parseInt(count[1]);
+            } else if (flags) {
+                result.flags = flags[1].split(' ').filter(Boolean);
+            } else {
+                const status = this.parseStatusResponse(text);
+                if (status && status.code) this._applySelectCode(result, status.code, status.codeData);
             }
         }
         return result;
     }
 
+    /**
+     * Applies a response code from a SELECT or EXAMINE response to its result
+     * @private
+     */
+    static _applySelectCode(result, code, data) {
+        if (code === 'UNSEEN' || code === 'UIDVALIDITY' || code === 'UIDNEXT') {
+            result[code.toLowerCase()] = parseInt(data);
+        } else if (code === 'HIGHESTMODSEQ') {
+            result.highestModseq = parseInt(data);
+        } else if (code === 'NOMODSEQ') {
+            result.highestModseq = null;
+        } else if (code === 'PERMANENTFLAGS') {
+            result.permanentFlags = String(data || '').replace(/^\(|\)$/g, '').split(' ').filter(Boolean);
+        } else if (code === 'READ-ONLY' || code === 'READ-WRITE') {
+            result.readOnly = code === 'READ-ONLY';
+        }
+    }
+
     /**
      * Parses the SEARCH command response to extract message sequence numbers
      * @static
      * @param {string} response - Raw IMAP server response from SEARCH command
-     * @returns {number[]} Array of message sequence numbers
+     * @returns {number[]} Array of message sequence numbers (or UIDs for UID SEARCH).
+     * ESEARCH responses yield their ALL result.
      */
     static parseSearch(response) {
-        const match = response.match(/\* SEARCH(.*)/);
-        if (match) {
-            const numbers = match[1].trim().split(' ');
-            return numbers.map(num => parseInt(num)).filter(num => !isNaN(num));
+        const numbers = [];
+        let found = false;
+
+        for (const line of response.split('\n')) {
+            const match = line.match(/^\* SEARCH\b(.*)$/i);
+            if (!match) continue;
+            found = true;
+            // CONDSTORE servers append (MODSEQ n), which is not a message number
+            const values = match[1].replace(/\([^)]*\)/g, '').trim().split(/\s+/);
+            numbers.push(...values.map(num => parseInt(num)).filter(num => !isNaN(num)));
         }
-        return [];
+
+        if (!found) {
+            const esearch = this.parseESearch(response);
+            if (esearch) return esearch.all;
+        }
+        return numbers;
     }
 
     /**
-     * Parses the ENVELOPE command response to extract email metadata
+     * Parses the SORT command response (RFC 5256)
      * @static
-     * @param {string} response - Raw IMAP server response from FETCH ENVELOPE command
-     * @returns {Object|Object[]} Parsed email envelope information
-     * @property {string} date - Email date
-     * @property {string} subject - Email subject
-     * @property {Array} from - Sender email addresses
-     * @property {Array} to - Recipient email addresses
-     * @property {string} messageId - Unique message identifier
+     * @param {string} response - Raw IMAP server response from SORT command
+     * @returns {number[]} Message sequence numbers (or UIDs for UID SORT), in sorted order
      */
-    static parseEnvelope(response) {
+    static parseSort(response) {
+        const numbers = [];
+        for (const line of response.split('\n')) {
+            const match = line.match(/^\* SORT\b(.*)$/i);
+            if (!match) continue;
+            const values = match[1].replace(/\([^)]*\)/g, '').trim().split(/\s+/);
+            numbers.push(...values.map(num => parseInt(num)).filter(num => !isNaN(num)));
+        }
+        return numbers;
+    }
+
+    /**
+     * Parses the THREAD command response (RFC 5256) into trees
+     * @static
+     * @param {string|IMAPResponse[]} response - Raw IMAP server response from THREAD command
+     * @returns {Array<{id: number|null, children: Array}>} One tree per thread. `id` is a
+     * sequence number (or UID for UID THREAD), or null for a missing parent that groups
+     * its children.
+     * @example
+     * // Returns: [{ id: 3, children: [{ id: 6, children: [{ id: 4, children: [] }, { id: 44, children: [] }] }] }]
+     * IMAPParser.parseThread('* THREAD (3 6 (4)(44))')
+     */
+    static parseThread(response) {
+        const threads = [];
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[1]).toUpperCase() !== 'THREAD') continue;
+            threads.push(...values.slice(2).filter(Array.isArray).map(list => this._threadNode(list)));
+        }
+        return threads;
+    }
+
+    /**
+     * Converts a thread list, where leading numbers form a chain of replies and
+     * nested lists are branches of the last one
+     * @private
+     */
+    static _threadNode(list) {
+        const ids = [];
+        let i = 0;
+        while (i < list.length && !Array.isArray(list[i])) ids.push(parseInt(list[i++], 10));
+        const branches = list.slice(i).filter(Array.isArray).map(branch => this._threadNode(branch));
+        if (!ids.length) return { id: null, children: branches };
+
+        const root = { id: ids[0], children: [] };
+        let node = root;
+        for (const id of ids.slice(1)) {
+            const child = { id, children: [] };
+            node.children.push(child);
+            node = child;
+        }
+        node.children = branches;
+        return root;
+    }
+
+    /**
+     * Parses an ESEARCH response (RFC 4731)
+     * @static
+     * @param {string} response - Raw IMAP server response from SEARCH RETURN (...)
+     * @returns {Object|null} ESEARCH result, or null if the response has none
+     * @property {boolean} uid - Whether the numbers are UIDs
+     * @property {number|null} min - Lowest matching number
+     * @property {number|null} max - Highest matching number
+     * @property {number|null} count - Number of matches
+     * @property {number[]} all - All matching numbers
+     * @example
+     * // Returns: { uid: true, min: 2, max: 9, count: 4, all: [2, 3, 4, 9] }
+     * IMAPParser.parseESearch('* ESEARCH (TAG "A5") UID MIN 2 MAX 9 COUNT 4 ALL 2:4,9')
+     */
+    static parseESearch(response) {
+        const match = response.match(/^\* ESEARCH\b(.*)$/im);
+        if (!match) return null;
+
+        const tokens = match[1].replace(/^\s*\(TAG "[^"]*"\)/i, '').trim().split(/\s+/).filter(Boolean);
+        const result = { uid: false, min: null, max: null, count: null, all: [] };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const name = tokens[i].toUpperCase();
+            if (name === 'UID') {
+                result.uid = true;
+            } else if (name === 'MIN' || name === 'MAX' || name === 'COUNT') {
+                result[name.toLowerCase()] = parseInt(tokens[++i]);
+            } else if (name === 'ALL') {
+                result.all = this.parseSequenceSet(tokens[++i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Expands a sequence set into the numbers it contains
+     * @static
+     * @param {string} set - Sequence set without `*`, e.g. `1:3,7`
+     * @returns {number[]} Expanded numbers
+     */
+    static parseSequenceSet(set) {
+        const numbers = [];
+        for (const range of String(set || '').split(',')) {
+            const [start, end = start] = range.split(':').map(num => parseInt(num));
+            if (isNaN(start) || isNaN(end)) continue;
+            for (let num = Math.min(start, end); num <= Math.max(start, end); num++) {
+                numbers.push(num);
+            }
+        }
+        return numbers;
+    }
+
+    /**
+     * Parses FLAGS from untagged FETCH responses, e.g. after a STORE command
+     * @static
+     * @param {string} response - Raw IMAP server response
+     * @returns {Array<Object>} One entry per FETCH response that carries FLAGS
+     * @property {number} seq - Message sequence number
+     * @property {number|null} uid - Message UID, if included
+     * @property {string[]} flags - Current message flags
+     * @example
+     * // Returns: [{ seq: 3, uid: 9, flags: ['\\Seen'] }]
+     * IMAPParser.parseFetchFlags('* 3 FETCH (FLAGS (\\Seen) UID 9)')
+     */
+    static parseFetchFlags(response) {
         const result = [];
-        const lines = response.split('\n');
-
-        for (const line of lines) {
-            if (line.includes('ENVELOPE')) {
-                const match = line.match(/ENVELOPE \((.*?)\)(?:\))?$/);
-                if (match) {
-                    const parts = this.parseEnvelopeParts(match[1]);
-
-                    // Safely handle parts with null checks and defaults
-                    result.push({
-                        date: parts[0] ? parts[0].replace(/"/g, '') : '',
-                        subject: parts[1] ? parts[1].replace(/"/g, '') : '',
-                        from: this.parseAddressList(parts[2]),
-                        sender: this.parseAddressList(parts[3]),
-                        replyTo: this.parseAddressList(parts[4]),
-                        to: this.parseAddressList(parts[5]),
-                        cc: this.parseAddressList(parts[6] || 'NIL'),
-                        bcc: this.parseAddressList(parts[7] || 'NIL'),
-                        inReplyTo: parts[8] ? parts[8].replace(/"/g, '') : '',
-                        messageId: parts[9] ? parts[9].replace(/"/g, '') : ''
-                    });
-                }
+
+        for (const line of response.split('\n')) {
+            const match = line.match(/^\* (\d+) FETCH \((.*)\)$/i);
+            if (!match) continue;
+
+            const flags = match[2].match(/FLAGS \(([^)]*)\)/i);
+            if (!flags) continue;
+            const uid = match[2].match(/UID (\d+)/i);
+
+            result.push({
+                seq: parseInt(match[1]),
+                uid: uid ? parseInt(uid[1]) : null,
+                flags: flags[1].split(' ').filter(Boolean)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Parses an untagged FETCH response into a normalized message record
+     * @static
+     * @param {IMAPResponse|string} response - A `* n FETCH (...)` response
+     * @returns {Object|null} Record with `seq` plus whichever of `uid`, `flags`, `modseq`,
+     * `size`, `internalDate`, `envelope`, `bodyStructure` and `headers` the server returned,
+     * or null if the response is not a FETCH
+     * @example
+     * // Returns: { seq: 3, uid: 9, flags: ['\\Seen'], size: 2048 }
+     * IMAPParser.parseFetch('* 3 FETCH (UID 9 FLAGS (\\Seen) RFC822.SIZE 2048)')
+     */
+    static parseFetch(response) {
+        const { values } = typeof response === 'string'
+            ? this.parseValues(response)
+            : this.parseValues(response.text, 0, position => response.literalAt(position));
+        if (values[0] !== '*' || String(values[2]).toUpperCase() !== 'FETCH' || !Array.isArray(values[3])) {
+            return null;
+        }
+
+        const record = { seq: parseInt(values[1], 10) };
+        const attributes = values[3];
+        for (let i = 0; i + 1 < attributes.length; i += 2) {
+            const key = String(attributes[i]).toUpperCase();
+            const value = attributes[i + 1];
+
+            if (key === 'UID') record.uid = parseInt(value, 10);
+            else if (key === 'FLAGS') record.flags = value || [];
+            else if (key === 'MODSEQ') record.modseq = parseInt(Array.isArray(value) ? value[0] : value, 10);
+            else if (key === 'RFC822.SIZE') record.size = parseInt(value, 10);
+            else if (key === 'INTERNALDATE') record.internalDate = this.parseDateTime(this._text(value));
+            else if (key === 'ENVELOPE') record.envelope = this.parseEnvelopeValues(value);
+            else if (key === 'BODYSTRUCTURE') record.bodyStructure = this.parseBodyStructure(value);
+            else if (key.startsWith('BODY[HEADER')) record.headers = this.parseHeaders(value);
+        }
+        return record;
+    }
+
+    /**
+     * Parses a BODYSTRUCTURE list into a MIME part tree
+     * @static
+     * @param {Array} structure - BODYSTRUCTURE value as returned by parseValues
+     * @param {string} [part=''] - Part number of this node; empty for the message itself
+     * @returns {Object|null} Part node with `part` (the number to fetch it by, null for a
+     * top-level multipart), `type`, `parameters`, `id`, `description`, `encoding`, `size`,
+     * `disposition`, `dispositionParameters`, `filename`, `language`, `location` and
+     * `children`. Text parts add `lines`; message/rfc822 parts add `envelope` and `lines`
+     * and hold the embedded message as their only child.
+     */
+    static parseBodyStructure(structure, part = '') {
+        if (!Array.isArray(structure)) return null;
+
+        const text = value => (value == null ? null : this._text(value));
+        const lower = value => (value == null ? null : this._text(value).toLowerCase());
+
+        if (Array.isArray(structure[0])) {
+            const children = [];
+            while (Array.isArray(structure[children.length])) {
+                const number = part ? `${part}.${children.length + 1}` : String(children.length + 1);
+                children.push(this.parseBodyStructure(structure[children.length], number));
             }
+            const [subtype, parameters, disposition, language, location] = structure.slice(children.length);
+
+            return this._bodyPart({
+                part: part || null,
+                type: `multipart/${lower(subtype)}`,
+                parameters: this._parseParameters(parameters),
+                id: null,
+                description: null,
+                encoding: null,
+                size: null
+            }, disposition, language, location, children);
+        }
+
+        const [type, subtype, parameters, id, description, encoding, size] = structure;
+        const node = {
+            part: part || '1',
+            type: `${lower(type)}/${lower(subtype)}`,
+            parameters: this._parseParameters(parameters),
+            id: text(id),
+            description: text(description),
+            encoding: lower(encoding) || '7bit',
+            size: parseInt(size, 10) || 0
+        };
+
+        let extension = 7;
+        const children = [];
+        if (node.type === 'message/rfc822' && Array.isArray(structure[8])) {
+            // The embedded message's parts are numbered below this one; a
+            // single-part body is addressed as `<part>.1`
+            const body = structure[8];
+            children.push(this.parseBodyStructure(body, Array.isArray(body[0]) ? node.part : `${node.part}.1`));
+            node.envelope = this.parseEnvelopeValues(structure[7]);
+            node.lines = parseInt(structure[9], 10) || 0;
+            extension = 10;
+        } else if (node.type.startsWith('text/')) {
+            node.lines = parseInt(structure[7], 10) || 0;
+            extension = 8;
         }
-        return result.length === 1 ? result[0] : result;
-    }
-
-    static parseEnvelopeParts(envelope) {
-        const parts = [];
-        let current = '';
-        let depth = 0;
-        let inQuotes = false;
-
-        for (let i = 0; i < envelope.length; i++) {
-            const char = envelope[i];
-            if (char === '"' && envelope[i - 1] !== '\\') {
-                inQuotes = !inQuotes;
-                current += char;
-            } else if (char === '(' && !inQuotes) {
-                depth++;
-                current += char;
-            } else if (char === ')' && !inQuotes) {
-                depth--;
-                current += char;
-            } else if (char === ' ' && depth === 0 && !inQuotes) {
-                if (current) parts.push(current);
-                current = '';
+
+        const [md5, disposition, language, location] = structure.slice(extension);
+        node.md5 = text(md5);
+        return this._bodyPart(node, disposition, language, location, children);
+    }
+
+    /**
+     * Finds a part in a tree returned by parseBodyStructure
+     * @static
+     * @param {Object} tree - Body structure
+     * @param {string} part - Part number, e.g. `1.2`
+     * @returns {Object|null} Matching part node
+     */
+    static findBodyPart(tree, part) {
+        if (!tree) return null;
+        if (tree.part === part) return tree;
+        for (const child of tree.children) {
+            const found = this.findBodyPart(child, part);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Adds the extension fields shared by every body part
+     * @private
+     */
+    static _bodyPart(node, disposition, language, location, children) {
+        const dispositionParameters = Array.isArray(disposition) ? this._parseParameters(disposition[1]) : {};
+
+        return {
+            ...node,
+            disposition: Array.isArray(disposition) && disposition[0] != null
+                ? this._text(disposition[0]).toLowerCase()
+                : null,
+            dispositionParameters,
+            filename: TransferDecoder.decodeWords(dispositionParameters.filename || node.parameters.name || '') || null,
+            language: language == null ? null : [].concat(language).map(value => this._text(value)),
+            location: location == null ? null : this._text(location),
+            children
+        };
+    }
+
+    /**
+     * Parses a body parameter list such as `("CHARSET" "UTF-8" "NAME" "a.txt")`,
+     * joining and decoding RFC 2231 continuations like `filename*0*`
+     * @private
+     * @returns {Object<string, string>} Parameters keyed by lower-cased name
+     */
+    static _parseParameters(list) {
+        const result = {};
+        const continued = {};
+        if (!Array.isArray(list)) return result;
+
+        for (let i = 0; i + 1 < list.length; i += 2) {
+            const key = this._text(list[i]).toLowerCase();
+            const value = list[i + 1] == null ? '' : this._text(list[i + 1]);
+            const match = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+
+            if (!match) {
+                result[key] = value;
+                continue;
+            }
+            const [, name, index, star] = match;
+            (continued[name] = continued[name] || []).push({
+                index: index === undefined ? 0 : parseInt(index, 10),
+                encoded: index === undefined || Boolean(star),
+                value
+            });
+        }
+
+        for (const [name, segments] of Object.entries(continued)) {
+            segments.sort((a, b) => a.index - b.index);
+            let charset = 'utf-8';
+            const bytes = segments.map((segment, position) => {
+                if (!segment.encoded) return Buffer.from(segment.value, 'utf8');
+                let value = segment.value;
+                if (position === 0) {
+                    // The first encoded segment starts with charset'language'
+                    const prefix = value.match(/^([^']*)'[^']*'/);
+                    if (prefix) {
+                        charset = prefix[1] || charset;
+                        value = value.substring(prefix[0].length);
+                    }
+                }
+                return this._percentDecode(value);
+            });
+            result[name] = TransferDecoder.decodeText(Buffer.concat(bytes), charset);
+        }
+
+        return result;
+    }
+
+    /**
+     * Decodes %XX escapes into bytes
+     * @private
+     */
+    static _percentDecode(value) {
+        const bytes = [];
+        for (let i = 0; i < value.length; i++) {
+            const hex = value.substring(i + 1, i + 3);
+            if (value[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+                bytes.push(Buffer.from([parseInt(hex, 16)]));
+                i += 2;
             } else {
-                current += char;
+                bytes.push(Buffer.from(value[i], 'utf8'));
+            }
+        }
+        return Buffer.concat(bytes);
+    }
+
+    /**
+     * Parses an IMAP date-time such as `17-Jul-1996 02:44:25 -0700`
+     * @static
+     * @param {string} value - INTERNALDATE value
+     * @returns {Date|null} Parsed date, or null if the value is malformed
+     */
+    static parseDateTime(value) {
+        const match = String(value).trim()
+            .match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4}) (\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/);
+        if (!match) return null;
+
+        const month = MONTHS.indexOf(match[2].toUpperCase());
+        if (month === -1) return null;
+
+        const [day, , year, hours, minutes, seconds, sign, zoneHours, zoneMinutes] = match.slice(1);
+        const offset = (sign === '-' ? -1 : 1) * (Number(zoneHours) * 60 + Number(zoneMinutes));
+        const utc = Date.UTC(Number(year), month, Number(day), Number(hours), Number(minutes), Number(seconds));
+        return new Date(utc - offset * 60 * 1000);
+    }
+
+    /**
+     * Parses a block of message header fields, unfolding continuation lines
+     * @static
+     * @param {Buffer|string|null} block - Header section from a BODY[HEADER...] fetch
+     * @returns {Object<string, string[]>} Field values keyed by lower-cased field name,
+     * in the order they appear
+     */
+    static parseHeaders(block) {
+        const headers = {};
+        if (block == null) return headers;
+
+        const text = this._text(block);
+        for (const field of text.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/)) {
+            const colon = field.indexOf(':');
+            if (colon <= 0) continue;
+            const name = field.substring(0, colon).trim().toLowerCase();
+            (headers[name] = headers[name] || []).push(field.substring(colon + 1).trim());
+        }
+        return headers;
+    }
+
+    /**
+     * Parses untagged EXPUNGE responses
+     * @static
+     * @param {string} response - Raw IMAP server response from EXPUNGE
+     * @returns {number[]} Expunged sequence numbers, in the order reported
+     */
+    static parseExpunge(response) {
+        const result = [];
+        for (const line of response.split('\n')) {
+            const match = line.match(/^\* (\d+) EXPUNGE\b/i);
+            if (match) result.push(parseInt(match[1]));
+        }
+        return result;
+    }
+
+    /**
+     * Parses QRESYNC VANISHED responses, which report expunged messages by UID
+     * @static
+     * @param {string} response - Raw IMAP server response
+     * @returns {{earlier: boolean, uids: number[]}} UIDs from every VANISHED response, and
+     * whether they were reported as (EARLIER), i.e. expunged before this command
+     * @example
+     * // Returns: { earlier: true, uids: [41, 43, 44, 45] }
+     * IMAPParser.parseVanished('* VANISHED (EARLIER) 41,43:45')
+     */
+    static parseVanished(response) {
+        const result = { earlier: false, uids: [] };
+        for (const line of String(response).split('\n')) {
+            const match = line.match(/^\* VANISHED (\(EARLIER\) )?([\d:,]+)/i);
+            if (!match) continue;
+            if (match[1]) result.earlier = true;
+            result.uids.push(...this.parseSequenceSet(match[2]));
+        }
+        return result;
+    }
+
+    /**
+     * Parses the COPYUID response code returned by COPY and MOVE on UIDPLUS servers
+     * @static
+     * @param {string} response - Raw IMAP server response, including the tagged completion
+     * @returns {{uidvalidity: number, uidMap: Map<number, number>}|null} UIDVALIDITY of the
+     * destination and a source UID to destination UID map, or null without COPYUID
+     * @example
+     * // Returns: { uidvalidity: 38505, uidMap: Map { 304 => 3956, 319 => 3957 } }
+     * IMAPParser.parseCopyUid('A3 OK [COPYUID 38505 304,319 3956:3957] Done')
+     */
+    static parseCopyUid(response) {
+        const match = response.match(/\[COPYUID (\d+) ([\d:,]+) ([\d:,]+)\]/i);
+        if (!match) return null;
+
+        const source = this.parseSequenceSet(match[2]);
+        const destination = this.parseSequenceSet(match[3]);
+        const uidMap = new Map();
+        source.forEach((uid, index) => {
+            if (destination[index] !== undefined) uidMap.set(uid, destination[index]);
+        });
+
+        return { uidvalidity: parseInt(match[1]), uidMap };
+    }
+
+    /**
+     * Parses the APPENDUID response code returned by APPEND on UIDPLUS servers
+     * @static
+     * @param {string} response - Tagged APPEND completion
+     * @returns {{uidvalidity: number, uid: number}|null} UIDVALIDITY and UID of the new
+     * message, or null without APPENDUID
+     * @example
+     * // Returns: { uidvalidity: 38505, uid: 3955 }
+     * IMAPParser.parseAppendUid('A3 OK [APPENDUID 38505 3955] APPEND completed')
+     */
+    static parseAppendUid(response) {
+        const match = response.match(/\[APPENDUID (\d+) (\d+)\]/i);
+        if (!match) return null;
+        return { uidvalidity: parseInt(match[1]), uid: parseInt(match[2]) };
+    }
+
+    /**
+     * Parses the ENVELOPE command response to extract email metadata
+     * @static
+     * @param {string|IMAPResponse[]} response - Raw IMAP server response from FETCH ENVELOPE command
+     * @returns {Object[]} Parsed email envelope information, one entry per message;
+     * see parseEnvelopeValues
+     */
+    static parseEnvelope(response) {
+        const result = [];
+        for (const values of this.readLines(response)) {
+            if (values[0] !== '*' || String(values[2]).toUpperCase() !== 'FETCH' || !Array.isArray(values[3])) continue;
+
+            const attributes = values[3];
+            for (let i = 0; i + 1 < attributes.length; i += 2) {
+                if (String(attributes[i]).toUpperCase() === 'ENVELOPE') {
+                    result.push(this.parseEnvelopeValues(attributes[i + 1]));
+                }
             }
         }
-        if (current) parts.push(current);
-        return parts;
+        return result;
+    }
+
+    /**
+     * Builds an envelope from the parsed values of an ENVELOPE list
+     * @static
+     * @param {Array|null} envelope - ENVELOPE value as returned by parseValues
+     * @returns {Object|null} Envelope information
+     * @property {Date|null} date - Email date, null if missing or unparseable
+     * @property {string} subject - Email subject with encoded words decoded
+     * @property {Array} from - Sender email addresses, see parseAddressList
+     * @property {Array} to - Recipient email addresses
+     * @property {string} messageId - Unique message identifier
+     */
+    static parseEnvelopeValues(envelope) {
+        if (!Array.isArray(envelope)) return null;
+
+        const text = value => (value == null ? '' : this._text(value));
+
+        return {
+            date: this.parseMessageDate(envelope[0]),
+            subject: TransferDecoder.decodeWords(text(envelope[1])),
+            from: this.parseAddressList(envelope[2]),
+            sender: this.parseAddressList(envelope[3]),
+            replyTo: this.parseAddressList(envelope[4]),
+            to: this.parseAddressList(envelope[5]),
+            cc: this.parseAddressList(envelope[6]),
+            bcc: this.parseAddressList(envelope[7]),
+            inReplyTo: text(envelope[8]),
+            messageId: text(envelope[9])
+        };
     }
 
-    static parseAddressList(addresses) {
-        if (addresses === 'NIL' || !addresses) return [];
+    /**
+     * Builds addresses from the parsed values of an envelope address list
+     * @static
+     * @param {Array|null} list - Address structures `(name adl mailbox host)`
+     * @returns {Array<Object>} Addresses with `name`, `sourceRoute`, `mailbox`, `host` and
+     * `address` (`mailbox@host`). RFC 2822 groups become one entry with the group's
+     * `name` and its members in `group`.
+     */
+    static parseAddressList(list) {
+        const result = [];
+        let group = null;
+        if (!Array.isArray(list)) return result;
 
-        const addressList = [];
-        const matches = addresses.match(/\((.*?)\)/g);
+        for (const entry of list) {
+            if (!Array.isArray(entry)) continue;
+            const [name, sourceRoute, mailbox, host] = entry.map(value => (value == null ? null : this._text(value)));
 
-        if (matches) {
-            for (const match of matches) {
-                const parts = match.slice(1, -1).split(' ');
-                addressList.push({
-                    name: this.decodeValue(parts[0]),
-                    sourceRoute: this.decodeValue(parts[1]),
-                    mailbox: this.decodeValue(parts[2]),
-                    host: this.decodeValue(parts[3])
-                });
+            // A NIL host marks group syntax: the mailbox holds the group name,
+            // and a NIL mailbox ends the group
+            if (host === null) {
+                if (mailbox !== null) {
+                    group = { name: TransferDecoder.decodeWords(mailbox), sourceRoute: null, mailbox: null, host: null, address: null, group: [] };
+                    result.push(group);
+                } else {
+                    group = null;
+                }
+                continue;
             }
+
+            const address = {
+                name: name === null ? null : TransferDecoder.decodeWords(name),
+                sourceRoute,
+                mailbox,
+                host,
+                address: mailbox && host ? `${mailbox}@${host}` : mailbox
+            };
+            (group ? group.group : result).push(address);
         }
 
-        return addressList;
+        return result;
     }
 
-    static decodeValue(value) {
-        if (value === 'NIL') return null;
-        return value.replace(/"/g, '');
+    /**
+     * Parses an RFC 2822 message date such as `Mon, 1 Jan 2024 10:00:00 +0000 (UTC)`
+     * @static
+     * @param {string|Buffer|null} value - Date header value
+     * @returns {Date|null} Parsed date, or null if missing or unparseable
+     */
+    static parseMessageDate(value) {
+        if (value == null) return null;
+        // Drop comments such as (UTC), which not every runtime accepts
+        const date = new Date(this._text(value).replace(/\([^)]*\)/g, '').trim());
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Converts a parsed string or literal value to text
+     * @private
+     */
+    static _text(value) {
+        return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+    }
+
+    /**
+     * Extracts a BODY[section] payload from FETCH responses
+     * @static
+     * @param {IMAPResponse[]} responses - Untagged responses from a FETCH command
+     * @param {string} [section="TEXT"] - Body section that was requested
+     * @returns {Buffer|null} Raw section bytes, or null if the section is absent or NIL
+     */
+    static parseBody(responses, section = 'TEXT') {
+        const needle = `BODY[${section.toUpperCase()}]`;
+
+        for (const response of responses) {
+            if (!/^\* \d+ FETCH /i.test(response.text)) continue;
+
+            const start = response.text.toUpperCase().indexOf(needle);
+            if (start === -1) continue;
+
+            // Skip the optional partial origin, e.g. BODY[TEXT]<0>
+            const rest = response.text.substring(start + needle.length);
+            const origin = rest.match(/^(<\d+>)? /);
+            if (!origin) continue;
+
+            const position = start + needle.length + origin[0].length;
+            const literal = response.literalAt(position);
+            if (literal) return literal;
+
+            const quoted = response.text.substring(position).match(/^"((?:[^"\\]|\\.)*)"/);
+            if (quoted) return Buffer.from(quoted[1].replace(/\\(.)/g, '$1'), 'utf8');
+
+            return null;
+        }
+        return null;
     }
 
 }
@@ -0,0 +1,130 @@
+const CRLF = Buffer.from('\r\n');
+const LITERAL_MARKER = /\{(\d+)\+?\}$/;
+
+/**
+ * @class IMAPResponse
+ * @description A single, complete server response together with its literals
+ * @param {string[]} parts - Text segments, each but the last ending in a `{n}` literal marker
+ * @param {Buffer[]} literals - Literal payloads, in the order they appeared
+ */
+class IMAPResponse {
+    constructor(parts, literals) {
+        this.parts = parts;
+        this.literals = literals;
+        this.text = parts.join('');
+        this.literalPositions = [];
+
+        let offset = 0;
+        for (let i = 0; i < literals.length; i++) {
+            offset += parts[i].length;
+            this.literalPositions.push(offset);
+        }
+
+        const space = this.text.indexOf(' ');
+        this.tag = space === -1 ? this.text : this.text.substring(0, space);
+    }
+
+    /**
+     * Finds the literal whose `{n}` marker starts at the given text offset
+     * @param {number} position - Offset into `text`
+     * @returns {Buffer|null} Literal payload, or null if no literal starts there
+     */
+    literalAt(position) {
+        const match = this.text.substring(position).match(/^\{\d+\+?\}/);
+        if (!match) return null;
+        const index = this.literalPositions.indexOf(position + match[0].length);
+        return index === -1 ? null : this.literals[index];
+    }
+
+    /**
+     * Counts the bytes the response took on the wire
+     * @returns {number} Size including line breaks and literals
+     */
+    byteLength() {
+        const literals = this.literals.reduce((total, literal) => total + literal.length, 0);
+        return Buffer.byteLength(this.text) + this.parts.length * 2 + literals;
+    }
+
+    /**
+     * Renders the response as protocol text with literals inlined
+     * @returns {string} Response text
+     */
+    toString() {
+        let result = '';
+        for (let i = 0; i < this.parts.length; i++) {
+            result += this.parts[i];
+            if (i < this.literals.length) {
+                result += '\r\n' + this.literals[i].toString('utf8');
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * @class ResponseReader
+ * @description Frames raw socket data into complete IMAP responses. Works on
+ * Buffers and counts `{n}` literal bytes exactly, so literal contents can
+ * never be mistaken for protocol lines.
+ */
+class ResponseReader {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.parts = [];
+        this.literals = [];
+        this.literalChunks = [];
+        this.literalRemaining = 0;
+    }
+
+    /**
+     * Feeds a chunk of socket data into the reader
+     * @param {Buffer|string} chunk - Data received from the server
+     * @returns {IMAPResponse[]} Responses completed by this chunk
+     */
+    push(chunk) {
+        const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+        const responses = [];
+        while (this.buffer.length) {
+            if (this.literalRemaining > 0) {
+                const take = Math.min(this.literalRemaining, this.buffer.length);
+                this.literalChunks.push(this.buffer.subarray(0, take));
+                this.buffer = this.buffer.subarray(take);
+                this.literalRemaining -= take;
+                if (this.literalRemaining === 0) {
+                    this.literals.push(Buffer.concat(this.literalChunks));
+                    this.literalChunks = [];
+                }
+                continue;
+            }
+
+            const end = this.buffer.indexOf(CRLF);
+            if (end === -1) break;
+
+            const line = this.buffer.subarray(0, end).toString('utf8');
+            this.buffer = this.buffer.subarray(end + CRLF.length);
+            this.parts.push(line);
+
+            const marker = line.match(LITERAL_MARKER);
+            if (marker) {
+                this.literalRemaining = parseInt(marker[1], 10);
+                if (this.literalRemaining === 0) {
+                    this.literals.push(Buffer.alloc(0));
+                }
+                continue;
+            }
+
+            responses.push(new IMAPResponse(this.parts, this.literals));
+            this.parts = [];
+            this.literals = [];
+        }
+
+        // Release the reference to the socket's buffer once it is consumed
+        if (!this.buffer.length) this.buffer = Buffer.alloc(0);
+        return responses;
+    }
+}
+
+export { IMAPResponse };
+export default ResponseReader;
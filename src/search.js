@@ -0,0 +1,154 @@
+import IMAPEncoder from "./encoder.js";
+
+// Flags that map to a keyword when true and to its opposite when false
+const FLAG_KEYS = {
+    answered: ['ANSWERED', 'UNANSWERED'],
+    deleted: ['DELETED', 'UNDELETED'],
+    draft: ['DRAFT', 'UNDRAFT'],
+    flagged: ['FLAGGED', 'UNFLAGGED'],
+    seen: ['SEEN', 'UNSEEN'],
+    unanswered: ['UNANSWERED', 'ANSWERED'],
+    undeleted: ['UNDELETED', 'DELETED'],
+    undraft: ['UNDRAFT', 'DRAFT'],
+    unflagged: ['UNFLAGGED', 'FLAGGED'],
+    unseen: ['UNSEEN', 'SEEN'],
+    recent: ['RECENT', 'OLD'],
+    old: ['OLD', 'RECENT'],
+    new: ['NEW', null],
+    all: ['ALL', null]
+};
+
+const STRING_KEYS = {
+    bcc: 'BCC',
+    body: 'BODY',
+    cc: 'CC',
+    from: 'FROM',
+    subject: 'SUBJECT',
+    text: 'TEXT',
+    to: 'TO'
+};
+
+// Keys whose value is a flag keyword, sent as an atom
+const KEYWORD_KEYS = {
+    keyword: 'KEYWORD',
+    unkeyword: 'UNKEYWORD'
+};
+
+const DATE_KEYS = {
+    before: 'BEFORE',
+    on: 'ON',
+    since: 'SINCE',
+    sentBefore: 'SENTBEFORE',
+    sentOn: 'SENTON',
+    sentSince: 'SENTSINCE'
+};
+
+const NUMBER_KEYS = {
+    larger: 'LARGER',
+    smaller: 'SMALLER'
+};
+
+/**
+ * @class IMAPSearch
+ * @description Compiles structured search criteria into IMAP SEARCH keys
+ * @static
+ */
+class IMAPSearch {
+    /**
+     * Compiles search criteria into command parts
+     * @static
+     * @param {Object} [criteria={}] - Search criteria; all keys must match
+     * @returns {{parts: Array<string|{literal: Buffer}>, utf8: boolean}} Search keys, and
+     * whether they carry non-ASCII text and need `CHARSET UTF-8`
+     * @throws {Error} If a criterion is unknown or has an invalid value
+     * @example
+     * // parts: ['FROM', '"alice"', 'UNSEEN', 'SINCE', '1-Feb-2024']
+     * IMAPSearch.compile({ from: 'alice', unseen: true, since: new Date('2024-02-01') })
+     */
+    static compile(criteria = {}) {
+        const state = { utf8: false };
+        const parts = this._compileKeys(criteria, state);
+        return { parts: parts.length ? parts : ['ALL'], utf8: state.utf8 };
+    }
+
+    /**
+     * Formats a date as an IMAP search date, e.g. `1-Feb-2024`
+     * @static
+     * @param {Date|string|number} value - Date to format
+     * @returns {string} IMAP date
+     */
+    static formatDate(value) {
+        return IMAPEncoder.date(value);
+    }
+
+    static _compileKeys(criteria, state) {
+        const parts = [];
+
+        for (const [key, value] of Object.entries(criteria)) {
+            if (value === undefined) continue;
+
+            if (FLAG_KEYS[key]) {
+                const keyword = FLAG_KEYS[key][value ? 0 : 1];
+                if (!keyword) throw new Error(`Search criterion ${key} only supports true`);
+                parts.push(keyword);
+            } else if (STRING_KEYS[key]) {
+                parts.push(STRING_KEYS[key], this._encode(value, state));
+            } else if (KEYWORD_KEYS[key]) {
+                parts.push(KEYWORD_KEYS[key], IMAPEncoder.keyword(value));
+            } else if (DATE_KEYS[key]) {
+                parts.push(DATE_KEYS[key], this.formatDate(value));
+            } else if (NUMBER_KEYS[key]) {
+                parts.push(NUMBER_KEYS[key], String(this._toNumber(key, value)));
+            } else if (key === 'header') {
+                const headers = Array.isArray(value[0]) ? value : [value];
+                for (const [name, headerValue = ''] of headers) {
+                    parts.push('HEADER', this._encode(name, state), this._encode(headerValue, state));
+                }
+            } else if (key === 'uid') {
+                parts.push('UID', IMAPEncoder.sequenceSet(value));
+            } else if (key === 'seq') {
+                parts.push(IMAPEncoder.sequenceSet(value));
+            } else if (key === 'or') {
+                parts.push(...this._compileOr(value, state));
+            } else if (key === 'not') {
+                parts.push('NOT', ...this._group(value, state));
+            } else {
+                throw new Error(`Unknown search criterion: ${key}`);
+            }
+        }
+
+        return parts;
+    }
+
+    static _compileOr(alternatives, state) {
+        if (!Array.isArray(alternatives) || alternatives.length < 2) {
+            throw new Error('Search criterion or needs at least two alternatives');
+        }
+
+        // OR takes exactly two keys, so longer lists nest to the right
+        const [first, ...rest] = alternatives;
+        const second = rest.length === 1 ? this._group(rest[0], state) : this._compileOr(rest, state);
+        return ['OR', ...this._group(first, state), ...second];
+    }
+
+    static _group(criteria, state) {
+        const parts = this._compileKeys(criteria, state);
+        if (!parts.length) return ['ALL'];
+        return parts.length === 1 ? parts : ['(', ...parts, ')'];
+    }
+
+    static _encode(value, state) {
+        if (/[^\x00-\x7f]/.test(String(value))) state.utf8 = true;
+        return IMAPEncoder.encodeString(value);
+    }
+
+    static _toNumber(key, value) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`Search criterion ${key} must be a non-negative integer`);
+        }
+        return number;
+    }
+}
+
+export default IMAPSearch;
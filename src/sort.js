@@ -0,0 +1,159 @@
+// Sort keys of RFC 5256, each with the FETCH items needed to sort by it locally
+const SORT_KEYS = {
+    ARRIVAL: ['internalDate'],
+    CC: ['envelope'],
+    DATE: ['envelope', 'internalDate'],
+    FROM: ['envelope'],
+    SIZE: ['size'],
+    SUBJECT: ['envelope'],
+    TO: ['envelope']
+};
+
+/**
+ * @class IMAPSort
+ * @description Compiles SORT criteria and sorts messages locally the way
+ * RFC 5256 servers do, for servers without the SORT extension
+ * @static
+ */
+class IMAPSort {
+    /**
+     * Validates sort criteria
+     * @static
+     * @param {string|string[]} criteria - Sort keys (ARRIVAL, CC, DATE, FROM, SIZE, SUBJECT,
+     * TO), each optionally preceded by REVERSE, e.g. `['REVERSE', 'DATE']` or `'reverse date'`
+     * @returns {string[]} Upper-case sort keys
+     * @throws {Error} If a key is unknown or REVERSE is not followed by a key
+     */
+    static compile(criteria) {
+        const keys = (Array.isArray(criteria) ? criteria : [criteria])
+            .flatMap(key => String(key).trim().toUpperCase().split(/\s+/))
+            .filter(Boolean);
+        if (!keys.length) throw new Error('Sort needs at least one criterion');
+
+        keys.forEach((key, index) => {
+            if (key === 'REVERSE') {
+                if (!SORT_KEYS[keys[index + 1]]) throw new Error('REVERSE must be followed by a sort key');
+            } else if (!SORT_KEYS[key]) {
+                throw new Error(`Unknown sort criterion: ${key}`);
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * Lists the fetchMessages items needed to sort by the given keys
+     * @static
+     * @param {string[]} keys - Keys from compile()
+     * @returns {Object} Fetch items, always including the UID
+     */
+    static fetchItems(keys) {
+        const items = { uid: true };
+        for (const key of keys) {
+            (SORT_KEYS[key] || []).forEach(item => { items[item] = true; });
+        }
+        return items;
+    }
+
+    /**
+     * Sorts FETCH records by the given keys, falling back to sequence order
+     * @static
+     * @param {Object[]} records - Records from fetchMessages with the items from fetchItems()
+     * @param {string[]} keys - Keys from compile()
+     * @returns {Object[]} Sorted copy of the records
+     */
+    static sortMessages(records, keys) {
+        const order = [];
+        for (let i = 0; i < keys.length; i++) {
+            const reverse = keys[i] === 'REVERSE';
+            order.push({ key: reverse ? keys[++i] : keys[i], direction: reverse ? -1 : 1 });
+        }
+
+        return [...records].sort((a, b) => {
+            for (const { key, direction } of order) {
+                const result = this._compare(this._value(a, key), this._value(b, key));
+                if (result) return result * direction;
+            }
+            return a.seq - b.seq;
+        });
+    }
+
+    /**
+     * Extracts the base subject used to sort and thread messages (RFC 5256
+     * section 2.1), removing reply and forward markers and mailing list tags
+     * @static
+     * @param {string} subject - Decoded subject
+     * @returns {string} Base subject
+     * @example
+     * // Returns: 'Lunch'
+     * IMAPSort.baseSubject('Re: [team] Fwd: Lunch (fwd)')
+     */
+    static baseSubject(subject) {
+        return this.parseSubject(subject).base;
+    }
+
+    /**
+     * Extracts the base subject and whether the subject marks a reply or forward
+     * @static
+     * @param {string} subject - Decoded subject
+     * @returns {{base: string, reply: boolean}} Base subject and reply marker
+     */
+    static parseSubject(subject) {
+        let text = String(subject || '').replace(/\s+/g, ' ').trim();
+        let reply = false;
+
+        while (true) {
+            const trimmed = text.replace(/(?:\s*\(fwd\))+\s*$/i, '');
+            if (trimmed !== text) reply = true;
+            text = trimmed;
+
+            let previous;
+            do {
+                previous = text;
+                const leader = text.match(/^(?:\[[^[\]]*\]\s*)*(?:re|fwd?)\s*(?:\[[^[\]]*\]\s*)?:\s*/i);
+                if (leader) {
+                    text = text.substring(leader[0].length);
+                    reply = true;
+                }
+                // A tag is only dropped when something is left after it
+                const blob = text.match(/^\[[^[\]]*\]\s*/);
+                if (blob && blob[0].length < text.length) text = text.substring(blob[0].length);
+            } while (text !== previous);
+
+            const wrapped = text.match(/^\[fwd:\s*(.*)\]$/i);
+            if (!wrapped) break;
+            text = wrapped[1].trim();
+            reply = true;
+        }
+
+        return { base: text, reply };
+    }
+
+    /**
+     * Gets the date a message was sent, falling back to its arrival date
+     * @static
+     * @param {Object} record - FETCH record
+     * @returns {number} Milliseconds since the epoch, 0 if unknown
+     */
+    static sentDate(record) {
+        const date = (record.envelope && record.envelope.date) || record.internalDate;
+        return date ? date.getTime() : 0;
+    }
+
+    static _value(record, key) {
+        const envelope = record.envelope || {};
+        if (key === 'ARRIVAL') return record.internalDate ? record.internalDate.getTime() : 0;
+        if (key === 'DATE') return this.sentDate(record);
+        if (key === 'SIZE') return record.size || 0;
+        if (key === 'SUBJECT') return this.baseSubject(envelope.subject).toLowerCase();
+        // Addresses sort by the mailbox (local part) of the first address
+        const [first] = envelope[key.toLowerCase()] || [];
+        return String((first && first.mailbox) || '').toLowerCase();
+    }
+
+    static _compare(a, b) {
+        if (a < b) return -1;
+        return a > b ? 1 : 0;
+    }
+}
+
+export default IMAPSort;
@@ -0,0 +1,205 @@
+import IMAPSort from "./sort.js";
+
+/**
+ * @class IMAPThread
+ * @description Threads messages locally with the algorithms of RFC 5256, for
+ * servers without the THREAD extension. Threads are trees of
+ * `{ id, children }` nodes, as returned by IMAPParser.parseThread.
+ * @static
+ */
+class IMAPThread {
+    /**
+     * Groups messages by base subject. Within a thread the earliest message is
+     * the parent of all others; threads are ordered by their first message.
+     * @static
+     * @param {Object[]} records - FETCH records with envelope and internal date
+     * @param {Function} id - Gets the number to report for a record, e.g. its UID
+     * @returns {Array<{id: number, children: Array}>} Threads
+     */
+    static orderedSubject(records, id) {
+        const groups = new Map();
+        for (const record of this._byDate(records)) {
+            const subject = IMAPSort.baseSubject((record.envelope || {}).subject).toLowerCase();
+            if (!groups.has(subject)) groups.set(subject, []);
+            groups.get(subject).push(record);
+        }
+
+        return [...groups.values()].map(([first, ...rest]) => ({
+            id: id(first),
+            children: rest.map(record => ({ id: id(record), children: [] }))
+        }));
+    }
+
+    /**
+     * Threads messages by their Message-ID, In-Reply-To and References headers
+     * (the JWZ algorithm), then merges threads with the same base subject
+     * @static
+     * @param {Object[]} records - FETCH records with envelope, internal date and the
+     * References header
+     * @param {Function} id - Gets the number to report for a record, e.g. its UID
+     * @returns {Array<{id: number|null, children: Array}>} Threads; `id` is null for a
+     * missing message that several replies refer to
+     */
+    static references(records, id) {
+        const containers = new Map();
+        const container = (key) => {
+            if (!containers.has(key)) containers.set(key, { message: null, parent: null, children: [] });
+            return containers.get(key);
+        };
+
+        let unique = 0;
+        for (const record of records) {
+            const envelope = record.envelope || {};
+            let [messageId] = this._messageIds(envelope.messageId, true);
+            // Messages without an ID, or with one already taken, stand alone
+            if (!messageId || (containers.has(messageId) && containers.get(messageId).message)) {
+                messageId = `\0${unique++}`;
+            }
+            const own = container(messageId);
+            own.message = record;
+
+            const headers = record.headers || {};
+            let references = this._messageIds((headers.references || []).join(' '));
+            if (!references.length) references = this._messageIds(envelope.inReplyTo).slice(0, 1);
+
+            let parent = null;
+            for (const reference of references) {
+                const current = container(reference);
+                // Links found earlier are kept
+                if (parent && !current.parent && !this._reaches(current, parent)) this._link(parent, current);
+                parent = current;
+            }
+
+            // The message's own references win over what other messages implied
+            this._unlink(own);
+            if (parent && !this._reaches(own, parent)) this._link(parent, own);
+        }
+
+        let roots = this._prune([...containers.values()].filter(entry => !entry.parent), true);
+        roots = this._mergeSubjects(roots);
+        this._sort(roots);
+
+        const toNode = entry => ({ id: entry.message ? id(entry.message) : null, children: entry.children.map(toNode) });
+        return roots.map(toNode);
+    }
+
+    /**
+     * Removes empty containers, promoting their children
+     * @private
+     */
+    static _prune(entries, root) {
+        const result = [];
+        for (const entry of entries) {
+            entry.children = this._prune(entry.children, false);
+            if (entry.message) {
+                result.push(entry);
+            } else if (entry.children.length && (!root || entry.children.length === 1)) {
+                entry.children.forEach((child) => { child.parent = entry.parent; });
+                result.push(...entry.children);
+            } else if (entry.children.length) {
+                // A missing message with several replies still groups them at the top
+                result.push(entry);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Joins threads whose roots share a base subject
+     * @private
+     */
+    static _mergeSubjects(roots) {
+        const subjectOf = (entry) => {
+            const message = entry.message || entry.children[0].message;
+            return IMAPSort.parseSubject((message.envelope || {}).subject);
+        };
+
+        const table = new Map();
+        for (const entry of roots) {
+            const { base, reply } = subjectOf(entry);
+            if (!base) continue;
+            const key = base.toLowerCase();
+            const existing = table.get(key);
+            if (!existing || (existing.entry.message && (!entry.message || (existing.reply && !reply)))) {
+                table.set(key, { entry, reply: Boolean(entry.message) && reply });
+            }
+        }
+
+        const result = [...roots];
+        for (const entry of roots) {
+            const { base, reply } = subjectOf(entry);
+            const match = base && table.get(base.toLowerCase());
+            // Roots already moved under a new parent are done
+            if (!match || match.entry === entry || entry.parent) continue;
+            const target = match.entry;
+            result.splice(result.indexOf(entry), 1);
+
+            if (!target.message && !entry.message) {
+                [...entry.children].forEach(child => this._link(target, child));
+            } else if (!target.message || (entry.message && reply && !match.reply)) {
+                this._link(target, entry);
+            } else {
+                const dummy = { message: null, parent: null, children: [] };
+                result.splice(result.indexOf(target), 1, dummy);
+                this._link(dummy, target);
+                this._link(dummy, entry);
+                match.entry = dummy;
+                match.reply = false;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Orders siblings by sent date; an empty container takes the date of its first child
+     * @private
+     */
+    static _sort(entries) {
+        entries.forEach(entry => this._sort(entry.children));
+        const first = entry => (entry.message ? entry.message : first(entry.children[0]));
+        entries.sort((a, b) => IMAPSort.sentDate(first(a)) - IMAPSort.sentDate(first(b)) || first(a).seq - first(b).seq);
+    }
+
+    static _byDate(records) {
+        return [...records].sort((a, b) => IMAPSort.sentDate(a) - IMAPSort.sentDate(b) || a.seq - b.seq);
+    }
+
+    /**
+     * Whether `target` is `entry` or one of its descendants
+     * @private
+     */
+    static _reaches(entry, target) {
+        for (let current = target; current; current = current.parent) {
+            if (current === entry) return true;
+        }
+        return false;
+    }
+
+    static _link(parent, child) {
+        this._unlink(child);
+        child.parent = parent;
+        parent.children.push(child);
+    }
+
+    static _unlink(child) {
+        if (!child.parent) return;
+        const siblings = child.parent.children;
+        siblings.splice(siblings.indexOf(child), 1);
+        child.parent = null;
+    }
+
+    /**
+     * Extracts `<id>` message IDs from a header value
+     * @private
+     * @param {string} value - Header value
+     * @param {boolean} [loose=false] - Accept a value without angle brackets as one ID
+     */
+    static _messageIds(value, loose = false) {
+        const text = String(value || '');
+        const ids = text.match(/<[^<>\s]+>/g);
+        if (ids) return ids;
+        return loose && text.trim() ? [text.trim()] : [];
+    }
+}
+
+export default IMAPThread;
@@ -0,0 +1,76 @@
+/**
+ * @class ModifiedUTF7
+ * @description Encodes and decodes mailbox names in IMAP's modified UTF-7
+ * (RFC 3501 section 5.1.3)
+ * @static
+ */
+class ModifiedUTF7 {
+    /**
+     * Encodes a Unicode mailbox name
+     * @static
+     * @param {string} name - Mailbox name
+     * @returns {string} Modified UTF-7 name
+     * @example
+     * // Returns: 'Entw&APw-rfe'
+     * ModifiedUTF7.encode('Entwürfe')
+     */
+    static encode(name) {
+        let result = '';
+        let pending = '';
+
+        const flush = () => {
+            if (!pending) return;
+            const utf16 = this._swapBytes(Buffer.from(pending, 'utf16le'));
+            result += `&${utf16.toString('base64').replace(/=+$/, '').replace(/\//g, ',')}-`;
+            pending = '';
+        };
+
+        for (const char of String(name)) {
+            const code = char.charCodeAt(0);
+            if (code >= 0x20 && code <= 0x7e) {
+                flush();
+                result += char === '&' ? '&-' : char;
+            } else {
+                pending += char;
+            }
+        }
+        flush();
+
+        return result;
+    }
+
+    /**
+     * Decodes a modified UTF-7 mailbox name. Text that is not valid modified
+     * UTF-7 is returned unchanged.
+     * @static
+     * @param {string} name - Modified UTF-7 name
+     * @returns {string} Unicode mailbox name
+     * @example
+     * // Returns: 'Entwürfe'
+     * ModifiedUTF7.decode('Entw&APw-rfe')
+     */
+    static decode(name) {
+        return String(name).replace(/&([^-]*)-/g, (match, encoded) => {
+            if (!encoded) return '&';
+            if (!/^[A-Za-z0-9+,]+$/.test(encoded)) return match;
+            const utf16 = Buffer.from(encoded.replace(/,/g, '/'), 'base64');
+            if (utf16.length % 2) return match;
+            return this._swapBytes(utf16).toString('utf16le');
+        });
+    }
+
+    /**
+     * Converts between UTF-16LE and UTF-16BE
+     * @private
+     */
+    static _swapBytes(buffer) {
+        const swapped = Buffer.alloc(buffer.length);
+        for (let i = 0; i + 1 < buffer.length; i += 2) {
+            swapped[i] = buffer[i + 1];
+            swapped[i + 1] = buffer[i];
+        }
+        return swapped;
+    }
+}
+
+export default ModifiedUTF7;
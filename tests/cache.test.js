@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCacheAdapter, MemoryCacheAdapter } from '../src/cache.js';
+
+describe.each([
+    ['MemoryCacheAdapter', async () => new MemoryCacheAdapter()],
+    ['FileCacheAdapter', async () => new FileCacheAdapter(await fs.mkdtemp(path.join(os.tmpdir(), 'easy-imap-')))]
+])('%s', (name, create) => {
+    let cache;
+
+    beforeEach(async () => {
+        cache = await create();
+    });
+
+    afterEach(async () => {
+        if (cache.directory) await fs.rm(cache.directory, { recursive: true, force: true });
+    });
+
+    it('should store and read entries by mailbox, UIDVALIDITY and UID', async () => {
+        const entry = {
+            envelope: { date: new Date('2024-02-01T09:30:00Z'), subject: 'Hi' },
+            flags: ['\\Seen'],
+            raw: Buffer.from('Subject: Hi\r\n\r\nHello\r\n')
+        };
+        await cache.set('INBOX', 5, 7, entry);
+
+        const stored = await cache.get('INBOX', 5, 7);
+        expect(stored).toEqual(entry);
+        expect(stored.envelope.date).toBeInstanceOf(Date);
+        expect(Buffer.isBuffer(stored.raw)).toBe(true);
+        expect(await cache.get('INBOX', 6, 7)).toBeNull();
+        expect(await cache.get('Archive', 5, 7)).toBeNull();
+    });
+
+    it('should delete entries', async () => {
+        await cache.set('INBOX', 5, 7, { flags: [] });
+        await cache.delete('INBOX', 5, 7);
+        await cache.delete('INBOX', 5, 8);
+
+        expect(await cache.get('INBOX', 5, 7)).toBeNull();
+    });
+
+    it('should clear other UIDVALIDITY generations of a mailbox', async () => {
+        await cache.set('INBOX', 4, 1, { flags: [] });
+        await cache.set('INBOX', 5, 2, { flags: [] });
+        await cache.set('Archive', 4, 1, { flags: [] });
+
+        await cache.clear('INBOX', 5);
+
+        expect(await cache.get('INBOX', 4, 1)).toBeNull();
+        expect(await cache.get('INBOX', 5, 2)).toEqual({ flags: [] });
+        expect(await cache.get('Archive', 4, 1)).toEqual({ flags: [] });
+
+        await cache.clear('INBOX');
+        expect(await cache.get('INBOX', 5, 2)).toBeNull();
+    });
+});
+
+describe('FileCacheAdapter', () => {
+    it('should keep mailbox names inside the cache directory', async () => {
+        const root = await fs.mkdtemp(path.join(os.tmpdir(), 'easy-imap-'));
+        const cache = new FileCacheAdapter(path.join(root, 'cache'));
+
+        await cache.set('..', 1, 1, { flags: [] });
+        await cache.set('Work/Reports', 1, 1, { flags: [] });
+
+        expect((await fs.readdir(path.join(root, 'cache'))).sort()).toEqual(['%2E%2E', 'Work%2FReports']);
+        await fs.rm(root, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,57 @@
+import TransferDecoder from '../src/decoder.js';
+
+/**
+ * Writes `chunks` through a decoding stream and collects the output
+ */
+async function decodeChunks(encoding, chunks) {
+    const stream = TransferDecoder.create(encoding);
+    const output = [];
+    stream.on('data', data => output.push(data));
+    const done = new Promise(resolve => stream.on('end', resolve));
+    chunks.forEach(chunk => stream.write(Buffer.from(chunk, 'latin1')));
+    stream.end();
+    await done;
+    return Buffer.concat(output);
+}
+
+describe('TransferDecoder', () => {
+    it('should decode base64 split mid-quantum and across lines', async () => {
+        const result = await decodeChunks('BASE64', ['SGVsbG8s', 'IHdv\r\ncm', 'xkIQ==']);
+
+        expect(result.toString()).toBe('Hello, world!');
+    });
+
+    it('should decode quoted-printable escapes split across chunks', async () => {
+        const result = await decodeChunks('quoted-printable', ['class=', '3Dx caf=C', '3=A9 long=\r', '\nline']);
+
+        expect(result.toString('utf8')).toBe('class=x café longline');
+    });
+
+    it('should drop quoted-printable trailing whitespace split from its line break', async () => {
+        const result = await decodeChunks('quoted-printable', ['one  ', '\t\r\ntwo \r', '\nthree ', 'four \t']);
+
+        expect(result.toString()).toBe('one\r\ntwo\r\nthree four \t');
+    });
+
+    it('should pass other encodings through', async () => {
+        const result = await decodeChunks('7bit', ['plain ', 'text']);
+
+        expect(result.toString()).toBe('plain text');
+    });
+
+    it('should decode complete payloads', () => {
+        expect(TransferDecoder.decode(Buffer.from('YWJj'), 'base64').toString()).toBe('abc');
+        expect(TransferDecoder.decode(Buffer.from('a=3Db=\r\n'), 'quoted-printable').toString()).toBe('a=b');
+    });
+
+    it('should decode charsets and fall back to UTF-8', () => {
+        expect(TransferDecoder.decodeText(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'ISO-8859-1')).toBe('café');
+        expect(TransferDecoder.decodeText(Buffer.from('café'), 'x-unknown')).toBe('café');
+    });
+
+    it('should decode encoded words', () => {
+        expect(TransferDecoder.decodeWords('=?UTF-8?Q?Gr=C3=BC=C3=9Fe?=')).toBe('Grüße');
+        expect(TransferDecoder.decodeWords('Re: =?utf-8?b?8J+Y?= =?utf-8?b?gA==?= done')).toBe('Re: 😀 done');
+        expect(TransferDecoder.decodeWords('plain =?bogus text')).toBe('plain =?bogus text');
+    });
+});
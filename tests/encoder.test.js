@@ -0,0 +1,41 @@
+import IMAPEncoder from '../src/encoder.js';
+
+describe('IMAPEncoder', () => {
+    it('should quote strings and escape quotes and backslashes', () => {
+        expect(IMAPEncoder.encodeString('a "b" \\c')).toBe('"a \\"b\\" \\\\c"');
+    });
+
+    it('should use literals for strings that cannot be quoted', () => {
+        expect(IMAPEncoder.encodeString('line\r\nbreak')).toEqual({ literal: Buffer.from('line\r\nbreak') });
+        expect(IMAPEncoder.encodeString('grüße').literal.length).toBe(7);
+    });
+
+    it('should split commands into chunks at literals', () => {
+        const chunks = IMAPEncoder.toChunks('A1', ['LOGIN', IMAPEncoder.literal('user'), '"pass"']);
+
+        expect(chunks.map(chunk => chunk.toString())).toEqual(['A1 LOGIN {4}\r\n', 'user "pass"\r\n']);
+    });
+
+    it('should send non-synchronizing literals with LITERAL+ and LITERAL-', () => {
+        const small = IMAPEncoder.literal('x'.repeat(10));
+        const large = IMAPEncoder.literal('x'.repeat(5000));
+
+        expect(IMAPEncoder.toChunks('A1', ['APPEND', 'INBOX', large], { literalPlus: true })).toHaveLength(1);
+        expect(IMAPEncoder.toChunks('A1', ['APPEND', 'INBOX', small], { literalMinus: true })[0].toString())
+            .toBe(`A1 APPEND INBOX {10+}\r\n${'x'.repeat(10)}\r\n`);
+        expect(IMAPEncoder.toChunks('A1', ['APPEND', 'INBOX', large], { literalMinus: true })).toHaveLength(2);
+    });
+
+    it('should compact numbers into a sequence set', () => {
+        expect(IMAPEncoder.compactSet([7, 3, 1, 2, 3, 9, 8])).toBe('1:3,7:9');
+        expect(IMAPEncoder.compactSet([])).toBe('');
+    });
+
+    it('should format IMAP dates and date-times in UTC', () => {
+        const date = new Date('2024-02-01T09:05:07Z');
+
+        expect(IMAPEncoder.date(date)).toBe('1-Feb-2024');
+        expect(IMAPEncoder.dateTime(date)).toBe('"01-Feb-2024 09:05:07 +0000"');
+        expect(() => IMAPEncoder.dateTime('soon')).toThrow('Invalid date');
+    });
+});
@@ -1,6 +1,20 @@
 
 import { jest } from '@jest/globals';
-import IMAPClient from '../src/IMAPClient.js';
+import { EventEmitter } from 'events';
+import net from 'net';
+import { Readable, Writable } from 'stream';
+import tls from 'tls';
+import IMAPClient, {
+    AbortError,
+    AuthenticationError,
+    ConnectionError,
+    IMAPBadError,
+    IMAPByeError,
+    IMAPNoError,
+    MemoryCacheAdapter,
+    TimeoutError,
+    UIDValidityError
+} from '../src/IMAPClient.js';
 
 // Mock dependencies
 jest.mock('net');
@@ -15,6 +29,95 @@ jest.mock('mailparser', () => ({
     })
 }));
 
+/**
+ * Creates a fake socket that answers each written command through `respond`
+ * @param {Function} respond - Receives (tag, command, data) and returns the raw reply
+ */
+function createMockSocket(respond) {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.write = jest.fn((data, encoding, callback) => {
+        socket.written.push(data.toString());
+        const [, tag, command] = data.toString().match(/^(\S+) (.*)\r\n$/) || [];
+        const reply = respond(tag, command, data.toString());
+        if (reply) setImmediate(() => socket.emit('data', Buffer.from(reply)));
+        if (callback) callback();
+    });
+    socket.end = jest.fn();
+    socket.destroy = jest.fn();
+    return socket;
+}
+
+/**
+ * Answers each write with the next of `replies`, for createMockSocket
+ */
+function script(replies) {
+    return () => replies.shift();
+}
+
+/**
+ * Creates a fake server socket that answers each command with the
+ * `{ untagged, status }` returned by `reply(command)`, or leaves it unanswered
+ * when `reply` returns null
+ */
+function createServer(reply) {
+    return createMockSocket((tag, command) => {
+        const result = reply(command);
+        if (result === null) return null;
+        const { untagged = '', status = 'OK done' } = result || {};
+        return `${untagged}${tag} ${status}\r\n`;
+    });
+}
+
+/**
+ * Answers each command with the untagged data `replies` holds for its text,
+ * for createServer; other commands succeed without data
+ */
+function replyTable(replies) {
+    return command => ({ untagged: replies[command] || '' });
+}
+
+/**
+ * Makes net.createConnection hand out `sockets` to successive connection
+ * attempts, each greeted with `greeting`
+ */
+function mockConnection(greeting, ...sockets) {
+    const spy = jest.spyOn(net, 'createConnection');
+    for (const socket of sockets) {
+        spy.mockImplementationOnce((options, onConnect) => {
+            setImmediate(() => {
+                onConnect();
+                socket.emit('data', Buffer.from(greeting));
+            });
+            return socket;
+        });
+    }
+    return spy;
+}
+
+/**
+ * Connects `client` to a fake socket that answers writes through `respond`,
+ * as in createMockSocket
+ * @returns {EventEmitter} The fake socket
+ */
+function attachSocket(client, respond) {
+    const socket = createMockSocket(respond);
+    client.connected = true;
+    client._attachSocket(socket);
+    return socket;
+}
+
+/**
+ * Connects `client` to a fake server that answers each command as in createServer
+ * @returns {EventEmitter} The fake socket
+ */
+function attachServer(client, reply) {
+    const socket = createServer(reply);
+    client.connected = true;
+    client._attachSocket(socket);
+    return socket;
+}
+
 describe('IMAPClient', () => {
     let client;
     const mockConfig = {
@@ -42,6 +145,176 @@ describe('IMAPClient', () => {
         });
     });
 
+    describe('Connection', () => {
+        const plainConfig = { host: 'imap.example.com', port: 143, secure: false };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should use capabilities from the greeting', async () => {
+            const socket = createMockSocket(() => null);
+            mockConnection('* OK [CAPABILITY IMAP4rev1 IDLE AUTH=PLAIN] Ready\r\n', socket);
+            client = new IMAPClient(plainConfig);
+
+            await client.connect();
+
+            expect(client.capabilities).toEqual(['IMAP4REV1', 'IDLE', 'AUTH=PLAIN']);
+            expect(client.hasCapability('idle')).toBe(true);
+            expect(client.hasCapability('MOVE')).toBe(false);
+            expect(client.preauth).toBe(false);
+            expect(socket.written).toEqual([]);
+        });
+
+        it('should request capabilities when the greeting has none', async () => {
+            const socket = createServer(() => ({ untagged: '* CAPABILITY IMAP4rev1 MOVE\r\n' }));
+            mockConnection('* PREAUTH Welcome back\r\n', socket);
+            client = new IMAPClient(plainConfig);
+
+            await client.connect();
+
+            expect(socket.written).toEqual(['A1 CAPABILITY\r\n']);
+            expect(client.capabilities).toEqual(['IMAP4REV1', 'MOVE']);
+            expect(client.preauth).toBe(true);
+        });
+
+        it('should reject when the server greets with BYE', async () => {
+            const socket = createMockSocket(() => null);
+            mockConnection('* BYE Too many connections\r\n', socket);
+            client = new IMAPClient(plainConfig);
+
+            await expect(client.connect()).rejects.toThrow(IMAPByeError);
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.connected).toBe(false);
+        });
+
+        it('should refresh capabilities after login', async () => {
+            client.connected = true;
+            client.sendCommand = jest.fn()
+                .mockResolvedValueOnce('')
+                .mockResolvedValueOnce('* CAPABILITY IMAP4rev1 IDLE MOVE');
+
+            await client.login('user', 'pass');
+
+            expect(client.capabilities).toEqual(['IMAP4REV1', 'IDLE', 'MOVE']);
+        });
+    });
+
+    describe('TLS', () => {
+        it('should verify certificates by default', () => {
+            const options = client._getTLSOptions();
+
+            expect(options.rejectUnauthorized).toBe(true);
+            expect(options.servername).toBe('imap.example.com');
+        });
+
+        it('should pass through TLS options', () => {
+            client = new IMAPClient({ ...mockConfig, tls: { ca: 'CA', minVersion: 'TLSv1.2', servername: 'mail.example.com' } });
+
+            const options = client._getTLSOptions();
+
+            expect(options.ca).toBe('CA');
+            expect(options.minVersion).toBe('TLSv1.2');
+            expect(options.servername).toBe('mail.example.com');
+        });
+
+        it('should compare the server certificate with pinned fingerprints', () => {
+            client = new IMAPClient({ ...mockConfig, tls: { fingerprints: ['aa:bb'] } });
+            const socket = fingerprint256 => ({ getPeerCertificate: () => ({ fingerprint256 }) });
+
+            expect(client._getTLSOptions().fingerprints).toBeUndefined();
+            expect(client._checkFingerprint(socket('AA:BB'))).toBeNull();
+            expect(client._checkFingerprint(socket('CC:DD'))).toBeInstanceOf(Error);
+            expect(client._checkFingerprint({ getPeerCertificate: () => ({}) })).toBeInstanceOf(Error);
+        });
+
+        it('should reject a wrong pin even when rejectUnauthorized is false', async () => {
+            client = new IMAPClient({ ...mockConfig, tls: { rejectUnauthorized: false, fingerprints: ['00:11:22'] } });
+            const socket = createMockSocket(() => null);
+            socket.getPeerCertificate = () => ({ fingerprint256: 'CC:DD:EE' });
+            const connectSpy = jest.spyOn(tls, 'connect').mockImplementation((options, onConnect) => {
+                setImmediate(onConnect);
+                return socket;
+            });
+
+            await expect(client.connect()).rejects.toThrow('does not match any pinned fingerprint');
+            expect(connectSpy.mock.calls[0][0].rejectUnauthorized).toBe(false);
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.connected).toBe(false);
+            connectSpy.mockRestore();
+        });
+
+        it('should reject a wrong pin after STARTTLS', async () => {
+            client = new IMAPClient({
+                host: 'imap.example.com', port: 143, starttls: true,
+                tls: { rejectUnauthorized: false, fingerprints: ['00:11:22'] }
+            });
+            const secureSocket = {
+                on: jest.fn(), once: jest.fn(), removeListener: jest.fn(), destroy: jest.fn(),
+                getPeerCertificate: () => ({ fingerprint256: 'CC:DD:EE' })
+            };
+            client.connected = true;
+            client.socket = { removeListener: jest.fn() };
+            client.capabilities = ['IMAP4REV1', 'STARTTLS'];
+            client.sendCommand = jest.fn().mockResolvedValue('');
+            const connectSpy = jest.spyOn(tls, 'connect').mockImplementation((options, cb) => {
+                setImmediate(cb);
+                return secureSocket;
+            });
+
+            await expect(client._upgradeToTLS()).rejects.toThrow('does not match any pinned fingerprint');
+            expect(secureSocket.destroy).toHaveBeenCalled();
+            expect(client.socket).not.toBe(secureSocket);
+            connectSpy.mockRestore();
+        });
+
+        it('should default to plaintext when starttls is requested', () => {
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, starttls: true });
+
+            expect(client.secure).toBe(false);
+            expect(() => new IMAPClient({ ...mockConfig, starttls: true })).toThrow('mutually exclusive');
+        });
+
+        it('should fail closed when the server does not advertise STARTTLS', async () => {
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, starttls: true });
+            client.connected = true;
+            client.socket = { removeListener: jest.fn() };
+            client.capabilities = ['IMAP4REV1', 'LOGINDISABLED'];
+            client.sendCommand = jest.fn();
+            const connectSpy = jest.spyOn(tls, 'connect');
+
+            await expect(client._upgradeToTLS()).rejects.toThrow('Server does not support STARTTLS');
+            expect(client.sendCommand).not.toHaveBeenCalledWith('STARTTLS');
+            expect(connectSpy).not.toHaveBeenCalled();
+            connectSpy.mockRestore();
+        });
+
+        it('should upgrade the socket after STARTTLS succeeds', async () => {
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, starttls: true });
+            const plainSocket = { removeListener: jest.fn() };
+            const secureSocket = { on: jest.fn(), once: jest.fn(), removeListener: jest.fn() };
+            client.connected = true;
+            client.socket = plainSocket;
+            client.capabilities = ['IMAP4REV1', 'STARTTLS', 'LOGINDISABLED'];
+            client.sendCommand = jest.fn()
+                .mockResolvedValueOnce('')
+                .mockResolvedValueOnce('* CAPABILITY IMAP4rev1 AUTH=PLAIN');
+            const connectSpy = jest.spyOn(tls, 'connect').mockImplementation((options, cb) => {
+                setImmediate(cb);
+                return secureSocket;
+            });
+
+            await client._upgradeToTLS();
+
+            expect(connectSpy.mock.calls[0][0].socket).toBe(plainSocket);
+            expect(connectSpy.mock.calls[0][0].rejectUnauthorized).toBe(true);
+            expect(client.socket).toBe(secureSocket);
+            expect(client.sendCommand).toHaveBeenLastCalledWith('CAPABILITY');
+            expect(client.capabilities).toEqual(['IMAP4REV1', 'AUTH=PLAIN']);
+            connectSpy.mockRestore();
+        });
+    });
+
     describe('Authentication', () => {
         it('should login successfully', async () => {
             // Mock connection and sendCommand
@@ -51,7 +324,110 @@ describe('IMAPClient', () => {
             const result = await client.login('user@example.com', 'password');
 
             expect(result).toBe('* OK Logged in');
-            expect(client.sendCommand).toHaveBeenCalledWith('LOGIN user@example.com password');
+            expect(client.sendCommand).toHaveBeenCalledWith(['LOGIN', '"user@example.com"', '"password"']);
+        });
+
+        describe('over the wire', () => {
+            let socket;
+
+            it('should quote passwords with special characters', async () => {
+                socket = attachSocket(client, script(['A1 OK Logged in\r\n', 'A2 OK done\r\n']));
+
+                await client.login('user', 'p@ss "wo\\rd" (x)');
+
+                expect(socket.written[0]).toBe('A1 LOGIN "user" "p@ss \\"wo\\\\rd\\" (x)"\r\n');
+            });
+
+            it('should send non-ASCII passwords as literals', async () => {
+                socket = attachSocket(client, script(['+ Ready\r\n', 'A1 OK Logged in\r\n', 'A2 OK done\r\n']));
+
+                await client.login('user', 'pässwörd');
+
+                expect(socket.written[0]).toBe('A1 LOGIN "user" {10}\r\n');
+                expect(socket.written[1]).toBe('pässwörd\r\n');
+            });
+
+            it('should authenticate with PLAIN using an initial response', async () => {
+                client.capabilities = ['IMAP4REV1', 'SASL-IR', 'AUTH=PLAIN'];
+                socket = attachSocket(client, script(['A1 OK Authenticated\r\n', '* CAPABILITY IMAP4rev1\r\nA2 OK done\r\n']));
+
+                const result = await client.authenticate({ mechanism: 'PLAIN', username: 'user', password: 'pass' });
+
+                const payload = Buffer.from('\0user\0pass').toString('base64');
+                expect(socket.written[0]).toBe(`A1 AUTHENTICATE PLAIN ${payload}\r\n`);
+                expect(result).toBe('A1 OK Authenticated');
+            });
+
+            it('should authenticate with LOGIN through continuations', async () => {
+                socket = attachSocket(client, script([
+                    `+ ${Buffer.from('Username:').toString('base64')}\r\n`,
+                    `+ ${Buffer.from('Password:').toString('base64')}\r\n`,
+                    'A1 OK Authenticated\r\n',
+                    'A2 OK done\r\n'
+                ]));
+
+                await client.authenticate({ mechanism: 'LOGIN', username: 'user', password: 'pass' });
+
+                expect(socket.written.slice(0, 3)).toEqual([
+                    'A1 AUTHENTICATE LOGIN\r\n',
+                    `${Buffer.from('user').toString('base64')}\r\n`,
+                    `${Buffer.from('pass').toString('base64')}\r\n`
+                ]);
+            });
+
+            it('should retry XOAUTH2 once with a refreshed token', async () => {
+                const error = Buffer.from('{"status":"401","schemes":"bearer"}').toString('base64');
+                socket = attachSocket(client, script([
+                    `+ ${error}\r\n`,
+                    'A1 NO [AUTHENTICATIONFAILED] Invalid credentials\r\n',
+                    'A2 OK Authenticated\r\n',
+                    'A3 OK done\r\n'
+                ]));
+                client.capabilities = ['IMAP4REV1', 'SASL-IR'];
+                const tokenProvider = jest.fn(async ({ forceRefresh }) => (forceRefresh ? 'fresh' : 'stale'));
+
+                await client.authenticate({ mechanism: 'XOAUTH2', username: 'user@example.com', tokenProvider });
+
+                const fresh = Buffer.from('user=user@example.com\x01auth=Bearer fresh\x01\x01').toString('base64');
+                expect(tokenProvider).toHaveBeenCalledTimes(2);
+                expect(socket.written[1]).toBe('\r\n');
+                expect(socket.written[2]).toBe(`A2 AUTHENTICATE XOAUTH2 ${fresh}\r\n`);
+            });
+
+            it('should not retry when a fixed access token is rejected', async () => {
+                socket = attachSocket(client, script(['+ \r\n', 'A1 NO Invalid token\r\n']));
+
+                await expect(client.authenticate({ mechanism: 'OAUTHBEARER', username: 'user', accessToken: 'token' }))
+                    .rejects.toThrow('Invalid token');
+                expect(socket.written[0]).toBe('A1 AUTHENTICATE OAUTHBEARER\r\n');
+                expect(Buffer.from(socket.written[1], 'base64').toString())
+                    .toBe('n,a=user,\x01host=imap.example.com\x01port=993\x01auth=Bearer token\x01\x01');
+            });
+
+            it('should escape separators in the OAUTHBEARER user name', async () => {
+                socket = attachSocket(client, script(['+ \r\n', 'A1 NO Invalid token\r\n']));
+
+                await expect(client.authenticate({ mechanism: 'OAUTHBEARER', username: 'a=b,c', accessToken: 'token' }))
+                    .rejects.toThrow(AuthenticationError);
+                expect(Buffer.from(socket.written[1], 'base64').toString())
+                    .toMatch(/^n,a=a=3Db=2Cc,\x01host=/);
+            });
+
+            it('should only retry with a fresh token when the credentials are rejected', async () => {
+                socket = attachSocket(client, script(['+ \r\n', 'A1 BAD Invalid SASL response\r\n']));
+                const tokenProvider = jest.fn(async () => 'token');
+
+                await expect(client.authenticate({ mechanism: 'XOAUTH2', username: 'user', tokenProvider }))
+                    .rejects.toThrow(IMAPBadError);
+                expect(tokenProvider).toHaveBeenCalledTimes(1);
+            });
+
+            it('should reject unsupported mechanisms', async () => {
+                client.connected = true;
+
+                await expect(client.authenticate({ mechanism: 'CRAM-MD5', username: 'u', password: 'p' }))
+                    .rejects.toThrow('Unsupported SASL mechanism');
+            });
         });
 
         it('should throw error on login failure', async () => {
@@ -83,12 +459,204 @@ describe('IMAPClient', () => {
         });
 
         it('should select a mailbox', async () => {
-            client.sendCommand.mockResolvedValue('* 10 EXISTS\n* OK [UIDVALIDITY 1] UIDs valid');
+            client.execute = jest.fn().mockResolvedValue({
+                responses: ['* 10 EXISTS', '* OK [UIDVALIDITY 1] UIDs valid'],
+                completion: 'A1 OK [READ-WRITE] SELECT completed'
+            });
 
             const result = await client.selectMailbox('INBOX');
 
             expect(result.exists).toBe(10);
             expect(result.uidvalidity).toBe(1);
+            expect(client.mailbox).toMatchObject({ name: 'INBOX', uidvalidity: 1, readOnly: false });
+        });
+    });
+
+    describe('Mailbox Management', () => {
+        beforeEach(() => {
+            client.connected = true;
+            client.sendCommand = jest.fn().mockResolvedValue('');
+        });
+
+        it('should create, rename and delete mailboxes', async () => {
+            await client.createMailbox('Archive/2024');
+            await client.renameMailbox('Archive/2024', 'Archive "Old"');
+            await client.deleteMailbox('Archive "Old"');
+
+            expect(client.sendCommand.mock.calls.map(call => call[0])).toEqual([
+                ['CREATE', '"Archive/2024"'],
+                ['RENAME', '"Archive/2024"', '"Archive \\"Old\\""'],
+                ['DELETE', '"Archive \\"Old\\""']
+            ]);
+        });
+
+        it('should track the selected mailbox under its new name', async () => {
+            client.mailbox = { name: 'Work', uidvalidity: 3 };
+            await client.renameMailbox('Work', 'Archive/Work');
+            expect(client.mailbox).toEqual({ name: 'Archive/Work', uidvalidity: 3 });
+
+            client.mailbox = { name: 'INBOX', uidvalidity: 1 };
+            await client.renameMailbox('INBOX', 'Old');
+            expect(client.mailbox.name).toBe('INBOX');
+        });
+
+        it('should subscribe, unsubscribe and list subscriptions', async () => {
+            client.sendCommand.mockResolvedValue('* LSUB () "/" "INBOX"');
+
+            await client.subscribe('News');
+            await client.unsubscribe('News');
+            const subscribed = await client.listSubscribed();
+
+            expect(client.sendCommand).toHaveBeenCalledWith(['SUBSCRIBE', '"News"']);
+            expect(client.sendCommand).toHaveBeenCalledWith(['UNSUBSCRIBE', '"News"']);
+            expect(subscribed).toEqual([{ flags: [], delimiter: '/', name: 'INBOX' }]);
+        });
+
+        it('should read mailbox status without selecting it', async () => {
+            client.sendCommand.mockResolvedValue('* STATUS "Sent (old)" (MESSAGES 231 UNSEEN 4 UIDNEXT 44292 UIDVALIDITY 7)');
+
+            const status = await client.mailboxStatus('Sent (old)');
+
+            expect(client.sendCommand).toHaveBeenCalledWith(['STATUS', '"Sent (old)"', '(MESSAGES UNSEEN UIDNEXT UIDVALIDITY)']);
+            expect(status).toEqual({ name: 'Sent (old)', messages: 231, unseen: 4, uidnext: 44292, uidvalidity: 7 });
+            expect(client.mailbox).toBeNull();
+        });
+
+        it('should encode mailbox names in modified UTF-7', async () => {
+            client.sendCommand.mockResolvedValue('* LIST (\\HasNoChildren) "/" "Entw&APw-rfe"');
+            client.execute = jest.fn().mockResolvedValue({ responses: [], completion: 'A2 OK done' });
+
+            const [mailbox] = await client.listMailboxes();
+            await client.selectMailbox(mailbox.name);
+
+            expect(mailbox.name).toBe('Entwürfe');
+            expect(client.execute).toHaveBeenLastCalledWith(['SELECT', '"Entw&APw-rfe"']);
+        });
+
+        it('should enable UTF8=ACCEPT after login and send names as UTF-8', async () => {
+            client.sendCommand
+                .mockResolvedValueOnce('')
+                .mockResolvedValueOnce('* CAPABILITY IMAP4rev1 UTF8=ACCEPT')
+                .mockResolvedValueOnce('* ENABLED UTF8=ACCEPT')
+                .mockResolvedValue('');
+
+            await client.login('user', 'pass');
+            await client.createMailbox('日本語');
+
+            expect(client.sendCommand).toHaveBeenCalledWith('ENABLE UTF8=ACCEPT');
+            expect(client.utf8Enabled).toBe(true);
+            expect(client.sendCommand).toHaveBeenLastCalledWith(['CREATE', { literal: Buffer.from('日本語') }]);
+        });
+
+        it('should build a folder tree', async () => {
+            client.sendCommand.mockResolvedValue([
+                '* LIST (\\HasChildren) "." "INBOX"',
+                '* LIST (\\HasNoChildren) "." "INBOX.Receipts"',
+                '* LIST (\\HasNoChildren) "." "Projects.2024.Q1"'
+            ].join('\n'));
+
+            const tree = await client.listMailboxTree();
+
+            expect(tree.map(node => node.path)).toEqual(['INBOX', 'Projects']);
+            expect(tree[0].children[0]).toMatchObject({ name: 'Receipts', path: 'INBOX.Receipts' });
+            expect(tree[1].flags).toEqual(['\\NonExistent']);
+            expect(tree[1].children[0].children[0].path).toBe('Projects.2024.Q1');
+        });
+
+        it('should examine a mailbox read-only', async () => {
+            client.execute = jest.fn().mockResolvedValue({ responses: ['* 3 EXISTS'], completion: 'A1 OK done' });
+
+            await client.examineMailbox('INBOX');
+
+            expect(client.execute).toHaveBeenCalledWith(['EXAMINE', '"INBOX"']);
+            expect(client.mailbox).toMatchObject({ name: 'INBOX', exists: 3, readOnly: true });
+        });
+    });
+
+    describe('Server Metadata', () => {
+        it('should ask for special-use attributes and find mailboxes by role', async () => {
+            client.capabilities = ['IMAP4REV1', 'SPECIAL-USE'];
+            const commands = [];
+            attachServer(client, (command) => {
+                commands.push(command);
+                return {
+                    untagged: '* LIST (\\HasNoChildren) "/" INBOX\r\n* LIST (\\HasNoChildren \\Sent) "/" "Sent Items"\r\n'
+                };
+            });
+
+            const sent = await client.getSpecialMailbox('sent');
+            const junk = await client.getSpecialMailbox('\\Junk');
+
+            expect(commands[0]).toBe('LIST "" "*" RETURN (SPECIAL-USE)');
+            expect(sent).toEqual({ flags: ['\\HasNoChildren', '\\Sent'], delimiter: '/', name: 'Sent Items', specialUse: '\\Sent' });
+            expect(junk).toBeNull();
+            await expect(client.getSpecialMailbox('outbox')).rejects.toThrow('Unknown special-use role: outbox');
+        });
+
+        it('should read namespaces, falling back to the hierarchy delimiter', async () => {
+            client.capabilities = ['IMAP4REV1', 'NAMESPACE'];
+            const commands = [];
+            attachServer(client, (command) => {
+                commands.push(command);
+                if (command === 'NAMESPACE') return { untagged: '* NAMESPACE (("INBOX." ".")) NIL NIL\r\n' };
+                return { untagged: '* LIST (\\Noselect) "." ""\r\n' };
+            });
+
+            expect(await client.getNamespaces()).toEqual({ personal: [{ prefix: 'INBOX.', delimiter: '.' }], otherUsers: [], shared: [] });
+
+            client.capabilities = ['IMAP4REV1'];
+            expect(await client.getNamespaces()).toEqual({ personal: [{ prefix: '', delimiter: '.' }], otherUsers: [], shared: [] });
+            expect(commands).toEqual(['NAMESPACE', 'LIST "" ""']);
+        });
+
+        it('should read quotas', async () => {
+            client.capabilities = ['IMAP4REV1', 'QUOTA'];
+            const commands = [];
+            attachServer(client, (command) => {
+                commands.push(command);
+                const quota = '* QUOTA "" (STORAGE 10 512)\r\n';
+                return { untagged: command.startsWith('GETQUOTAROOT') ? `* QUOTAROOT INBOX ""\r\n${quota}` : quota };
+            });
+
+            expect(await client.getQuota()).toEqual({ root: '', resources: { storage: { usage: 10, limit: 512 } } });
+            expect(await client.getQuotaRoot('INBOX')).toEqual({
+                mailbox: 'INBOX',
+                roots: [''],
+                quotas: [{ root: '', resources: { storage: { usage: 10, limit: 512 } } }]
+            });
+            expect(commands).toEqual(['GETQUOTA ""', 'GETQUOTAROOT "INBOX"']);
+
+            client.capabilities = ['IMAP4REV1'];
+            await expect(client.getQuota()).rejects.toThrow('Server does not support QUOTA');
+        });
+
+        it('should exchange identification with ID', async () => {
+            client.capabilities = ['IMAP4REV1', 'ID'];
+            const commands = [];
+            attachServer(client, (command) => {
+                commands.push(command);
+                return { untagged: '* ID ("name" "Dovecot")\r\n' };
+            });
+
+            expect(await client.id({ name: 'my "app"', version: '1.0', os: null })).toEqual({ name: 'Dovecot' });
+            await client.id();
+
+            expect(commands).toEqual(['ID ("name" "my \\"app\\"" "version" "1.0" "os" NIL)', 'ID NIL']);
+            await expect(client.id({ name: 'a\r\nb' })).rejects.toThrow('Invalid ID field');
+        });
+
+        it('should enable extensions and track UTF-8 and QRESYNC', async () => {
+            const commands = [];
+            attachServer(client, (command) => {
+                commands.push(command);
+                return { untagged: '* ENABLED CONDSTORE QRESYNC\r\n' };
+            });
+
+            expect(await client.enable(['condstore', 'qresync', 'X-UNKNOWN'])).toEqual(['CONDSTORE', 'QRESYNC']);
+            expect(commands).toEqual(['ENABLE CONDSTORE QRESYNC X-UNKNOWN']);
+            expect(client.qresyncEnabled).toBe(true);
+            expect(client.utf8Enabled).toBe(false);
+            await expect(client.enable('BAD NAME')).rejects.toThrow('Invalid extension list');
         });
     });
 
@@ -98,6 +666,126 @@ describe('IMAPClient', () => {
             client.sendCommand = jest.fn();
         });
 
+        it('should fetch email body from the FETCH literal', async () => {
+            const header = 'Content-Type: text/plain\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\n';
+            const text = 'Caf=C3=A9 a=3Db\r\nA2 OK not the end\r\n';
+            const written = [];
+
+            client.socket = { write: jest.fn((data) => written.push(data.toString())) };
+
+            const bodyPromise = client.fetchEmailBody(1);
+            client.handleRawResponse(Buffer.from(
+                `* 1 FETCH (BODY[HEADER] {${header.length}}\r\n${header} BODY[TEXT] {${text.length}}\r\n${text})\r\n` +
+                'A1 OK FETCH completed\r\n'
+            ));
+
+            const body = await bodyPromise;
+
+            expect(written[0]).toBe('A1 FETCH 1 (BODY[HEADER] BODY[TEXT])\r\n');
+            expect(body.text).toBe('Café a=b\nA2 OK not the end\n');
+        });
+
+        it('should fetch the text for the HTML format', async () => {
+            const header = 'Content-Type: text/html\r\n\r\n';
+            const text = '<p>Hi</p>\r\n';
+            const written = [];
+
+            client.socket = { write: jest.fn((data) => written.push(data.toString())) };
+
+            const bodyPromise = client.fetchEmailBody(1, 'HTML');
+            client.handleRawResponse(Buffer.from(
+                `* 1 FETCH (BODY[HEADER] {${header.length}}\r\n${header} BODY[TEXT] {${text.length}}\r\n${text})\r\n` +
+                'A1 OK FETCH completed\r\n'
+            ));
+
+            const body = await bodyPromise;
+
+            expect(written[0]).toBe('A1 FETCH 1 (BODY[HEADER] BODY[TEXT])\r\n');
+            expect(body.html).toBe('<p>Hi</p>\n');
+        });
+
+        it('should search with structured criteria', async () => {
+            client.sendCommand.mockResolvedValue('* SEARCH 4 8');
+
+            const result = await client.search({ from: 'alice', unseen: true }, { uid: true });
+
+            expect(result).toEqual([4, 8]);
+            expect(client.sendCommand).toHaveBeenCalledWith(['UID SEARCH', 'FROM', '"alice"', 'UNSEEN']);
+        });
+
+        it('should add CHARSET UTF-8 for non-ASCII criteria', async () => {
+            client.sendCommand.mockResolvedValue('* SEARCH');
+
+            await client.search({ subject: 'Grüße' });
+
+            expect(client.sendCommand.mock.calls[0][0].slice(0, 4))
+                .toEqual(['SEARCH', 'CHARSET', 'UTF-8', 'SUBJECT']);
+        });
+
+        it('should use ESEARCH when the server supports it', async () => {
+            client.capabilities = ['IMAP4REV1', 'ESEARCH'];
+            client.sendCommand.mockResolvedValue('* ESEARCH (TAG "A1") MIN 3 MAX 7 COUNT 2');
+
+            const result = await client.search({ seen: false }, { return: ['min', 'max', 'count'] });
+
+            expect(client.sendCommand).toHaveBeenCalledWith(['SEARCH', 'RETURN (MIN MAX COUNT)', 'UNSEEN']);
+            expect(result).toEqual({ uid: false, min: 3, max: 7, count: 2, all: [] });
+        });
+
+        it('should compute ESEARCH results when the server lacks ESEARCH', async () => {
+            client.sendCommand.mockResolvedValue('* SEARCH 3 5 7');
+
+            const result = await client.search({ seen: false }, { return: ['MIN', 'COUNT'] });
+
+            expect(client.sendCommand).toHaveBeenCalledWith(['SEARCH', 'UNSEEN']);
+            expect(result).toEqual({ uid: false, min: 3, max: null, count: 3, all: [] });
+        });
+
+        it('should fetch by UID', async () => {
+            const socket = attachServer(client, () => ({
+                untagged: '* 3 FETCH (UID 120 ENVELOPE ("Mon, 1 Jan 2024 10:00:00 +0000" "Hi" NIL NIL NIL NIL NIL NIL NIL "<id@x>"))\r\n'
+            }));
+
+            const envelope = await client.fetchEmail(120, { uid: true });
+
+            expect(socket.written[0]).toBe('A1 UID FETCH 120 ENVELOPE\r\n');
+            expect(envelope.subject).toBe('Hi');
+        });
+
+        it('should read envelope literals by byte count when they are not UTF-8', async () => {
+            const subject = Buffer.from('Gr\xfc\xdfe', 'latin1');
+            const from = '(("Ann" NIL "ann" "example.com"))';
+            const socket = attachSocket(client, () => null);
+
+            const fetch = client.fetchEmail(1);
+            socket.emit('data', Buffer.concat([
+                Buffer.from(`* 1 FETCH (ENVELOPE ("Mon, 1 Jan 2024 10:00:00 +0000" {${subject.length}}\r\n`),
+                subject,
+                Buffer.from(` ${from} ${from} NIL NIL NIL NIL NIL "<id@x>"))\r\nA1 OK done\r\n`)
+            ]));
+            const envelope = await fetch;
+
+            expect(envelope.subject).toBe(subject.toString('utf8'));
+            expect(envelope.from).toEqual([expect.objectContaining({ name: 'Ann', mailbox: 'ann', host: 'example.com' })]);
+            expect(envelope.sender).toEqual(envelope.from);
+            expect(envelope.to).toEqual([]);
+            expect(envelope.messageId).toBe('<id@x>');
+        });
+
+        it('should throw UIDValidityError when UIDVALIDITY changed', async () => {
+            client.mailbox = { name: 'INBOX', uidvalidity: 200 };
+
+            const error = await client.fetchEmail(120, { uid: true, uidvalidity: 100 }).catch(err => err);
+
+            expect(error).toBeInstanceOf(UIDValidityError);
+            expect(error).toMatchObject({ mailbox: 'INBOX', expected: 100, actual: 200 });
+            expect(client.sendCommand).not.toHaveBeenCalled();
+        });
+
+        it('should reject malformed message sets', async () => {
+            await expect(client.fetchEmail('1 BODY[]')).rejects.toThrow('Invalid sequence set');
+        });
+
         it('should fetch email count', async () => {
             client.sendCommand.mockResolvedValue('* SEARCH 1 2 3 4 5');
 
@@ -108,12 +796,1397 @@ describe('IMAPClient', () => {
 
     });
 
-    describe('Error Handling', () => {
-        it('should throw error when not connected', async () => {
-            client.connected = false;
+    describe('Mailbox State', () => {
+        let socket;
+
+        beforeEach(() => {
+            socket = attachServer(client, (command) => {
+                if (command.startsWith('SELECT')) {
+                    return {
+                        untagged: '* FLAGS (\\Seen \\Deleted)\r\n* 4 EXISTS\r\n* 0 RECENT\r\n'
+                            + '* OK [PERMANENTFLAGS (\\Seen \\*)] Limited\r\n* OK [UIDVALIDITY 7] UIDs valid\r\n'
+                            + '* OK [UIDNEXT 20] Predicted next UID\r\n* OK [HIGHESTMODSEQ 100] Highest\r\n',
+                        status: 'OK [READ-ONLY] SELECT completed'
+                    };
+                }
+                if (command.startsWith('SEARCH')) return { untagged: '* SEARCH 1 2\r\n* 5 EXISTS\r\n* 2 EXPUNGE\r\n' };
+                if (command === 'NOOP') return { untagged: '* 3 FETCH (UID 12 FLAGS (\\Seen) MODSEQ (104))\r\n* OK [UIDNEXT 22] Next\r\n' };
+                if (command === 'EXPUNGE') return { untagged: '* 1 EXPUNGE\r\n' };
+                return {};
+            });
+        });
+
+        it('should describe the selected mailbox', async () => {
+            await client.selectMailbox('INBOX');
+
+            expect(client.mailbox).toEqual({
+                name: 'INBOX',
+                exists: 4,
+                recent: 0,
+                unseen: null,
+                uidvalidity: 7,
+                uidnext: 20,
+                flags: ['\\Seen', '\\Deleted'],
+                permanentFlags: ['\\Seen', '\\*'],
+                highestModseq: 100,
+                readOnly: true
+            });
+        });
+
+        it('should keep unsolicited updates out of command results', async () => {
+            const exists = jest.fn();
+            const expunge = jest.fn();
+            client.on('exists', exists);
+            client.on('expunge', expunge);
+            await client.selectMailbox('INBOX');
+
+            const result = await client.search({ all: true });
+
+            expect(result).toEqual([1, 2]);
+            expect(exists).toHaveBeenCalledWith({ count: 5 });
+            expect(expunge).toHaveBeenCalledWith({ seq: 2 });
+            expect(client.mailbox.exists).toBe(4);
+        });
+
+        it('should track flag changes and response codes during NOOP', async () => {
+            const flags = jest.fn();
+            client.on('flags', flags);
+            await client.selectMailbox('INBOX');
+
+            const response = await client.sendCommand('NOOP');
+
+            expect(response).toBe('');
+            expect(flags).toHaveBeenCalledWith({ seq: 3, uid: 12, flags: ['\\Seen'], modseq: 104 });
+            expect(client.mailbox).toMatchObject({ uidnext: 22, highestModseq: 104 });
+        });
+
+        it('should apply updates that arrive between commands', async () => {
+            const exists = jest.fn();
+            client.on('exists', exists);
+            await client.selectMailbox('INBOX');
+
+            socket.emit('data', Buffer.from('* 9 EXISTS\r\n* 2 RECENT\r\n'));
+
+            expect(exists).toHaveBeenCalledWith({ count: 9 });
+            expect(client.mailbox).toMatchObject({ exists: 9, recent: 2 });
+        });
+
+        it('should report VANISHED updates by UID', async () => {
+            const vanished = jest.fn();
+            client.on('vanished', vanished);
+            await client.selectMailbox('INBOX');
+
+            socket.emit('data', Buffer.from('* VANISHED 3:4\r\n'));
+
+            expect(vanished).toHaveBeenCalledWith({ uids: [3, 4] });
+            expect(client.mailbox.exists).toBe(2);
+        });
+
+        it('should leave requested responses in the result', async () => {
+            const expunge = jest.fn();
+            client.on('expunge', expunge);
+            await client.selectMailbox('INBOX');
+
+            const expunged = await client.expunge();
+
+            expect(expunged).toEqual([1]);
+            expect(expunge).not.toHaveBeenCalled();
+            expect(client.mailbox.exists).toBe(3);
+        });
+
+        it('should clear the state when SELECT fails', async () => {
+            await client.selectMailbox('INBOX');
+            client.execute = jest.fn().mockRejectedValue(new IMAPNoError('SELECT', 'A2 NO [NONEXISTENT] No such mailbox'));
+
+            await expect(client.selectMailbox('Missing')).rejects.toThrow(IMAPNoError);
+            expect(client.mailbox).toBeNull();
+        });
+    });
+
+    describe('Sync', () => {
+        const items = { uid: true, flags: true };
+
+        it('should fetch every message on the first run', async () => {
+            client.capabilities = ['IMAP4REV1', 'CONDSTORE'];
+            const socket = attachServer(client, replyTable({
+                'SELECT "INBOX" (CONDSTORE)': '* 2 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n* OK [UIDNEXT 3] Ok\r\n* OK [HIGHESTMODSEQ 10] Ok\r\n',
+                'UID SEARCH ALL': '* SEARCH 1 2\r\n',
+                'UID FETCH 1:2 (UID FLAGS)': '* 1 FETCH (UID 1 FLAGS (\\Seen))\r\n* 2 FETCH (UID 2 FLAGS ())\r\n'
+            }));
+
+            const result = await client.sync('INBOX', undefined, { items });
+
+            expect(result).toEqual({
+                added: [{ seq: 1, uid: 1, flags: ['\\Seen'] }, { seq: 2, uid: 2, flags: [] }],
+                changedFlags: [],
+                vanished: [],
+                reset: false,
+                newState: { uidvalidity: 5, highestModseq: 10, uidnext: 3, uids: [1, 2] }
+            });
+            expect(socket.written.map(line => line.split(' ').slice(1).join(' ').trim())).toEqual([
+                'SELECT "INBOX" (CONDSTORE)',
+                'UID SEARCH ALL',
+                'UID FETCH 1:2 (UID FLAGS)'
+            ]);
+        });
+
+        it('should resume with QRESYNC', async () => {
+            client.capabilities = ['IMAP4REV1', 'CONDSTORE', 'QRESYNC'];
+            const socket = attachServer(client, replyTable({
+                'ENABLE QRESYNC': '* ENABLED QRESYNC\r\n',
+                'SELECT "INBOX" (QRESYNC (5 10 1:3))': '* 3 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n* OK [HIGHESTMODSEQ 13] Ok\r\n'
+                    + '* VANISHED (EARLIER) 2\r\n* 1 FETCH (UID 1 FLAGS (\\Seen) MODSEQ (12))\r\n'
+                    + '* 3 FETCH (UID 4 FLAGS () MODSEQ (13))\r\n',
+                'UID FETCH 4 (UID FLAGS)': '* 3 FETCH (UID 4 FLAGS ())\r\n'
+            }));
+
+            const result = await client.sync('INBOX', { uidvalidity: 5, highestModseq: 10, uids: [1, 2, 3] }, { items });
+
+            expect(result.added).toEqual([{ seq: 3, uid: 4, flags: [] }]);
+            expect(result.changedFlags).toEqual([{ uid: 1, flags: ['\\Seen'], modseq: 12 }]);
+            expect(result.vanished).toEqual([2]);
+            expect(result.newState).toMatchObject({ highestModseq: 13, uids: [1, 3, 4] });
+            expect(socket.written).toHaveLength(3);
+            expect(client.qresyncEnabled).toBe(true);
+        });
+
+        it('should unselect the current mailbox before enabling QRESYNC', async () => {
+            client.capabilities = ['IMAP4REV1', 'CONDSTORE', 'QRESYNC', 'UNSELECT'];
+            const socket = attachServer(client, replyTable({
+                'ENABLE QRESYNC': '* ENABLED QRESYNC\r\n',
+                'SELECT "INBOX" (QRESYNC (5 10))': '* 0 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n'
+            }));
+            client.mailbox = { name: 'Archive' };
+
+            await client.sync('INBOX', { uidvalidity: 5, highestModseq: 10, uids: [] }, { items });
+
+            expect(socket.written.slice(0, 3).map(line => line.split(' ').slice(1).join(' ').trim())).toEqual([
+                'UNSELECT',
+                'ENABLE QRESYNC',
+                'SELECT "INBOX" (QRESYNC (5 10))'
+            ]);
+            expect(client.mailbox.name).toBe('INBOX');
+        });
+
+        it('should fall back to CONDSTORE when the selected mailbox cannot be left', async () => {
+            client.capabilities = ['IMAP4REV1', 'CONDSTORE', 'QRESYNC'];
+            const socket = attachServer(client, replyTable({
+                'SELECT "INBOX" (CONDSTORE)': '* 0 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n'
+            }));
+            client.mailbox = { name: 'Archive' };
+
+            await client.sync('INBOX', { uidvalidity: 5, highestModseq: 10, uids: [] }, { items });
+
+            expect(socket.written[0]).toContain('SELECT "INBOX" (CONDSTORE)');
+            expect(client.qresyncEnabled).toBe(false);
+        });
+
+        it('should return VANISHED UIDs from expunge and move once QRESYNC is enabled', async () => {
+            client.capabilities = ['IMAP4REV1', 'QRESYNC', 'UIDPLUS', 'MOVE'];
+            attachServer(client, replyTable({
+                'UID EXPUNGE 7:8': '* VANISHED 7:8\r\n',
+                'UID MOVE 9 "Archive"': '* OK [COPYUID 3 9 20] Moved\r\n* VANISHED 9\r\n'
+            }));
+            client.qresyncEnabled = true;
+            client.mailbox = { name: 'INBOX', exists: 3 };
+
+            expect(await client.expunge('7:8', { uid: true })).toEqual([7, 8]);
+            expect((await client.moveMessages('9', 'Archive', { uid: true })).expunged).toEqual([9]);
+        });
+
+        it('should resume with CONDSTORE and diff UIDs for removals', async () => {
+            client.capabilities = ['IMAP4REV1', 'CONDSTORE'];
+            attachServer(client, replyTable({
+                'SELECT "INBOX" (CONDSTORE)': '* 3 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n* OK [HIGHESTMODSEQ 13] Ok\r\n',
+                'UID FETCH 1:* (UID FLAGS MODSEQ) (CHANGEDSINCE 10)': '* 1 FETCH (UID 1 FLAGS (\\Flagged) MODSEQ (11))\r\n* 3 FETCH (UID 4 FLAGS () MODSEQ (13))\r\n',
+                'UID SEARCH ALL': '* SEARCH 1 3 4\r\n',
+                'UID FETCH 4 (UID FLAGS)': '* 3 FETCH (UID 4 FLAGS ())\r\n'
+            }));
+
+            const result = await client.sync('INBOX', { uidvalidity: 5, highestModseq: 10, uids: [1, 2, 3] }, { items });
+
+            expect(result.added.map(message => message.uid)).toEqual([4]);
+            expect(result.changedFlags).toEqual([{ uid: 1, flags: ['\\Flagged'], modseq: 11 }]);
+            expect(result.vanished).toEqual([2]);
+            expect(result.newState.uids).toEqual([1, 3, 4]);
+        });
+
+        it('should diff UID lists without CONDSTORE', async () => {
+            client.capabilities = ['IMAP4REV1'];
+            attachServer(client, replyTable({
+                'SELECT "INBOX"': '* 2 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n',
+                'UID SEARCH ALL': '* SEARCH 3 4\r\n',
+                'UID FETCH 4 (UID FLAGS)': '* 2 FETCH (UID 4 FLAGS ())\r\n',
+                'UID FETCH 3 (UID FLAGS)': '* 1 FETCH (UID 3 FLAGS (\\Answered))\r\n'
+            }));
+
+            const result = await client.sync('INBOX', { uidvalidity: 5, highestModseq: null, uids: [2, 3] }, { items });
+
+            expect(result.added.map(message => message.uid)).toEqual([4]);
+            expect(result.changedFlags).toEqual([{ uid: 3, flags: ['\\Answered'] }]);
+            expect(result.vanished).toEqual([2]);
+            expect(result.newState).toEqual({ uidvalidity: 5, highestModseq: null, uidnext: null, uids: [3, 4] });
+        });
+
+        it('should start over when UIDVALIDITY changed', async () => {
+            client.capabilities = ['IMAP4REV1'];
+            attachServer(client, replyTable({
+                'SELECT "INBOX"': '* 1 EXISTS\r\n* OK [UIDVALIDITY 6] Ok\r\n',
+                'UID SEARCH ALL': '* SEARCH 1\r\n',
+                'UID FETCH 1 (UID FLAGS)': '* 1 FETCH (UID 1 FLAGS ())\r\n'
+            }));
+
+            const result = await client.sync('INBOX', { uidvalidity: 5, uids: [7, 8] }, { items });
+
+            expect(result.reset).toBe(true);
+            expect(result.vanished).toEqual([7, 8]);
+            expect(result.added.map(message => message.uid)).toEqual([1]);
+            expect(result.newState.uidvalidity).toBe(6);
+        });
+    });
+
+    describe('Sorting and Threading', () => {
+        const commands = socket => socket.written.map(line => line.split(' ').slice(1).join(' ').trim());
+
+        it('should sort on the server with SORT', async () => {
+            client.capabilities = ['IMAP4REV1', 'SORT'];
+            const socket = attachServer(client, () => ({ untagged: '* SORT 3 1 2\r\n' }));
+
+            const result = await client.sort(['REVERSE', 'DATE'], { unseen: true }, { uid: true });
+
+            expect(result).toEqual([3, 1, 2]);
+            expect(commands(socket)).toEqual(['UID SORT (REVERSE DATE) UTF-8 UNSEEN']);
+        });
+
+        it('should sort locally without SORT', async () => {
+            client.capabilities = ['IMAP4REV1'];
+            const socket = attachServer(client, replyTable({
+                'UID SEARCH ALL': '* SEARCH 7 8 9\r\n',
+                'UID FETCH 7:9 (UID RFC822.SIZE)': '* 1 FETCH (UID 7 RFC822.SIZE 300)\r\n'
+                    + '* 2 FETCH (UID 8 RFC822.SIZE 100)\r\n* 3 FETCH (UID 9 RFC822.SIZE 200)\r\n'
+            }));
+
+            expect(await client.sort('size', {}, { uid: true })).toEqual([8, 9, 7]);
+            expect(await client.sort('reverse size')).toEqual([1, 3, 2]);
+            expect(commands(socket).slice(0, 2)).toEqual(['UID SEARCH ALL', 'UID FETCH 7:9 (UID RFC822.SIZE)']);
+        });
+
+        it('should thread on the server with THREAD', async () => {
+            client.capabilities = ['IMAP4REV1', 'THREAD=REFERENCES'];
+            const socket = attachServer(client, () => ({ untagged: '* THREAD (1 2)(3)\r\n' }));
+
+            const result = await client.thread('references', { since: '2024-02-01' });
+
+            expect(result).toEqual([
+                { id: 1, children: [{ id: 2, children: [] }] },
+                { id: 3, children: [] }
+            ]);
+            expect(commands(socket)).toEqual(['THREAD REFERENCES UTF-8 SINCE 1-Feb-2024']);
+        });
+
+        it('should thread locally without THREAD', async () => {
+            client.capabilities = ['IMAP4REV1', 'THREAD=ORDEREDSUBJECT'];
+            const envelope = (date, subject, id) => `ENVELOPE ("${date}" "${subject}" NIL NIL NIL NIL NIL NIL NIL "${id}")`;
+            const socket = attachServer(client, command => ({
+                untagged: {
+                    'UID SEARCH ALL': '* SEARCH 1 2\r\n',
+                    'UID FETCH 1:2 (UID INTERNALDATE ENVELOPE BODY.PEEK[HEADER.FIELDS (References)])':
+                        `* 1 FETCH (UID 1 INTERNALDATE "01-Feb-2024 09:00:00 +0000" ${envelope('Thu, 1 Feb 2024 09:00:00 +0000', 'Plan', '<a@x>')} BODY[HEADER.FIELDS (REFERENCES)] {2}\r\n\r\n)\r\n`
+                        + `* 2 FETCH (UID 2 INTERNALDATE "02-Feb-2024 09:00:00 +0000" ${envelope('Fri, 2 Feb 2024 09:00:00 +0000', 'Re: Plan', '<b@x>')} BODY[HEADER.FIELDS (REFERENCES)] {21}\r\nReferences: <a@x>\r\n\r\n)\r\n`
+                }[command] || ''
+            }));
+
+            const result = await client.thread('REFERENCES', {}, { uid: true });
+
+            expect(result).toEqual([{ id: 1, children: [{ id: 2, children: [] }] }]);
+            expect(commands(socket)[0]).toBe('UID SEARCH ALL');
+        });
+
+        it('should reject algorithms it cannot run', async () => {
+            client.capabilities = ['IMAP4REV1'];
+            attachServer(client, () => ({}));
+
+            await expect(client.thread('REFS')).rejects.toThrow('Unsupported threading algorithm: REFS');
+        });
+    });
+
+    describe('Message Cache', () => {
+        const envelope = '(NIL "Hi" NIL NIL NIL NIL NIL NIL NIL "<m@example.com>")';
+        let cache;
+
+        beforeEach(() => {
+            cache = new MemoryCacheAdapter();
+            client = new IMAPClient({ ...mockConfig, cache });
+            client.mailbox = { name: 'INBOX', uidvalidity: 5, exists: 3 };
+        });
+
+        it('should serve envelopes from the cache after the first fetch', async () => {
+            const socket = attachServer(client, () => ({ untagged: `* 1 FETCH (UID 7 ENVELOPE ${envelope})\r\n` }));
+
+            const first = await client.fetchEmail(7, { uid: true });
+            const second = await client.fetchEmail(7, { uid: true });
+
+            expect(first.subject).toBe('Hi');
+            expect(second).toEqual(first);
+            expect(socket.written).toHaveLength(1);
+            expect((await cache.get('INBOX', 5, 7)).envelope.subject).toBe('Hi');
+        });
+
+        it('should cache the raw message and answer header requests from it', async () => {
+            const socket = attachServer(client, () => ({
+                untagged: '* 1 FETCH (UID 7 BODY[HEADER] {15}\r\nSubject: Hi\r\n\r\n BODY[TEXT] {7}\r\nHello\r\n)\r\n'
+            }));
+
+            const first = await client.fetchEmailBody(7, 'TEXT', { uid: true });
+            const second = await client.fetchEmailBody(7, 'TEXT', { uid: true });
+            const header = await client.fetchEmailBody(7, 'HEADER', { uid: true });
+
+            expect(second.text).toBe(first.text);
+            expect(second.subject).toBe('Hi');
+            expect(header.subject).toBe('Hi');
+            expect(socket.written).toHaveLength(1);
+            expect((await cache.get('INBOX', 5, 7)).raw.toString()).toBe('Subject: Hi\r\n\r\nHello\r\n');
+        });
+
+        it('should not cache sequence number reads', async () => {
+            const socket = attachServer(client, () => ({ untagged: `* 1 FETCH (ENVELOPE ${envelope})\r\n` }));
+
+            await client.fetchEmail(1);
+            await client.fetchEmail(1);
+
+            expect(socket.written).toHaveLength(2);
+        });
+
+        it('should update flags and drop vanished messages', async () => {
+            await cache.set('INBOX', 5, 7, { flags: [] });
+            await cache.set('INBOX', 5, 8, { flags: [] });
+            const socket = attachServer(client, () => ({}));
+
+            socket.emit('data', Buffer.from('* 1 FETCH (UID 7 FLAGS (\\Seen))\r\n* VANISHED 8\r\n'));
+            await client.cacheQueue;
+
+            expect(await cache.get('INBOX', 5, 7)).toEqual({ flags: ['\\Seen'] });
+            expect(await cache.get('INBOX', 5, 8)).toBeNull();
+        });
+
+        it('should drop other UIDVALIDITY generations on select', async () => {
+            await cache.set('INBOX', 4, 1, { flags: [] });
+            await cache.set('INBOX', 5, 1, { flags: [] });
+            attachServer(client, () => ({ untagged: '* 1 EXISTS\r\n* OK [UIDVALIDITY 5] Ok\r\n' }));
+
+            await client.selectMailbox('INBOX');
+            await client.cacheQueue;
+
+            expect(await cache.get('INBOX', 4, 1)).toBeNull();
+            expect(await cache.get('INBOX', 5, 1)).toEqual({ flags: [] });
+        });
+
+        it('should check cached UIDs still exist after an EXPUNGE', async () => {
+            await cache.set('INBOX', 5, 7, { envelope: { subject: 'Cached' } });
+            const socket = attachServer(client, command => (command === 'UID SEARCH UID 7'
+                ? { untagged: '* SEARCH\r\n' }
+                : {}));
+
+            expect(await client.fetchEmail(7, { uid: true })).toEqual({ subject: 'Cached' });
+            expect(socket.written).toHaveLength(0);
+
+            socket.emit('data', Buffer.from('* 2 EXPUNGE\r\n'));
+            expect(await client.fetchEmail(7, { uid: true })).toBeNull();
+            expect(socket.written.map(line => line.split(' ').slice(1).join(' ').trim()))
+                .toEqual(['UID SEARCH UID 7', 'UID FETCH 7 ENVELOPE']);
+            expect(await cache.get('INBOX', 5, 7)).toBeNull();
+        });
+
+        it('should read from the cache only in offline mode', async () => {
+            await cache.set('INBOX', 5, 7, {
+                envelope: { subject: 'Hi' },
+                raw: Buffer.from('Subject: Hi\r\n\r\nHello\r\n')
+            });
+            client = new IMAPClient({ ...mockConfig, cache, offline: true });
+            const options = { uid: true, mailbox: 'INBOX', uidvalidity: 5 };
+
+            expect(await client.fetchEmail(7, options)).toEqual({ subject: 'Hi' });
+            expect((await client.fetchEmailBody(7, 'TEXT', options)).text).toBe('Hello\n');
+            await expect(client.fetchEmail(8, options)).rejects.toThrow(ConnectionError);
+            await expect(client.fetchEmail(7)).rejects.toThrow('Message 7 is not available offline');
+        });
+    });
+
+    describe('Batch Fetch', () => {
+        it('should fetch a range in one command and yield a record per message', async () => {
+            const socket = attachServer(client, () => ({
+                untagged: '* 1 FETCH (UID 10 FLAGS (\\Seen) RFC822.SIZE 120)\r\n' +
+                    '* 2 FETCH (UID 11 FLAGS () RFC822.SIZE 340)\r\n'
+            }));
+
+            const records = [];
+            for await (const record of client.fetchMessages('1:*', { uid: true, flags: true, size: true })) {
+                records.push(record);
+            }
+
+            expect(socket.written).toEqual(['A1 FETCH 1:* (UID FLAGS RFC822.SIZE)\r\n']);
+            expect(records).toEqual([
+                { seq: 1, uid: 10, flags: ['\\Seen'], size: 120 },
+                { seq: 2, uid: 11, flags: [], size: 340 }
+            ]);
+        });
+
+        it('should yield records before the command completes', async () => {
+            const socket = attachSocket(client, () => '* 5 FETCH (UID 50 FLAGS ())\r\n');
+
+            const iterator = client.fetchMessages([5, '7:8'], { uid: true, flags: true })[Symbol.asyncIterator]();
+            const first = await iterator.next();
+
+            expect(first.value).toEqual({ seq: 5, uid: 50, flags: [] });
+            expect(client.currentCommand.response).toEqual([]);
+
+            socket.emit('data', Buffer.from('* 7 FETCH (UID 70 FLAGS ())\r\nA1 OK FETCH completed\r\n'));
+
+            expect((await iterator.next()).value).toEqual({ seq: 7, uid: 70, flags: [] });
+            expect((await iterator.next()).done).toBe(true);
+            expect(socket.written[0]).toBe('A1 FETCH 5,7:8 (UID FLAGS)\r\n');
+        });
+
+        it('should pause the socket while the loop falls behind', async () => {
+            const records = Array.from({ length: 120 }, (_, i) => `* ${i + 1} FETCH (UID ${i + 1} FLAGS ())\r\n`).join('');
+            const socket = attachSocket(client, () => records);
+            socket.pause = jest.fn();
+            socket.resume = jest.fn();
+
+            const iterator = client.fetchMessages('1:*', { uid: true, flags: true }, { timeout: 20 })[Symbol.asyncIterator]();
+            await iterator.next();
+
+            expect(socket.pause).toHaveBeenCalledTimes(1);
+            // A slow loop must not count against the server
+            await new Promise(resolve => setTimeout(resolve, 40));
+
+            for (let i = 1; i < 60; i++) await iterator.next();
+            expect(socket.resume).not.toHaveBeenCalled();
+            for (let i = 0; i < 20; i++) await iterator.next();
+            expect(socket.resume).toHaveBeenCalledTimes(1);
+
+            socket.emit('data', Buffer.from('A1 OK FETCH completed\r\n'));
+            let count = 80;
+            while (!(await iterator.next()).done) count++;
+            expect(count).toBe(120);
+        });
+
+        it('should fetch header fields without setting \\Seen', async () => {
+            const socket = attachServer(client, () => ({
+                untagged: '* 1 FETCH (UID 4 BODY[HEADER.FIELDS (LIST-ID)] {20}\r\nList-Id: <a.b.c>\r\n\r\n)\r\n'
+            }));
+
+            const records = [];
+            for await (const record of client.fetchMessages('4', { headers: ['List-Id'] }, { uid: true })) {
+                records.push(record);
+            }
+
+            expect(socket.written).toEqual(['A1 UID FETCH 4 (BODY.PEEK[HEADER.FIELDS (List-Id)])\r\n']);
+            expect(records).toEqual([{ seq: 1, uid: 4, headers: { 'list-id': ['<a.b.c>'] } }]);
+        });
+
+        it('should request UID, flags and envelope by default', async () => {
+            const socket = attachServer(client, () => ({}));
+
+            for await (const record of client.fetchMessages('1:*')) {
+                expect(record).toBeUndefined();
+            }
+
+            expect(socket.written).toEqual(['A1 FETCH 1:* (UID FLAGS ENVELOPE)\r\n']);
+        });
+
+        it('should reject invalid header field names', async () => {
+            client.connected = true;
+            const iterator = client.fetchMessages('1', { headers: ['Subject: x'] })[Symbol.asyncIterator]();
+
+            await expect(iterator.next()).rejects.toThrow('Invalid header field name');
+        });
+
+        it('should surface FETCH failures', async () => {
+            attachServer(client, () => ({ status: 'BAD Invalid messageset' }));
+            const iterator = client.fetchMessages('9')[Symbol.asyncIterator]();
+
+            await expect(iterator.next()).rejects.toThrow('Command failed');
+        });
+    });
+
+    describe('Message Parts', () => {
+        const structure = '(("TEXT" "PLAIN" ("CHARSET" "ISO-8859-1") NIL NIL "QUOTED-PRINTABLE" 13 1 NIL NIL NIL NIL)' +
+            '("APPLICATION" "OCTET-STREAM" ("NAME" "hello.txt") NIL NIL "BASE64" 24 NIL ("ATTACHMENT" ("FILENAME" "hello.txt")) NIL NIL)' +
+            ' "MIXED" ("BOUNDARY" "b1") NIL NIL NIL)';
+        const parts = { 1: 'caf=E9 =3D ok', 2: 'SGVsbG8sIGF0dGFjaG1lbnQh' };
+
+        /**
+         * Answers FETCH commands for message 3 by slicing `parts` to the requested range
+         */
+        function serveParts(command) {
+            const match = command.match(/(BODYSTRUCTURE )?BODY\.PEEK\[(\d+)\](?:<(\d+)\.(\d+)>)?/);
+            const [, withStructure, part, start = 0, length = 1000] = match;
+            const data = (parts[part] || '').substr(Number(start), Number(length));
+            const origin = command.includes('<') ? `<${start}>` : '';
+            return {
+                untagged: `* 3 FETCH (${withStructure ? `BODYSTRUCTURE ${structure} ` : ''}` +
+                    `BODY[${part}]${origin} {${data.length}}\r\n${data})\r\n`
+            };
+        }
+
+        it('should fetch and decode a text part in its charset', async () => {
+            const socket = attachServer(client, serveParts);
+
+            const { structure: node, content } = await client.fetchPart(3, '1');
+
+            expect(socket.written).toEqual(['A1 FETCH 3 (BODYSTRUCTURE BODY.PEEK[1])\r\n']);
+            expect(node).toMatchObject({ part: '1', type: 'text/plain', encoding: 'quoted-printable' });
+            expect(content).toBe('café = ok');
+        });
+
+        it('should fetch a partial range for previews', async () => {
+            const socket = attachServer(client, serveParts);
+
+            const { content } = await client.fetchPart(3, '1', { start: 0, length: 6 });
+
+            expect(socket.written).toEqual(['A1 FETCH 3 (BODYSTRUCTURE BODY.PEEK[1]<0.6>)\r\n']);
+            expect(content).toBe('café');
+        });
+
+        it('should stream a decoded attachment in ranges', async () => {
+            const socket = attachServer(client, serveParts);
+            const received = [];
+            const destination = new Writable({
+                write(chunk, encoding, callback) {
+                    received.push(chunk);
+                    callback();
+                }
+            });
+
+            const node = await client.downloadAttachment(3, '2', destination, { uid: true, chunkSize: 10 });
+
+            expect(socket.written).toEqual([
+                'A1 UID FETCH 3 (BODYSTRUCTURE BODY.PEEK[2]<0.10>)\r\n',
+                'A2 UID FETCH 3 (BODY.PEEK[2]<10.10>)\r\n',
+                'A3 UID FETCH 3 (BODY.PEEK[2]<20.10>)\r\n'
+            ]);
+            expect(node.filename).toBe('hello.txt');
+            expect(Buffer.concat(received).toString()).toBe('Hello, attachment!');
+            expect(destination.writableFinished).toBe(true);
+        });
+
+        it('should reject parts missing from the structure', async () => {
+            attachServer(client, serveParts);
+
+            await expect(client.fetchPart(3, '7')).rejects.toThrow('Part 7 not found in message 3');
+            await expect(client.fetchPart(3, '1 BODY[]')).rejects.toThrow('Invalid part number');
+        });
+    });
+
+    describe('Flags', () => {
+        beforeEach(() => {
+            client.connected = true;
+            client.sendCommand = jest.fn();
+        });
+
+        it('should add flags and return the updated flags', async () => {
+            client.sendCommand.mockResolvedValue('* 1 FETCH (FLAGS (\\Seen $Processed))\n* 2 FETCH (FLAGS (\\Seen))');
+
+            const result = await client.addFlags('1:2', ['\\Seen', '$Processed']);
+
+            expect(client.sendCommand).toHaveBeenCalledWith('STORE 1:2 +FLAGS (\\Seen $Processed)');
+            expect(result).toEqual([
+                { seq: 1, uid: null, flags: ['\\Seen', '$Processed'] },
+                { seq: 2, uid: null, flags: ['\\Seen'] }
+            ]);
+        });
+
+        it('should remove and set flags by UID silently', async () => {
+            client.sendCommand.mockResolvedValue('');
+
+            await client.removeFlags([10, 12], '\\Flagged', { uid: true, silent: true });
+            await client.setFlags(10, [], { uid: true });
+
+            expect(client.sendCommand).toHaveBeenCalledWith('UID STORE 10,12 -FLAGS.SILENT (\\Flagged)');
+            expect(client.sendCommand).toHaveBeenCalledWith('UID STORE 10 FLAGS ()');
+        });
+
+        it('should reject invalid flags', async () => {
+            await expect(client.addFlags(1, 'bad flag')).rejects.toThrow('Invalid flag');
+            expect(client.sendCommand).not.toHaveBeenCalled();
+        });
+
+        it('should delete messages with UID EXPUNGE when UIDPLUS is available', async () => {
+            client.capabilities = ['IMAP4REV1', 'UIDPLUS'];
+            client.sendCommand
+                .mockResolvedValueOnce('')
+                .mockResolvedValueOnce('* 4 EXPUNGE\n* 4 EXPUNGE');
+
+            const expunged = await client.deleteMessages('31:32', { uid: true });
+
+            expect(client.sendCommand).toHaveBeenNthCalledWith(1, 'UID STORE 31:32 +FLAGS.SILENT (\\Deleted)');
+            expect(client.sendCommand).toHaveBeenNthCalledWith(2, 'UID EXPUNGE 31:32');
+            expect(expunged).toEqual([4, 4]);
+        });
+
+        it('should resolve sequence numbers to UIDs before deleting', async () => {
+            client.capabilities = ['IMAP4REV1', 'UIDPLUS'];
+            delete client.sendCommand;
+            const socket = attachServer(client, command => (command.startsWith('UID SEARCH')
+                ? { untagged: '* SEARCH 41\r\n' }
+                : { untagged: command.startsWith('UID EXPUNGE') ? '* 3 EXPUNGE\r\n' : '' }));
+
+            expect(await client.deleteMessages(3)).toEqual([3]);
+            expect(socket.written.map(line => line.split(' ').slice(1).join(' ').trim())).toEqual([
+                'UID SEARCH 3',
+                'STORE 3 +FLAGS.SILENT (\\Deleted)',
+                'UID EXPUNGE 41'
+            ]);
+        });
+
+        it('should refuse to expunge the whole mailbox without UIDPLUS unless allowed', async () => {
+            client.sendCommand.mockResolvedValue('');
+
+            await expect(client.deleteMessages('31', { uid: true })).rejects.toThrow('requires UIDPLUS');
+            await expect(client.expunge('31', { uid: true })).rejects.toThrow('requires UIDPLUS');
+            await expect(client.moveMessages('31', 'Archive', { uid: true })).rejects.toThrow('requires UIDPLUS');
+            expect(client.sendCommand).not.toHaveBeenCalled();
+
+            await client.deleteMessages('31', { uid: true, allowFullExpunge: true });
+            expect(client.sendCommand).toHaveBeenLastCalledWith('EXPUNGE');
+        });
+    });
+
+    describe('Copy and Move', () => {
+        it('should copy messages and map UIDs from COPYUID', async () => {
+            const socket = attachServer(client, () => ({ status: 'OK [COPYUID 9 10:12 500:502] Copied' }));
+
+            const result = await client.copyMessages('10:12', 'Archive', { uid: true });
+
+            expect(socket.written[0]).toBe('A1 UID COPY 10:12 "Archive"\r\n');
+            expect(result.uidvalidity).toBe(9);
+            expect([...result.uidMap]).toEqual([[10, 500], [11, 501], [12, 502]]);
+        });
+
+        it('should use MOVE when advertised', async () => {
+            client.capabilities = ['IMAP4REV1', 'MOVE', 'UIDPLUS'];
+            const socket = attachServer(client, () => ({ untagged: '* OK [COPYUID 9 7 70] Moved\r\n* 3 EXPUNGE\r\n' }));
+
+            const result = await client.moveMessages(7, 'Archive', { uid: true });
+
+            expect(socket.written).toEqual(['A1 UID MOVE 7 "Archive"\r\n']);
+            expect(result).toMatchObject({ destination: 'Archive', uidvalidity: 9, expunged: [3] });
+            expect(result.uidMap.get(7)).toBe(70);
+        });
+
+        it('should fall back to COPY, STORE and UID EXPUNGE', async () => {
+            client.capabilities = ['IMAP4REV1', 'UIDPLUS'];
+            const socket = attachServer(client, (command) => (command.startsWith('UID SEARCH') ? { untagged: '* SEARCH 41 42\r\n' } : {}));
+
+            await client.moveMessages('2:3', 'Archive');
+
+            expect(socket.written).toEqual([
+                'A1 UID SEARCH 2:3\r\n',
+                'A2 COPY 2:3 "Archive"\r\n',
+                'A3 STORE 2:3 +FLAGS.SILENT (\\Deleted)\r\n',
+                'A4 UID EXPUNGE 41,42\r\n'
+            ]);
+        });
+
+        it('should create the destination on TRYCREATE when asked', async () => {
+            let attempts = 0;
+            const socket = attachServer(client, (command) => {
+                if (command.startsWith('COPY') && attempts++ === 0) return { status: 'NO [TRYCREATE] No such mailbox' };
+                return {};
+            });
+
+            await client.copyMessages(1, 'Archive/2024', { create: true });
+
+            expect(socket.written).toEqual([
+                'A1 COPY 1 "Archive/2024"\r\n',
+                'A2 CREATE "Archive/2024"\r\n',
+                'A3 COPY 1 "Archive/2024"\r\n'
+            ]);
+        });
+
+        it('should not create the destination by default', async () => {
+            const socket = attachServer(client, () => ({ status: 'NO [TRYCREATE] No such mailbox' }));
+
+            await expect(client.copyMessages(1, 'Missing')).rejects.toThrow('TRYCREATE');
+            expect(socket.written).toHaveLength(1);
+        });
+    });
+
+    describe('Append', () => {
+        const message = 'From: me@example.com\r\nSubject: Draft\r\n\r\nHello\r\n';
+        let socket;
+
+        beforeEach(() => {
+            socket = attachSocket(client, (tag, command, data) => {
+                if (/\{\d+\}\r\n$/.test(data)) return '+ Ready for literal\r\n';
+                return 'A1 OK [APPENDUID 38505 3955] APPEND completed\r\n';
+            });
+        });
+
+        it('should append with a synchronizing literal and return the new UID', async () => {
+            const result = await client.appendMessage('Drafts', message, {
+                flags: ['\\Seen', '\\Draft'],
+                internalDate: new Date('2024-02-01T09:30:00Z')
+            });
+
+            expect(socket.written).toEqual([
+                `A1 APPEND "Drafts" (\\Seen \\Draft) "01-Feb-2024 09:30:00 +0000" {${message.length}}\r\n`,
+                `${message}\r\n`
+            ]);
+            expect(result).toEqual({ mailbox: 'Drafts', uidvalidity: 38505, uid: 3955 });
+        });
+
+        it('should use LITERAL+ when available', async () => {
+            client.capabilities = ['IMAP4REV1', 'LITERAL+'];
+
+            await client.appendMessage('Sent', Buffer.from(message));
+
+            expect(socket.written).toEqual([`A1 APPEND "Sent" {${message.length}+}\r\n${message}\r\n`]);
+        });
+
+        it('should read readable streams', async () => {
+            client.capabilities = ['IMAP4REV1', 'LITERAL+'];
+
+            await client.appendMessage('Sent', Readable.from([Buffer.from('From: me\r\n'), Buffer.from('\r\nHi\r\n')]));
+
+            expect(socket.written[0]).toBe('A1 APPEND "Sent" {16+}\r\nFrom: me\r\n\r\nHi\r\n\r\n');
+        });
+
+        it('should reject unsupported message types', async () => {
+            await expect(client.appendMessage('Sent', 42)).rejects.toThrow(TypeError);
+            expect(socket.written).toEqual([]);
+        });
+    });
+
+    describe('IDLE', () => {
+        let socket;
+
+        const tick = () => new Promise(resolve => setImmediate(resolve));
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        beforeEach(() => {
+            let idleTag = null;
+            client = new IMAPClient({ ...mockConfig, idleInterval: 20, pollInterval: 10 });
+            client.capabilities = ['IMAP4REV1', 'IDLE'];
+            socket = attachSocket(client, (tag, command, data) => {
+                if (command === 'IDLE') {
+                    idleTag = tag;
+                    return '+ idling\r\n';
+                }
+                if (data === 'DONE\r\n') return `${idleTag} OK IDLE terminated\r\n`;
+                return `${tag} OK done\r\n`;
+            });
+        });
+
+        afterEach(async () => {
+            await client.stopIdle();
+        });
+
+        it('should emit events for untagged updates while idling', async () => {
+            const exists = jest.fn();
+            const expunge = jest.fn();
+            const flags = jest.fn();
+            client.on('exists', exists);
+            client.on('expunge', expunge);
+            client.on('flags', flags);
+
+            await client.idle();
+            socket.emit('data', Buffer.from('* 5 EXISTS\r\n* 2 EXPUNGE\r\n* 3 FETCH (FLAGS (\\Seen \\Flagged) UID 9)\r\n'));
+
+            expect(exists).toHaveBeenCalledWith({ count: 5 });
+            expect(expunge).toHaveBeenCalledWith({ seq: 2 });
+            expect(flags).toHaveBeenCalledWith({ seq: 3, uid: 9, flags: ['\\Seen', '\\Flagged'] });
+        });
+
+        it('should interrupt IDLE for other commands and resume afterwards', async () => {
+            client.idleInterval = 60000;
+            await client.idle();
+
+            await client.sendCommand('NOOP');
+
+            expect(socket.written).toEqual(['A1 IDLE\r\n', 'DONE\r\n', 'A2 NOOP\r\n', 'A3 IDLE\r\n']);
+            await tick();
+            await client.stopIdle();
+            expect(socket.written.slice(4)).toEqual(['DONE\r\n']);
+            expect(client.currentCommand).toBeNull();
+        });
+
+        it('should re-issue IDLE after the idle interval', async () => {
+            await client.idle();
+            await wait(50);
+
+            expect(socket.written.slice(0, 3)).toEqual(['A1 IDLE\r\n', 'DONE\r\n', 'A2 IDLE\r\n']);
+        });
+
+        it('should stop on abort and remove the abort listener once idling ends', async () => {
+            const controller = new AbortController();
+            const remove = jest.spyOn(controller.signal, 'removeEventListener');
+
+            await client.idle({ signal: controller.signal });
+            controller.abort();
+            await tick();
+
+            expect(socket.written).toEqual(['A1 IDLE\r\n', 'DONE\r\n']);
+            expect(client.idleState).toBeNull();
+
+            const other = new AbortController();
+            const removeOther = jest.spyOn(other.signal, 'removeEventListener');
+            await client.idle({ signal: other.signal });
+            await client.stopIdle();
+
+            expect(remove).toHaveBeenCalledWith('abort', expect.any(Function));
+            expect(removeOther).toHaveBeenCalledWith('abort', expect.any(Function));
+        });
+
+        it('should poll with NOOP when the server lacks IDLE', async () => {
+            client.capabilities = ['IMAP4REV1'];
+
+            await client.idle();
+            await wait(35);
+            await client.stopIdle();
+
+            expect(socket.written.length).toBeGreaterThan(0);
+            expect(socket.written.every(line => /^A\d+ NOOP\r\n$/.test(line))).toBe(true);
+        });
+    });
+
+    describe('Reconnection', () => {
+        const greeting = '* OK [CAPABILITY IMAP4rev1] Ready\r\n';
+
+        const session = (command) => {
+            if (command.startsWith('SELECT')) {
+                return { untagged: '* 3 EXISTS\r\n* OK [UIDVALIDITY 7] UIDs valid\r\n', status: 'OK [READ-WRITE] done' };
+            }
+            return command.startsWith('CAPABILITY') ? { untagged: '* CAPABILITY IMAP4rev1\r\n' } : {};
+        };
+        const names = socket => socket.written.map(line => line.trim().split(' ')[1]);
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should reject pending commands when the connection drops without reconnect', async () => {
+            const socket = createServer(() => null);
+            mockConnection(greeting, socket);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false });
+            await client.connect();
+
+            const fetch = client.fetchEmail(1);
+            const search = client.search({ all: true });
+            socket.emit('close');
+
+            await expect(fetch).rejects.toThrow('Connection closed');
+            await expect(search).rejects.toThrow('Connection closed');
+        });
+
+        it('should restore the session and retry idempotent commands', async () => {
+            const first = createServer(command => (/^(FETCH|STORE)/.test(command) ? null : session(command)));
+            const second = createServer(command => (command.startsWith('FETCH')
+                ? { untagged: '* 1 FETCH (ENVELOPE (NIL "Hi" NIL NIL NIL NIL NIL NIL NIL NIL))\r\n' }
+                : session(command)));
+            mockConnection(greeting, first, second);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false, reconnect: { minDelay: 0, jitter: 0 } });
+            const events = [];
+            client.on('reconnecting', event => events.push(['reconnecting', event]));
+            client.on('reconnected', event => events.push(['reconnected', event]));
+
+            await client.connect();
+            await client.login('user', 'secret');
+            await client.selectMailbox('INBOX');
+            const fetch = client.fetchEmail(1);
+            const store = client.addFlags(1, '\\Seen');
+            first.emit('close');
+
+            await expect(store).rejects.toThrow('Connection lost while running STORE');
+            expect((await fetch).subject).toBe('Hi');
+            expect(names(second)).toEqual(['LOGIN', 'CAPABILITY', 'SELECT', 'FETCH']);
+            expect(events).toEqual([
+                ['reconnecting', { attempt: 1, delay: 0 }],
+                ['reconnected', { attempt: 1 }]
+            ]);
+        });
+
+        it('should ask the token provider for a fresh token', async () => {
+            const tokenProvider = jest.fn().mockResolvedValueOnce('token-1').mockResolvedValueOnce('token-2');
+            const first = createServer(session);
+            const second = createServer(session);
+            mockConnection(greeting, first, second);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false, reconnect: { minDelay: 0 } });
+
+            await client.connect();
+            await client.authenticate({ mechanism: 'XOAUTH2', username: 'user', tokenProvider });
+            const reconnected = new Promise(resolve => client.once('reconnected', resolve));
+            first.emit('close');
+            await reconnected;
+
+            expect(tokenProvider).toHaveBeenCalledTimes(2);
+            expect(names(second)).toEqual(['AUTHENTICATE', 'CAPABILITY']);
+        });
+
+        it('should emit error and reject held commands after the last attempt', async () => {
+            const first = createServer(command => (command.startsWith('NOOP') ? null : session(command)));
+            mockConnection(greeting, first);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false, reconnect: { retries: 2, minDelay: 0 } });
+            await client.connect();
+            net.createConnection.mockImplementation(() => {
+                const socket = new EventEmitter();
+                setImmediate(() => socket.emit('error', new Error('ECONNREFUSED')));
+                return socket;
+            });
+            const failed = new Promise(resolve => client.once('error', resolve));
+
+            const noop = client.sendCommand('NOOP');
+            first.emit('close');
+            const later = client.sendCommand('NOOP');
+
+            expect((await failed).message).toBe('Reconnection failed after 2 attempts');
+            await expect(noop).rejects.toThrow('Reconnection failed');
+            await expect(later).rejects.toThrow('Reconnection failed');
+            expect(net.createConnection).toHaveBeenCalledTimes(3);
+        });
+
+        it('should stop reconnecting when closed', async () => {
+            const first = createServer(session);
+            mockConnection(greeting, first);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false, reconnect: { minDelay: 60 * 1000 } });
+            await client.connect();
+
+            first.emit('close');
+            const held = client.sendCommand('NOOP');
+            await client.close();
+
+            await expect(held).rejects.toThrow('Connection closed');
+            expect(net.createConnection).toHaveBeenCalledTimes(1);
+        });
+
+        it('should back off exponentially with jitter', () => {
+            client = new IMAPClient({ ...mockConfig, reconnect: { minDelay: 1000, maxDelay: 5000, jitter: 0.5 } });
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+            expect([1, 2, 3, 4].map(attempt => client._reconnectDelay(attempt))).toEqual([1000, 2000, 4000, 5000]);
+
+            Math.random.mockReturnValue(0);
+            expect(client._reconnectDelay(2)).toBe(1000);
+        });
+    });
+
+    describe('Pipelining', () => {
+        const sent = socket => socket.written.map(line => line.trim());
+
+        it('should keep several commands in flight and match completions by tag', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: true });
+            const socket = attachSocket(client, () => null);
+
+            const search = client.search({ seen: true });
+            const noop = client.sendCommand('NOOP');
+            const fetch = client.execute('FETCH 1 (FLAGS)');
+            expect(sent(socket)).toEqual(['A1 SEARCH SEEN', 'A2 NOOP', 'A3 FETCH 1 (FLAGS)']);
+
+            socket.emit('data', Buffer.from('* SEARCH 2 3\r\nA1 OK done\r\n* CAPABILITY IMAP4rev1\r\nA3 OK done\r\nA2 OK done\r\n'));
+
+            await expect(search).resolves.toEqual([2, 3]);
+            await expect(noop).resolves.toBe('* CAPABILITY IMAP4rev1');
+            await expect(fetch).resolves.toMatchObject({ responses: [] });
+            expect(client.inFlight).toEqual([]);
+        });
+
+        it('should hold back a command that returns the same untagged data', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: true });
+            const socket = attachSocket(client, () => null);
+
+            const seen = client.search({ seen: true });
+            const unseen = client.search({ seen: false });
+            expect(sent(socket)).toEqual(['A1 SEARCH SEEN']);
+
+            socket.emit('data', Buffer.from('* SEARCH 2 3\r\nA1 OK done\r\n'));
+            await expect(seen).resolves.toEqual([2, 3]);
+            expect(sent(socket)).toEqual(['A1 SEARCH SEEN', 'A2 SEARCH UNSEEN']);
+
+            socket.emit('data', Buffer.from('* SEARCH 1\r\nA2 OK done\r\n'));
+            await expect(unseen).resolves.toEqual([1]);
+        });
+
+        it('should give a pipelined command its untagged data while an older one runs', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: true });
+            const socket = attachSocket(client, () => null);
+            const updates = [];
+            client.on('flags', update => updates.push(update));
+
+            const search = client.search({ seen: true });
+            const store = client.addFlags(1, '\\Seen');
+            expect(sent(socket)).toEqual(['A1 SEARCH SEEN', 'A2 STORE 1 +FLAGS (\\Seen)']);
+
+            socket.emit('data', Buffer.from('* 1 FETCH (FLAGS (\\Seen))\r\nA2 OK done\r\n* SEARCH 1\r\nA1 OK done\r\n'));
+
+            await expect(store).resolves.toEqual([{ seq: 1, uid: null, flags: ['\\Seen'] }]);
+            await expect(search).resolves.toEqual([1]);
+            expect(updates).toEqual([]);
+        });
+
+        it('should fail the command whose write failed and drop the connection', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: true });
+            const socket = attachSocket(client, () => null);
+            const error = new Error('write EPIPE');
+            socket.write.mockImplementation((data, encoding, callback) => {
+                socket.written.push(data.toString());
+                setImmediate(() => callback(data.toString().includes('NOOP') ? error : undefined));
+            });
+
+            const search = client.search({ seen: true });
+            const noop = client.sendCommand('NOOP');
+
+            await expect(noop).rejects.toBe(error);
+            await expect(search).rejects.toThrow(ConnectionError);
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.inFlight).toEqual([]);
+        });
+
+        it('should run barrier commands alone', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: true });
+            const socket = attachSocket(client, () => null);
+
+            const first = client.sendCommand('NOOP');
+            const select = client.selectMailbox('INBOX');
+            const after = client.sendCommand('NOOP');
+            expect(sent(socket)).toEqual(['A1 NOOP']);
+
+            socket.emit('data', Buffer.from('A1 OK done\r\n'));
+            await first;
+            expect(sent(socket)).toEqual(['A1 NOOP', 'A2 SELECT "INBOX"']);
+
+            socket.emit('data', Buffer.from('* 0 EXISTS\r\nA2 OK [READ-WRITE] done\r\n'));
+            await select;
+            expect(sent(socket)).toEqual(['A1 NOOP', 'A2 SELECT "INBOX"', 'A3 NOOP']);
+
+            socket.emit('data', Buffer.from('A3 OK done\r\n'));
+            await after;
+        });
+
+        it('should limit the number of commands in flight', async () => {
+            client = new IMAPClient({ ...mockConfig, pipelining: { maxInFlight: 2 } });
+            const socket = attachSocket(client, () => null);
+
+            const commands = [1, 2, 3].map(() => client.sendCommand('NOOP'));
+            expect(sent(socket)).toEqual(['A1 NOOP', 'A2 NOOP']);
+
+            socket.emit('data', Buffer.from('A1 OK done\r\n'));
+            await commands[0];
+            expect(sent(socket)).toEqual(['A1 NOOP', 'A2 NOOP', 'A3 NOOP']);
+
+            socket.emit('data', Buffer.from('A2 OK done\r\nA3 OK done\r\n'));
+            await Promise.all(commands);
+        });
+
+        it('should send one command at a time without pipelining', async () => {
+            const socket = attachSocket(client, () => null);
+
+            const first = client.sendCommand('NOOP');
+            const second = client.sendCommand('NOOP');
+            expect(sent(socket)).toEqual(['A1 NOOP']);
+
+            socket.emit('data', Buffer.from('A1 OK done\r\n'));
+            await first;
+            socket.emit('data', Buffer.from('A2 OK done\r\n'));
+            await second;
+            expect(sent(socket)).toEqual(['A1 NOOP', 'A2 NOOP']);
+        });
+    });
+
+    describe('Logging', () => {
+        let records;
+        let transcript;
+
+        /**
+         * Creates a client whose log records and transcript lines are collected
+         */
+        function loggingClient(options = {}) {
+            records = [];
+            transcript = { lines: [], write: jest.fn((direction, text) => transcript.lines.push(`${direction}: ${text}`)), close: jest.fn() };
+            const logger = Object.fromEntries(['trace', 'debug', 'info', 'warn', 'error'].map(level => [
+                level, (fields, message) => records.push({ level, message, ...fields })
+            ]));
+            return new IMAPClient({ ...mockConfig, logger, transcript, ...options });
+        }
+
+        it('should trace commands with credentials redacted and log per-command records', async () => {
+            client = loggingClient();
+            const socket = attachSocket(client, script(['A1 OK Logged in\r\n', '* CAPABILITY IMAP4rev1\r\nA2 OK done\r\n']));
+
+            await client.login('user', 'secret');
+
+            expect(transcript.lines).toEqual([
+                'C: A1 LOGIN "user" [redacted]',
+                'S: A1 OK Logged in',
+                'C: A2 CAPABILITY',
+                'S: * CAPABILITY IMAP4rev1',
+                'S: A2 OK done'
+            ]);
+            expect(records.filter(record => record.level === 'trace').map(record => record.data)).toEqual(transcript.lines.map(line => line.substring(3)));
+            expect(records.find(record => record.message === 'Command completed')).toEqual({
+                level: 'debug',
+                message: 'Command completed',
+                tag: 'A1',
+                command: 'LOGIN',
+                status: 'OK',
+                duration: expect.any(Number),
+                bytesOut: socket.written[0].length,
+                bytesIn: 'A1 OK Logged in\r\n'.length
+            });
+            expect(JSON.stringify(records)).not.toContain('secret');
+        });
+
+        it('should redact SASL responses sent through continuations', async () => {
+            client = loggingClient();
+            attachSocket(client, script([
+                `+ ${Buffer.from('Username:').toString('base64')}\r\n`,
+                `+ ${Buffer.from('Password:').toString('base64')}\r\n`,
+                'A1 OK Authenticated\r\n',
+                'A2 OK done\r\n'
+            ]));
+
+            await client.authenticate({ mechanism: 'LOGIN', username: 'user', password: 'pass' });
+
+            expect(transcript.lines.slice(0, 5)).toEqual([
+                'C: A1 AUTHENTICATE LOGIN',
+                'S: + VXNlcm5hbWU6',
+                'C: [redacted]',
+                'S: + UGFzc3dvcmQ6',
+                'C: [redacted]'
+            ]);
+        });
+
+        it('should replace literal contents with their size unless redaction is off', async () => {
+            const fetch = () => ({ untagged: '* 1 FETCH (BODY[] {5}\r\nHello)\r\n' });
+
+            client = loggingClient();
+            attachServer(client, fetch);
+            await client.sendCommand('FETCH 1 BODY[]');
+            expect(transcript.lines[1]).toBe('S: * 1 FETCH (BODY[] {5}[5 bytes])');
+
+            client = loggingClient({ redact: false });
+            attachServer(client, fetch);
+            await client.sendCommand('FETCH 1 BODY[]');
+            expect(transcript.lines[1]).toBe('S: * 1 FETCH (BODY[] {5}\r\nHello)');
+        });
+
+        it('should keep working when the logger throws and close the transcript', async () => {
+            const logger = { trace: () => { throw new Error('broken'); }, debug: () => { throw new Error('broken'); } };
+            client = new IMAPClient({ ...mockConfig, logger });
+            attachServer(client, () => ({}));
+            await expect(client.sendCommand('NOOP')).resolves.toBe('');
+
+            client = loggingClient();
+            attachServer(client, () => ({ untagged: '* BYE Logging out\r\n' }));
+            await client.close();
+            expect(transcript.lines.slice(-1)).toEqual(['*: Connection closed']);
+            expect(transcript.close).toHaveBeenCalled();
+        });
+
+        it('should close the transcript when the connection is already gone', async () => {
+            client = loggingClient();
+
+            await expect(client.close()).resolves.toBe('Connection closed');
+            expect(transcript.close).toHaveBeenCalled();
+        });
+    });
+
+    describe('Timeouts and Cancellation', () => {
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should time out a stalled command and drop the connection', async () => {
+            client = new IMAPClient({ ...mockConfig, commandTimeout: 20 });
+            const socket = attachServer(client, () => ({}));
+            socket.write.mockImplementation((data) => socket.written.push(data.toString()));
+
+            const stalled = client.fetchEmailBody(1);
+            const queued = client.fetchEmail(2);
+
+            await expect(stalled).rejects.toThrow(TimeoutError);
+            await expect(stalled).rejects.toThrow('FETCH timed out after 20 ms');
+            await expect(queued).rejects.toThrow('Connection closed');
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.connected).toBe(false);
+        });
+
+        it('should apply a per-call timeout', async () => {
+            const socket = attachServer(client, () => ({}));
+            socket.write.mockImplementation((data) => socket.written.push(data.toString()));
+
+            const error = await client.search({ unseen: true }, { timeout: 10 }).catch(err => err);
+
+            expect(error).toBeInstanceOf(TimeoutError);
+            expect(error.command).toBe('SEARCH');
+            expect(error.timeout).toBe(10);
+        });
+
+        it('should restart the timeout while the server keeps sending data', async () => {
+            client = new IMAPClient({ ...mockConfig, commandTimeout: 30 });
+            const socket = attachSocket(client, () => null);
+
+            const result = client.sendCommand('SEARCH ALL');
+            for (let i = 0; i < 3; i++) {
+                await wait(15);
+                socket.emit('data', Buffer.from(`* SEARCH ${i}\r\n`));
+            }
+            socket.emit('data', Buffer.from('A1 OK done\r\n'));
+
+            await expect(result).resolves.toContain('* SEARCH 2');
+        });
+
+        it('should reject without sending when the signal is already aborted', async () => {
+            const socket = attachServer(client, () => ({}));
+            const controller = new AbortController();
+            controller.abort();
+
+            await expect(client.selectMailbox('INBOX', { signal: controller.signal })).rejects.toThrow(AbortError);
+            expect(socket.written).toEqual([]);
+        });
+
+        it('should drop an aborted command from the queue', async () => {
+            const socket = attachServer(client, () => ({}));
+            const controller = new AbortController();
+
+            const first = client.sendCommand('NOOP');
+            const second = client.expunge(undefined, { signal: controller.signal });
+            controller.abort();
+
+            await expect(second).rejects.toThrow('EXPUNGE was aborted');
+            await first;
+            expect(socket.written).toEqual(['A1 NOOP\r\n']);
+        });
+
+        it('should discard the result of an aborted running command', async () => {
+            const socket = attachSocket(client, () => null);
+            const controller = new AbortController();
+
+            const aborted = client.fetchEmail(1, { signal: controller.signal });
+            const next = client.sendCommand('NOOP');
+            controller.abort(new Error('user cancelled'));
+
+            const error = await aborted.catch(err => err);
+            expect(error).toBeInstanceOf(AbortError);
+            expect(error.cause.message).toBe('user cancelled');
+
+            socket.emit('data', Buffer.from('* 1 FETCH (ENVELOPE NIL)\r\nA1 OK done\r\n* CAPABILITY IMAP4rev1\r\nA2 OK done\r\n'));
+            await expect(next).resolves.toBe('* CAPABILITY IMAP4rev1');
+        });
+
+        it('should reject pending commands on close', async () => {
+            const socket = attachSocket(client, () => null);
+
+            const pending = client.sendCommand('NOOP');
+            const closed = client.close({ timeout: 10 });
+
+            await expect(closed).rejects.toThrow('LOGOUT timed out after 10 ms');
+            await expect(pending).rejects.toThrow('Connection closed');
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.currentCommand).toBeNull();
+            expect(client.commandQueue).toEqual([]);
+        });
+
+        it('should enable TCP keepalive and send NOOP when the connection is quiet', async () => {
+            const socket = createServer(() => ({}));
+            socket.setKeepAlive = jest.fn();
+            mockConnection('* OK [CAPABILITY IMAP4rev1] Ready\r\n', socket);
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false, keepAlive: 5000, heartbeatInterval: 10 });
+
+            await client.connect();
+            await wait(35);
+            clearInterval(client.heartbeat);
+
+            expect(socket.setKeepAlive).toHaveBeenCalledWith(true, 5000);
+            expect(socket.written.length).toBeGreaterThan(0);
+            expect(socket.written.every(line => /^A\d+ NOOP\r\n$/.test(line))).toBe(true);
+        });
+
+        it('should time out a connection that never greets', async () => {
+            const socket = createMockSocket(() => null);
+            jest.spyOn(net, 'createConnection').mockImplementation((options, onConnect) => {
+                setImmediate(onConnect);
+                return socket;
+            });
+            client = new IMAPClient({ host: 'imap.example.com', port: 143, secure: false });
+
+            await expect(client.connect({ timeout: 10 })).rejects.toThrow('Connection timed out after 10 ms');
+            expect(socket.destroy).toHaveBeenCalled();
+            expect(client.connected).toBe(false);
+        });
+    });
+
+    describe('Error Handling', () => {
+        it('should throw error when not connected', async () => {
+            client.connected = false;
+
+            const error = await client.login('user', 'pass').catch(err => err);
+
+            expect(error).toBeInstanceOf(ConnectionError);
+            expect(error.message).toBe('Not connected to IMAP server');
+            expect(error.command).toBe('LOGIN');
+        });
+
+        it('should reject NO with the parsed response code', async () => {
+            attachServer(client, () => ({ status: 'NO [NONEXISTENT] Unknown mailbox' }));
+
+            const error = await client.selectMailbox('Missing').catch(err => err);
+
+            expect(error).toBeInstanceOf(IMAPNoError);
+            expect(error).toMatchObject({
+                command: 'SELECT',
+                tag: 'A1',
+                status: 'NO',
+                code: 'NONEXISTENT',
+                text: 'Unknown mailbox'
+            });
+            expect(error.message).toBe('Command failed: A1 NO [NONEXISTENT] Unknown mailbox');
+        });
+
+        it('should reject failed logins with AuthenticationError', async () => {
+            attachServer(client, () => ({ status: 'NO [AUTHENTICATIONFAILED] Invalid credentials' }));
+
+            const error = await client.login('user', 'wrong').catch(err => err);
+
+            expect(error).toBeInstanceOf(AuthenticationError);
+            expect(error).toBeInstanceOf(IMAPNoError);
+            expect(error.code).toBe('AUTHENTICATIONFAILED');
+        });
+
+        it('should reject BAD with IMAPBadError', async () => {
+            attachServer(client, () => ({ status: 'BAD Unknown command' }));
+
+            const error = await client.expunge().catch(err => err);
+
+            expect(error).toBeInstanceOf(IMAPBadError);
+            expect(error.code).toBeNull();
+            expect(error.text).toBe('Unknown command');
+        });
+
+        it('should reject pending commands with IMAPByeError when the server says BYE', async () => {
+            const socket = attachSocket(client, () => null);
+
+            const pending = client.sendCommand('NOOP');
+            socket.emit('data', Buffer.from('* BYE [UNAVAILABLE] Shutting down\r\n'));
+            socket.emit('close');
+
+            const error = await pending.catch(err => err);
+            expect(error).toBeInstanceOf(IMAPByeError);
+            expect(error.code).toBe('UNAVAILABLE');
+            expect(error.command).toBe('NOOP');
+        });
+
+        it('should emit alert events', async () => {
+            const socket = attachServer(client, () => ({ untagged: '* OK [ALERT] Mailbox is almost full\r\n' }));
+            const alert = jest.fn();
+            client.on('alert', alert);
+
+            await client.sendCommand('NOOP');
+            socket.emit('data', Buffer.from('* OK [ALERT] Maintenance at 22:00\r\n'));
 
-            await expect(client.login('user', 'pass'))
-                .rejects.toThrow('Not connected to IMAP server');
+            expect(alert.mock.calls.map(([event]) => event.text)).toEqual(['Mailbox is almost full', 'Maintenance at 22:00']);
         });
 
         it('should handle command queue properly', async () => {
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConsoleLogger, IMAPRedactor, TranscriptRecorder } from '../src/logger.js';
+import ResponseReader from '../src/reader.js';
+
+describe('IMAPRedactor', () => {
+    it('should hide LOGIN passwords and AUTHENTICATE initial responses', () => {
+        expect(IMAPRedactor.command('A1', ['LOGIN', '"joe"', '"secret"'])).toBe('A1 LOGIN "joe" [redacted]');
+        expect(IMAPRedactor.command('A1', ['LOGIN', { literal: Buffer.from('jöe') }, '"secret"'])).toBe('A1 LOGIN [redacted]');
+        expect(IMAPRedactor.command('A1', 'login joe secret')).toBe('A1 login [redacted]');
+        expect(IMAPRedactor.command('A2', 'AUTHENTICATE PLAIN AGpvZQBzZWNyZXQ=')).toBe('A2 AUTHENTICATE PLAIN [redacted]');
+        expect(IMAPRedactor.command('A2', 'AUTHENTICATE LOGIN')).toBe('A2 AUTHENTICATE LOGIN');
+        expect(IMAPRedactor.command('A1', ['LOGIN', '"joe"', '"secret"'], { redact: false })).toBe('A1 LOGIN "joe" "secret"');
+    });
+
+    it('should replace literal contents with their size', () => {
+        const command = ['APPEND', '"Drafts"', '(\\Seen)', { literal: Buffer.from('Subject: Hi\r\n\r\nHello\r\n') }];
+
+        expect(IMAPRedactor.command('A3', command)).toBe('A3 APPEND "Drafts" (\\Seen) {22}[22 bytes]');
+        expect(IMAPRedactor.command('A3', command, { redact: false })).toBe('A3 APPEND "Drafts" (\\Seen) {22}\r\nSubject: Hi\r\n\r\nHello\r\n');
+
+        const [response] = new ResponseReader().push('* 1 FETCH (UID 5 BODY[] {5}\r\nHello)\r\n');
+        expect(IMAPRedactor.response(response)).toBe('* 1 FETCH (UID 5 BODY[] {5}[5 bytes])');
+        expect(IMAPRedactor.response(response, { redact: false })).toBe('* 1 FETCH (UID 5 BODY[] {5}\r\nHello)');
+    });
+});
+
+describe('ConsoleLogger', () => {
+    it('should print records at or above its level', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const logger = new ConsoleLogger({ level: 'debug' });
+        logger.trace({ data: 'A1 NOOP' }, 'Sent');
+        logger.debug({ tag: 'A1' }, 'Command completed');
+        logger.warn({}, 'Server alert');
+
+        expect(log.mock.calls).toEqual([['[debug] Command completed', { tag: 'A1' }]]);
+        expect(warn.mock.calls).toEqual([['[warn] Server alert']]);
+        log.mockRestore();
+        warn.mockRestore();
+    });
+});
+
+describe('TranscriptRecorder', () => {
+    it('should append timestamped lines and reopen after closing', async () => {
+        const root = await fs.mkdtemp(path.join(os.tmpdir(), 'easy-imap-'));
+        const file = path.join(root, 'session.log');
+        const recorder = new TranscriptRecorder(file);
+
+        recorder.write('C', 'A1 NOOP');
+        recorder.write('S', 'A1 OK done');
+        await recorder.close();
+        recorder.write('*', 'Connection closed');
+        await recorder.close();
+
+        const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+        expect(lines.map(line => line.replace(/^\S+ /, ''))).toEqual(['C: A1 NOOP', 'S: A1 OK done', '*: Connection closed']);
+        expect(lines[0]).toMatch(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z /);
+        await fs.rm(root, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,399 @@
+import IMAPParser from '../src/parser.js';
+import ResponseReader from '../src/reader.js';
+
+describe('IMAPParser', () => {
+    describe('parseList', () => {
+        it('should handle NIL delimiters, atoms, escapes and literals', () => {
+            const response = [
+                '* LIST (\\Noselect) NIL ""',
+                '* LIST () "/" INBOX',
+                '* LIST (\\HasNoChildren) "/" "Say \\"hi\\" \\\\ bye"',
+                '* LIST (\\HasNoChildren) "/" {12}\r\nFoo (2) Bar!',
+                '* LIST (\\Marked) "/" "&ZeVnLIqe-" ("CHILDINFO" ("SUBSCRIBED"))'
+            ].join('\n');
+
+            expect(IMAPParser.parseList(response)).toEqual([
+                { flags: ['\\Noselect'], delimiter: null, name: '' },
+                { flags: [], delimiter: '/', name: 'INBOX' },
+                { flags: ['\\HasNoChildren'], delimiter: '/', name: 'Say "hi" \\ bye' },
+                { flags: ['\\HasNoChildren'], delimiter: '/', name: 'Foo (2) Bar!' },
+                { flags: ['\\Marked'], delimiter: '/', name: '日本語' }
+            ]);
+        });
+
+        it('should leave names undecoded with UTF8=ACCEPT', () => {
+            expect(IMAPParser.parseList('* LIST () "/" "A&-B"', { utf8: true })[0].name).toBe('A&-B');
+        });
+
+        it('should report special-use attributes', () => {
+            const response = '* LIST (\\HasNoChildren \\sent) "/" "Sent Items"\n* LIST (\\Trash) "/" Bin';
+
+            expect(IMAPParser.parseList(response).map(mailbox => mailbox.specialUse)).toEqual(['\\Sent', '\\Trash']);
+        });
+    });
+
+    describe('parseNamespace', () => {
+        it('should parse each namespace kind', () => {
+            const response = '* NAMESPACE (("" "/")) (("Other Users/" "/" "X-PARAM" ("x"))) (("#shared/" "/")("&ZeVnLIqe-." NIL))';
+
+            expect(IMAPParser.parseNamespace(response)).toEqual({
+                personal: [{ prefix: '', delimiter: '/' }],
+                otherUsers: [{ prefix: 'Other Users/', delimiter: '/' }],
+                shared: [{ prefix: '#shared/', delimiter: '/' }, { prefix: '日本語.', delimiter: null }]
+            });
+            expect(IMAPParser.parseNamespace('* NAMESPACE (("INBOX." ".")) NIL NIL')).toEqual({
+                personal: [{ prefix: 'INBOX.', delimiter: '.' }], otherUsers: [], shared: []
+            });
+            expect(IMAPParser.parseNamespace('')).toBeNull();
+        });
+    });
+
+    describe('parseQuota', () => {
+        it('should parse quota resources', () => {
+            expect(IMAPParser.parseQuota('* QUOTA "" (STORAGE 10 512 MESSAGE 1 1000)')).toEqual([
+                { root: '', resources: { storage: { usage: 10, limit: 512 }, message: { usage: 1, limit: 1000 } } }
+            ]);
+        });
+
+        it('should parse quota roots with their quotas', () => {
+            const response = '* QUOTAROOT "Entw&APw-rfe" "" "user.shared"\n* QUOTA "" (STORAGE 10 512)\n* QUOTA "user.shared" ()';
+
+            expect(IMAPParser.parseQuotaRoot(response)).toEqual({
+                mailbox: 'Entwürfe',
+                roots: ['', 'user.shared'],
+                quotas: [
+                    { root: '', resources: { storage: { usage: 10, limit: 512 } } },
+                    { root: 'user.shared', resources: {} }
+                ]
+            });
+        });
+    });
+
+    describe('parseId and parseEnabled', () => {
+        it('should parse server identification', () => {
+            expect(IMAPParser.parseId('* ID ("name" "Dovecot" "support-url" NIL)')).toEqual({ name: 'Dovecot', 'support-url': null });
+            expect(IMAPParser.parseId('* ID NIL')).toBeNull();
+        });
+
+        it('should parse enabled extensions', () => {
+            expect(IMAPParser.parseEnabled('* ENABLED condstore UTF8=ACCEPT\n* ENABLED')).toEqual(['CONDSTORE', 'UTF8=ACCEPT']);
+        });
+    });
+
+    describe('parseValues', () => {
+        it('should keep bracketed sections in their atom', () => {
+            const { values } = IMAPParser.parseValues('* 1 FETCH (BODY[HEADER.FIELDS (TO)] NIL UID 4)');
+
+            expect(values).toEqual(['*', '1', 'FETCH', ['BODY[HEADER.FIELDS (TO)]', null, 'UID', '4']]);
+        });
+
+        it('should count literal lengths in bytes', () => {
+            const { values, position } = IMAPParser.parseValues('* X {6}\r\nGrüß ok\nnext');
+
+            expect(values).toEqual(['*', 'X', 'Grüß', 'ok']);
+            expect(position).toBe('* X {6}\r\nGrüß ok\n'.length);
+        });
+    });
+
+    describe('parseSearch', () => {
+        it('should ignore the CONDSTORE MODSEQ suffix', () => {
+            expect(IMAPParser.parseSearch('* SEARCH 2 5 9 (MODSEQ 917162500)')).toEqual([2, 5, 9]);
+        });
+
+        it('should return an empty list for no matches', () => {
+            expect(IMAPParser.parseSearch('* SEARCH')).toEqual([]);
+        });
+
+        it('should expand the ALL result of an ESEARCH response', () => {
+            expect(IMAPParser.parseSearch('* ESEARCH (TAG "A5") UID ALL 2:4,9')).toEqual([2, 3, 4, 9]);
+        });
+    });
+
+    describe('parseESearch', () => {
+        it('should parse MIN, MAX and COUNT', () => {
+            expect(IMAPParser.parseESearch('* ESEARCH (TAG "A5") UID MIN 2 MAX 9 COUNT 4')).toEqual({
+                uid: true,
+                min: 2,
+                max: 9,
+                count: 4,
+                all: []
+            });
+        });
+
+        it('should return null without an ESEARCH response', () => {
+            expect(IMAPParser.parseESearch('* SEARCH 1 2')).toBeNull();
+        });
+    });
+
+    describe('parseSort', () => {
+        it('should keep the server order', () => {
+            expect(IMAPParser.parseSort('* SORT 5 3 4 (MODSEQ 12)')).toEqual([5, 3, 4]);
+            expect(IMAPParser.parseSort('* SORT')).toEqual([]);
+        });
+    });
+
+    describe('parseThread', () => {
+        it('should turn chains and branches into trees', () => {
+            expect(IMAPParser.parseThread('* THREAD (2)(3 6 (4 23)(44 7))')).toEqual([
+                { id: 2, children: [] },
+                {
+                    id: 3,
+                    children: [{
+                        id: 6,
+                        children: [
+                            { id: 4, children: [{ id: 23, children: [] }] },
+                            { id: 44, children: [{ id: 7, children: [] }] }
+                        ]
+                    }]
+                }
+            ]);
+        });
+
+        it('should represent missing parents with a null id', () => {
+            expect(IMAPParser.parseThread('* THREAD ((3)(5))')).toEqual([
+                { id: null, children: [{ id: 3, children: [] }, { id: 5, children: [] }] }
+            ]);
+            expect(IMAPParser.parseThread('* THREAD')).toEqual([]);
+        });
+    });
+
+    describe('parseSelect', () => {
+        it('should keep FLAGS and PERMANENTFLAGS apart', () => {
+            const parsed = IMAPParser.parseSelect('* FLAGS (\\Answered \\Seen)\n* OK [PERMANENTFLAGS ()] No permanent flags\n* 2 EXISTS');
+
+            expect(parsed.flags).toEqual(['\\Answered', '\\Seen']);
+            expect(parsed.permanentFlags).toEqual([]);
+            expect(parsed.exists).toBe(2);
+        });
+
+        it('should read HIGHESTMODSEQ and access from the completion', () => {
+            const parsed = IMAPParser.parseSelect('* OK [HIGHESTMODSEQ 715194045007] Ok\nA2 OK [READ-ONLY] EXAMINE completed');
+
+            expect(parsed.highestModseq).toBe(715194045007);
+            expect(parsed.readOnly).toBe(true);
+        });
+    });
+
+    describe('parseVanished', () => {
+        it('should collect UIDs from VANISHED responses', () => {
+            expect(IMAPParser.parseVanished('* VANISHED (EARLIER) 41,43:45\n* 2 FETCH (FLAGS ())\n* VANISHED (EARLIER) 50'))
+                .toEqual({ earlier: true, uids: [41, 43, 44, 45, 50] });
+            expect(IMAPParser.parseVanished('* VANISHED 7')).toEqual({ earlier: false, uids: [7] });
+        });
+    });
+
+    describe('parseStatusResponse', () => {
+        it('should split status, response code and text', () => {
+            expect(IMAPParser.parseStatusResponse('A4 NO [TRYCREATE] No such mailbox')).toEqual({
+                tag: 'A4',
+                status: 'NO',
+                code: 'TRYCREATE',
+                codeData: null,
+                text: 'No such mailbox'
+            });
+        });
+
+        it('should keep response code arguments', () => {
+            const parsed = IMAPParser.parseStatusResponse('* OK [PERMANENTFLAGS (\\Seen \\*)] Limited');
+
+            expect(parsed.code).toBe('PERMANENTFLAGS');
+            expect(parsed.codeData).toBe('(\\Seen \\*)');
+            expect(parsed.text).toBe('Limited');
+        });
+
+        it('should return null for other responses', () => {
+            expect(IMAPParser.parseStatusResponse('* 3 EXISTS')).toBeNull();
+        });
+    });
+
+    describe('parseFetch', () => {
+        it('should normalize FETCH attributes', () => {
+            const record = IMAPParser.parseFetch(
+                '* 3 FETCH (UID 9 FLAGS (\\Seen $Label1) RFC822.SIZE 2048 INTERNALDATE "17-Jul-1996 02:44:25 -0700")'
+            );
+
+            expect(record).toEqual({
+                seq: 3,
+                uid: 9,
+                flags: ['\\Seen', '$Label1'],
+                size: 2048,
+                internalDate: new Date('1996-07-17T09:44:25Z')
+            });
+        });
+
+        it('should build the envelope from its values', () => {
+            const record = IMAPParser.parseFetch(
+                '* 1 FETCH (ENVELOPE ("Mon, 1 Jan 2024 10:00:00 +0000" "Hi (there)" ' +
+                '(("Alice" NIL "alice" "example.com")) NIL NIL NIL NIL NIL NIL "<id@x>"))'
+            );
+
+            expect(record.envelope).toMatchObject({
+                subject: 'Hi (there)',
+                from: [{ name: 'Alice', sourceRoute: null, mailbox: 'alice', host: 'example.com' }],
+                to: [],
+                messageId: '<id@x>'
+            });
+        });
+
+        it('should read header literals from a structured response', () => {
+            const reader = new ResponseReader();
+            const [response] = reader.push(
+                '* 2 FETCH (BODY[HEADER.FIELDS (SUBJECT X-TAG)] {36}\r\nSubject: Hello\r\n world\r\nX-Tag: a\r\n\r\n UID 4)\r\n'
+            );
+
+            expect(IMAPParser.parseFetch(response)).toEqual({
+                seq: 2,
+                uid: 4,
+                headers: { subject: ['Hello world'], 'x-tag': ['a'] }
+            });
+        });
+
+        it('should return null for other responses', () => {
+            expect(IMAPParser.parseFetch('* 4 EXISTS')).toBeNull();
+        });
+    });
+
+    describe('parseBodyStructure', () => {
+        const parse = text => IMAPParser.parseBodyStructure(IMAPParser.parseValues(text).values[0]);
+
+        it('should number the parts of nested multiparts', () => {
+            const tree = parse(
+                '((("TEXT" "PLAIN" ("CHARSET" "UTF-8") NIL NIL "QUOTED-PRINTABLE" 120 4 NIL NIL NIL NIL)' +
+                '("TEXT" "HTML" ("CHARSET" "UTF-8") NIL NIL "BASE64" 400 6 NIL NIL NIL NIL) "ALTERNATIVE" ("BOUNDARY" "b2") NIL NIL NIL)' +
+                '("APPLICATION" "PDF" ("NAME" "report.pdf") "<att1@x>" NIL "BASE64" 5000 NIL ("ATTACHMENT" ("FILENAME" "report.pdf")) NIL NIL)' +
+                ' "MIXED" ("BOUNDARY" "b1") NIL NIL NIL)'
+            );
+
+            expect(tree).toMatchObject({ part: null, type: 'multipart/mixed', parameters: { boundary: 'b1' } });
+            expect(tree.children.map(child => [child.part, child.type])).toEqual([
+                ['1', 'multipart/alternative'],
+                ['2', 'application/pdf']
+            ]);
+            expect(tree.children[0].children[1]).toMatchObject({
+                part: '1.2',
+                type: 'text/html',
+                parameters: { charset: 'UTF-8' },
+                encoding: 'base64',
+                size: 400,
+                lines: 6
+            });
+            expect(tree.children[1]).toMatchObject({
+                id: '<att1@x>',
+                disposition: 'attachment',
+                filename: 'report.pdf',
+                size: 5000,
+                children: []
+            });
+        });
+
+        it('should number a single-part message as 1', () => {
+            expect(parse('("TEXT" "PLAIN" NIL NIL NIL "7BIT" 12 1)')).toMatchObject({
+                part: '1',
+                type: 'text/plain',
+                parameters: {},
+                encoding: '7bit',
+                filename: null
+            });
+        });
+
+        it('should nest the parts of attached messages', () => {
+            const tree = parse(
+                '(("TEXT" "PLAIN" NIL NIL NIL "7BIT" 10 1)("MESSAGE" "RFC822" NIL NIL NIL "7BIT" 300 ' +
+                '(NIL "Fwd" NIL NIL NIL NIL NIL NIL NIL NIL) ("TEXT" "PLAIN" NIL NIL NIL "7BIT" 20 2) 8) "MIXED")'
+            );
+            const message = tree.children[1];
+
+            expect(message).toMatchObject({ part: '2', type: 'message/rfc822', lines: 8, envelope: { subject: 'Fwd' } });
+            expect(message.children[0]).toMatchObject({ part: '2.1', type: 'text/plain' });
+            expect(IMAPParser.findBodyPart(tree, '2.1')).toBe(message.children[0]);
+        });
+
+        it('should decode RFC 2231 parameter continuations', () => {
+            const tree = parse(
+                '("APPLICATION" "OCTET-STREAM" NIL NIL NIL "BASE64" 10 NIL ' +
+                '("ATTACHMENT" ("FILENAME*0*" "utf-8\'\'Gr%C3%BC%C3%9Fe" "FILENAME*1" " 2024.txt")) NIL NIL)'
+            );
+
+            expect(tree.filename).toBe('Grüße 2024.txt');
+        });
+    });
+
+    describe('parseEnvelope', () => {
+        it('should read literals of structured responses by byte count', () => {
+            const responses = new ResponseReader().push(Buffer.concat([
+                Buffer.from('* 1 FETCH (ENVELOPE (NIL {5}\r\n'),
+                Buffer.from('Gr\xfc\xdfe', 'latin1'),
+                Buffer.from(' (("Ann" NIL "ann" "example.com")) NIL NIL NIL NIL NIL NIL "<id@x>"))\r\n')
+            ]));
+
+            const [envelope] = IMAPParser.parseEnvelope(responses);
+
+            expect(envelope.from[0].address).toBe('ann@example.com');
+            expect(envelope.messageId).toBe('<id@x>');
+        });
+
+        it('should keep display names with spaces and build addresses', () => {
+            const [envelope] = IMAPParser.parseEnvelope(
+                '* 1 FETCH (ENVELOPE ("Mon, 1 Jan 2024 10:00:00 +0000 (UTC)" "Status" ' +
+                '(("John Smith" NIL "john" "example.com")) NIL NIL ' +
+                '(("Jane \\"JD\\" Doe" NIL "jane" "example.org")("" NIL "ops" "example.org")) NIL NIL NIL "<m1@x>"))'
+            );
+
+            expect(envelope.date).toEqual(new Date('2024-01-01T10:00:00Z'));
+            expect(envelope.from).toEqual([
+                { name: 'John Smith', sourceRoute: null, mailbox: 'john', host: 'example.com', address: 'john@example.com' }
+            ]);
+            expect(envelope.to.map(address => [address.name, address.address])).toEqual([
+                ['Jane "JD" Doe', 'jane@example.org'],
+                ['', 'ops@example.org']
+            ]);
+            expect(envelope.cc).toEqual([]);
+        });
+
+        it('should decode encoded words in subjects and names', () => {
+            const [envelope] = IMAPParser.parseEnvelope(
+                '* 1 FETCH (ENVELOPE (NIL "=?UTF-8?B?R3LDvMOfZQ==?= =?ISO-8859-1?Q?caf=E9_cr=E8me?= again" ' +
+                '(("=?UTF-8?Q?J=C3=BCrgen?=" NIL "j" "example.de")) NIL NIL NIL NIL NIL NIL NIL))'
+            );
+
+            expect(envelope.subject).toBe('Grüßecafé crème again');
+            expect(envelope.from[0].name).toBe('Jürgen');
+            expect(envelope.date).toBeNull();
+        });
+
+        it('should read subjects sent as literals', () => {
+            const [envelope] = IMAPParser.parseEnvelope(
+                '* 2 FETCH (UID 7 ENVELOPE (NIL {13}\r\nLine "one" (x) NIL NIL NIL NIL NIL NIL NIL NIL))'
+            );
+
+            expect(envelope.subject).toBe('Line "one" (x');
+        });
+
+        it('should collect group members', () => {
+            const [envelope] = IMAPParser.parseEnvelope(
+                '* 1 FETCH (ENVELOPE (NIL NIL NIL NIL NIL ' +
+                '((NIL NIL "team" NIL)("Ann" NIL "ann" "x.org")(NIL NIL NIL NIL)("Bob" NIL "bob" "y.org")) NIL NIL NIL NIL))'
+            );
+
+            expect(envelope.to).toEqual([
+                {
+                    name: 'team',
+                    sourceRoute: null,
+                    mailbox: null,
+                    host: null,
+                    address: null,
+                    group: [{ name: 'Ann', sourceRoute: null, mailbox: 'ann', host: 'x.org', address: 'ann@x.org' }]
+                },
+                { name: 'Bob', sourceRoute: null, mailbox: 'bob', host: 'y.org', address: 'bob@y.org' }
+            ]);
+        });
+
+        it('should return one envelope per message', () => {
+            const response = '* 1 FETCH (ENVELOPE (NIL "a" NIL NIL NIL NIL NIL NIL NIL NIL))\n' +
+                '* 2 FETCH (ENVELOPE (NIL "b" NIL NIL NIL NIL NIL NIL NIL NIL))';
+
+            expect(IMAPParser.parseEnvelope(response).map(envelope => envelope.subject)).toEqual(['a', 'b']);
+        });
+    });
+});
+
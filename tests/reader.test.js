@@ -0,0 +1,60 @@
+import ResponseReader from '../src/reader.js';
+
+describe('ResponseReader', () => {
+    let reader;
+
+    beforeEach(() => {
+        reader = new ResponseReader();
+    });
+
+    it('should split plain responses on CRLF', () => {
+        const responses = reader.push(Buffer.from('* 3 EXISTS\r\nA1 OK done\r\n'));
+
+        expect(responses.map(r => r.text)).toEqual(['* 3 EXISTS', 'A1 OK done']);
+        expect(responses[1].tag).toBe('A1');
+    });
+
+    it('should keep partial lines until they are complete', () => {
+        expect(reader.push(Buffer.from('* 3 EXI'))).toEqual([]);
+
+        const responses = reader.push(Buffer.from('STS\r\n'));
+
+        expect(responses[0].text).toBe('* 3 EXISTS');
+    });
+
+    it('should not treat protocol text inside a literal as a response', () => {
+        const body = 'line one\r\nA3 OK fake\r\n';
+        const data = `* 1 FETCH (BODY[TEXT] {${body.length}}\r\n${body})\r\nA3 OK FETCH completed\r\n`;
+
+        const responses = reader.push(Buffer.from(data));
+
+        expect(responses).toHaveLength(2);
+        expect(responses[0].text).toBe(`* 1 FETCH (BODY[TEXT] {${body.length}})`);
+        expect(responses[0].literals[0].toString()).toBe(body);
+        expect(responses[1].text).toBe('A3 OK FETCH completed');
+    });
+
+    it('should count literal bytes across chunk boundaries without decoding them', () => {
+        const body = Buffer.from([0xff, 0x00, 0x0d, 0x0a, 0xe9]);
+        const data = Buffer.concat([
+            Buffer.from(`* 1 FETCH (BODY[] {${body.length}}\r\n`),
+            body,
+            Buffer.from(')\r\n')
+        ]);
+
+        const responses = [];
+        for (const byte of data) {
+            responses.push(...reader.push(Buffer.from([byte])));
+        }
+
+        expect(responses).toHaveLength(1);
+        expect(responses[0].literals[0].equals(body)).toBe(true);
+    });
+
+    it('should handle empty literals', () => {
+        const responses = reader.push(Buffer.from('* 1 FETCH (BODY[TEXT] {0}\r\n)\r\n'));
+
+        expect(responses[0].literals[0].length).toBe(0);
+        expect(responses[0].literalAt(responses[0].text.indexOf('{0}')).length).toBe(0);
+    });
+});
@@ -0,0 +1,56 @@
+import IMAPEncoder from '../src/encoder.js';
+import IMAPSearch from '../src/search.js';
+
+/**
+ * Renders compiled parts the way they are written to the socket
+ */
+function render(criteria) {
+    const { parts } = IMAPSearch.compile(criteria);
+    return IMAPEncoder.toChunks('A1', parts).map(chunk => chunk.toString()).join('').slice(3, -2);
+}
+
+describe('IMAPSearch', () => {
+    it('should match everything for empty criteria', () => {
+        expect(render({})).toBe('ALL');
+    });
+
+    it('should compile flags, strings, dates and sizes', () => {
+        expect(render({
+            from: 'alice@example.com',
+            subject: 'Quarterly "report"',
+            since: new Date('2024-02-01T00:00:00Z'),
+            before: '2024-03-15',
+            unseen: true,
+            flagged: false,
+            larger: 1024
+        })).toBe('FROM "alice@example.com" SUBJECT "Quarterly \\"report\\"" SINCE 1-Feb-2024 BEFORE 15-Mar-2024 UNSEEN UNFLAGGED LARGER 1024');
+    });
+
+    it('should compile header, or and not groups', () => {
+        expect(render({
+            header: ['List-Id', 'dev.example.com'],
+            or: [{ from: 'a' }, { to: 'b', seen: true }, { cc: 'c' }],
+            not: { deleted: true }
+        })).toBe('HEADER "List-Id" "dev.example.com" OR (FROM "a") OR (TO "b" SEEN) (CC "c") NOT DELETED');
+    });
+
+    it('should use literals and flag UTF-8 for non-ASCII text', () => {
+        const { parts, utf8 } = IMAPSearch.compile({ subject: 'Grüße' });
+
+        expect(utf8).toBe(true);
+        expect(parts[1]).toEqual({ literal: Buffer.from('Grüße') });
+    });
+
+    it('should send keywords as atoms', () => {
+        expect(render({ keyword: '$Important', unkeyword: 'Junk' })).toBe('KEYWORD $Important UNKEYWORD Junk');
+        expect(() => IMAPSearch.compile({ keyword: 'two words' })).toThrow('Invalid keyword');
+        expect(() => IMAPSearch.compile({ keyword: 'Wichtig™' })).toThrow('Invalid keyword');
+    });
+
+    it('should reject unknown criteria and invalid values', () => {
+        expect(() => IMAPSearch.compile({ colour: 'red' })).toThrow('Unknown search criterion');
+        expect(() => IMAPSearch.compile({ since: 'not a date' })).toThrow('Invalid date');
+        expect(() => IMAPSearch.compile({ uid: '1:x' })).toThrow('Invalid sequence set');
+        expect(() => IMAPSearch.compile({ or: [{ seen: true }] })).toThrow('at least two');
+    });
+});
@@ -0,0 +1,71 @@
+import IMAPSort from '../src/sort.js';
+
+/**
+ * Builds a FETCH record for local sorting
+ */
+function message(seq, { subject = '', date, arrival, from = '', size = 0 } = {}) {
+    return {
+        seq,
+        uid: seq + 100,
+        size,
+        internalDate: arrival ? new Date(arrival) : null,
+        envelope: {
+            subject,
+            date: date ? new Date(date) : null,
+            from: from ? [{ mailbox: from, host: 'example.com' }] : []
+        }
+    };
+}
+
+describe('IMAPSort', () => {
+    it('should validate criteria', () => {
+        expect(IMAPSort.compile(['reverse', 'Date', 'subject'])).toEqual(['REVERSE', 'DATE', 'SUBJECT']);
+        expect(IMAPSort.compile('reverse arrival')).toEqual(['REVERSE', 'ARRIVAL']);
+        expect(() => IMAPSort.compile([])).toThrow('Sort needs at least one criterion');
+        expect(() => IMAPSort.compile(['REVERSE'])).toThrow('REVERSE must be followed by a sort key');
+        expect(() => IMAPSort.compile(['COLOR'])).toThrow('Unknown sort criterion: COLOR');
+    });
+
+    it('should list the fetch items each key needs', () => {
+        expect(IMAPSort.fetchItems(['SIZE'])).toEqual({ uid: true, size: true });
+        expect(IMAPSort.fetchItems(['REVERSE', 'DATE'])).toEqual({ uid: true, envelope: true, internalDate: true });
+    });
+
+    it('should extract base subjects', () => {
+        expect(IMAPSort.baseSubject('Re: [team] Fwd: Lunch (fwd)')).toBe('Lunch');
+        expect(IMAPSort.baseSubject('[Fwd: Re: Plan]')).toBe('Plan');
+        expect(IMAPSort.baseSubject('RE:  re[2]:   Hello  world')).toBe('Hello world');
+        expect(IMAPSort.baseSubject('[team]')).toBe('[team]');
+        expect(IMAPSort.parseSubject('Plan')).toEqual({ base: 'Plan', reply: false });
+        expect(IMAPSort.parseSubject('Fw: Plan')).toEqual({ base: 'Plan', reply: true });
+    });
+
+    it('should sort by several keys and fall back to sequence order', () => {
+        const records = [
+            message(1, { subject: 'b', date: '2024-02-02' }),
+            message(2, { subject: 'Re: a', date: '2024-02-03' }),
+            message(3, { subject: 'a', date: '2024-02-01' }),
+            message(4, { subject: 'b', date: '2024-02-02' })
+        ];
+
+        const order = keys => IMAPSort.sortMessages(records, keys).map(record => record.seq);
+        expect(order(['SUBJECT', 'DATE'])).toEqual([3, 2, 1, 4]);
+        expect(order(['REVERSE', 'DATE'])).toEqual([2, 1, 4, 3]);
+        expect(order(['REVERSE', 'SUBJECT', 'REVERSE', 'DATE'])).toEqual([1, 4, 2, 3]);
+    });
+
+    it('should sort by arrival, sender and size', () => {
+        const records = [
+            message(1, { arrival: '2024-02-03', from: 'Carol', size: 30 }),
+            message(2, { arrival: '2024-02-01', from: 'alice', size: 10 }),
+            message(3, { date: '2024-01-01', from: 'bob', size: 20 })
+        ];
+
+        const order = keys => IMAPSort.sortMessages(records, keys).map(record => record.seq);
+        expect(order(['ARRIVAL'])).toEqual([3, 2, 1]);
+        expect(order(['FROM'])).toEqual([2, 3, 1]);
+        expect(order(['REVERSE', 'SIZE'])).toEqual([1, 3, 2]);
+        // DATE falls back to the arrival date when the Date header is missing
+        expect(order(['DATE'])).toEqual([3, 2, 1]);
+    });
+});
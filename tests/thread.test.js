@@ -0,0 +1,75 @@
+import IMAPThread from '../src/thread.js';
+
+/**
+ * Builds a FETCH record for local threading
+ */
+function message(seq, subject, messageId, references = '') {
+    return {
+        seq,
+        uid: seq + 100,
+        envelope: { subject, date: new Date(Date.UTC(2024, 1, seq)), messageId, inReplyTo: '' },
+        headers: references ? { references: [references] } : {}
+    };
+}
+
+const bySeq = record => record.seq;
+
+describe('IMAPThread', () => {
+    it('should thread by subject with ORDEREDSUBJECT', () => {
+        const records = [
+            message(3, 'Re: Plan', '<c@x>'),
+            message(1, 'Plan', '<a@x>'),
+            message(2, 'Lunch', '<b@x>')
+        ];
+
+        expect(IMAPThread.orderedSubject(records, bySeq)).toEqual([
+            { id: 1, children: [{ id: 3, children: [] }] },
+            { id: 2, children: [] }
+        ]);
+    });
+
+    it('should thread by references and merge threads with the same subject', () => {
+        const records = [
+            message(1, 'Plan', '<a@x>'),
+            message(2, 'Re: Plan', '<b@x>', '<a@x>'),
+            message(3, 'Re: Plan', '<c@x>', '<a@x> <b@x>'),
+            message(4, 'Lunch', '<d@x>', '<missing@x>'),
+            message(5, 'Re: Lunch', '<e@x>', '<missing@x>'),
+            message(6, 'Re: Plan', '<f@x>')
+        ];
+
+        expect(IMAPThread.references(records, bySeq)).toEqual([
+            {
+                id: 1,
+                children: [
+                    { id: 2, children: [{ id: 3, children: [] }] },
+                    { id: 6, children: [] }
+                ]
+            },
+            { id: null, children: [{ id: 4, children: [] }, { id: 5, children: [] }] }
+        ]);
+    });
+
+    it('should fall back to In-Reply-To and report the chosen ids', () => {
+        const reply = message(2, 'Re: Hello', '<b@x>');
+        reply.envelope.inReplyTo = '<a@x>';
+
+        expect(IMAPThread.references([message(1, 'Hello', '<a@x>'), reply], record => record.uid)).toEqual([
+            { id: 101, children: [{ id: 102, children: [] }] }
+        ]);
+    });
+
+    it('should not create loops or lose messages with duplicate IDs', () => {
+        const records = [
+            message(1, 'One', '<a@x>', '<b@x>'),
+            message(2, 'Two', '<b@x>', '<a@x>'),
+            message(3, 'Three', '<a@x>')
+        ];
+
+        const threads = IMAPThread.references(records, bySeq);
+        const ids = [];
+        const walk = node => { ids.push(node.id); node.children.forEach(walk); };
+        threads.forEach(walk);
+        expect(ids.sort()).toEqual([1, 2, 3]);
+    });
+});
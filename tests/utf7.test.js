@@ -0,0 +1,21 @@
+import ModifiedUTF7 from '../src/utf7.js';
+
+describe('ModifiedUTF7', () => {
+    it('should encode non-ASCII names', () => {
+        expect(ModifiedUTF7.encode('~peter/mail/台北/日本語')).toBe('~peter/mail/&U,BTFw-/&ZeVnLIqe-');
+        expect(ModifiedUTF7.encode('Entwürfe')).toBe('Entw&APw-rfe');
+    });
+
+    it('should escape ampersands', () => {
+        expect(ModifiedUTF7.encode('R&D')).toBe('R&-D');
+        expect(ModifiedUTF7.decode('R&-D')).toBe('R&D');
+    });
+
+    it('should round-trip names outside the BMP', () => {
+        expect(ModifiedUTF7.decode(ModifiedUTF7.encode('Fotos 😀'))).toBe('Fotos 😀');
+    });
+
+    it('should leave invalid sequences unchanged', () => {
+        expect(ModifiedUTF7.decode('A&!!-B')).toBe('A&!!-B');
+    });
+});
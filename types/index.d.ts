@@ -1,16 +1,214 @@
 // Type definitions for IMAPClient
 
+import { EventEmitter } from "events";
+import { Readable, Writable } from "stream";
+
+export interface IMAPTLSOptions {
+  rejectUnauthorized?: boolean;
+  ca?: string | Buffer | Array<string | Buffer>;
+  servername?: string;
+  cert?: string | Buffer;
+  key?: string | Buffer;
+  pfx?: string | Buffer;
+  passphrase?: string;
+  minVersion?: "TLSv1" | "TLSv1.1" | "TLSv1.2" | "TLSv1.3";
+  fingerprints?: string[];
+  [option: string]: unknown;
+}
+
 export interface IMAPConfig {
   host: string;
   port: number;
   secure?: boolean;
+  starttls?: boolean;
+  tls?: IMAPTLSOptions;
+  idleInterval?: number;
+  pollInterval?: number;
+  commandTimeout?: number;
+  keepAlive?: number;
+  heartbeatInterval?: number;
+  reconnect?: boolean | ReconnectOptions;
+  pipelining?: boolean | PipeliningOptions;
+  cache?: CacheAdapter;
+  offline?: boolean;
+  logger?: Logger;
+  redact?: boolean;
+  transcript?: string | Transcript;
   debug?: boolean;
 }
 
+export type LogLevel = "trace" | "debug" | "info" | "warn" | "error";
+
+/** Called pino-style with the record's fields first; every level is optional */
+export type Logger = {
+  [level in LogLevel]?: (fields: Record<string, unknown>, message: string) => void;
+};
+
+export interface CommandRecord {
+  tag: string;
+  command: string;
+  status: "OK" | "NO" | "BAD" | "TIMEOUT" | string;
+  duration: number;
+  bytesOut: number;
+  bytesIn: number;
+}
+
+export interface Transcript {
+  /** `C` for client, `S` for server, `*` for connection events */
+  write(direction: "C" | "S" | "*", text: string): void;
+  close?(): Promise<void>;
+}
+
+export declare class ConsoleLogger {
+  constructor(options?: { level?: LogLevel });
+  level: LogLevel;
+  trace(fields: Record<string, unknown>, message: string): void;
+  debug(fields: Record<string, unknown>, message: string): void;
+  info(fields: Record<string, unknown>, message: string): void;
+  warn(fields: Record<string, unknown>, message: string): void;
+  error(fields: Record<string, unknown>, message: string): void;
+}
+
+export declare class TranscriptRecorder implements Transcript {
+  constructor(file: string);
+  file: string;
+  error: Error | null;
+  write(direction: "C" | "S" | "*", text: string): void;
+  close(): Promise<void>;
+}
+
+export interface CacheEntry {
+  envelope?: EmailEnvelope;
+  flags?: string[];
+  bodyStructure?: BodyStructure;
+  raw?: Buffer;
+}
+
+export interface CacheAdapter {
+  get(mailbox: string, uidvalidity: number, uid: number): Promise<CacheEntry | null>;
+  set(mailbox: string, uidvalidity: number, uid: number, entry: CacheEntry): Promise<void>;
+  delete(mailbox: string, uidvalidity: number, uid: number): Promise<void>;
+  clear(mailbox: string, keepUidvalidity?: number): Promise<void>;
+}
+
+export declare class MemoryCacheAdapter implements CacheAdapter {
+  constructor();
+  get(mailbox: string, uidvalidity: number, uid: number): Promise<CacheEntry | null>;
+  set(mailbox: string, uidvalidity: number, uid: number, entry: CacheEntry): Promise<void>;
+  delete(mailbox: string, uidvalidity: number, uid: number): Promise<void>;
+  clear(mailbox: string, keepUidvalidity?: number): Promise<void>;
+}
+
+export declare class FileCacheAdapter implements CacheAdapter {
+  constructor(directory: string);
+  directory: string;
+  get(mailbox: string, uidvalidity: number, uid: number): Promise<CacheEntry | null>;
+  set(mailbox: string, uidvalidity: number, uid: number, entry: CacheEntry): Promise<void>;
+  delete(mailbox: string, uidvalidity: number, uid: number): Promise<void>;
+  clear(mailbox: string, keepUidvalidity?: number): Promise<void>;
+}
+
+export interface ReconnectOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: number;
+}
+
+export interface PipeliningOptions {
+  maxInFlight?: number;
+}
+
+export interface ReconnectingEvent {
+  attempt: number;
+  delay: number;
+}
+
+export interface ReconnectedEvent {
+  attempt: number;
+}
+
+export interface ExistsEvent {
+  count: number;
+}
+
+export interface ExpungeEvent {
+  seq: number;
+}
+
+export interface FlagsEvent {
+  seq: number;
+  uid: number | null;
+  flags: string[];
+  modseq?: number;
+}
+
+export interface TokenProviderOptions {
+  username: string;
+  forceRefresh: boolean;
+}
+
+export interface CallOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface AuthenticateOptions extends CallOptions {
+  mechanism: "PLAIN" | "LOGIN" | "XOAUTH2" | "OAUTHBEARER";
+  username: string;
+  password?: string;
+  authzid?: string;
+  accessToken?: string;
+  tokenProvider?: (options: TokenProviderOptions) => Promise<string>;
+}
+
+export type SpecialUse = "\\All" | "\\Archive" | "\\Drafts" | "\\Flagged" | "\\Junk" | "\\Sent" | "\\Trash";
+
+export type SpecialUseRole = "all" | "archive" | "drafts" | "flagged" | "junk" | "sent" | "trash";
+
 export interface MailboxInfo {
   flags: string[];
-  delimiter: string;
+  delimiter: string | null;
+  name: string;
+  specialUse?: SpecialUse;
+}
+
+export interface MailboxTreeNode {
   name: string;
+  path: string;
+  delimiter: string | null;
+  flags: string[];
+  specialUse?: SpecialUse;
+  children: MailboxTreeNode[];
+}
+
+export interface Namespace {
+  prefix: string;
+  delimiter: string | null;
+}
+
+export interface Namespaces {
+  personal: Namespace[];
+  otherUsers: Namespace[];
+  shared: Namespace[];
+}
+
+export interface QuotaResource {
+  usage: number;
+  limit: number;
+}
+
+export interface Quota {
+  root: string;
+  /** Keyed by lower-case resource name; `storage` is in KiB */
+  resources: { [resource: string]: QuotaResource };
+}
+
+export interface QuotaRoot {
+  mailbox: string;
+  roots: string[];
+  quotas: Quota[];
 }
 
 export interface MailboxStatus {
@@ -20,6 +218,19 @@ export interface MailboxStatus {
   uidvalidity: number | null;
   uidnext: number | null;
   flags: string[];
+  permanentFlags: string[];
+  highestModseq: number | null;
+  readOnly: boolean;
+}
+
+export interface MailboxCounters {
+  name: string;
+  messages?: number;
+  recent?: number;
+  unseen?: number;
+  uidnext?: number;
+  uidvalidity?: number;
+  [item: string]: string | number | undefined;
 }
 
 export interface EmailAddress {
@@ -27,10 +238,12 @@ export interface EmailAddress {
   sourceRoute: string | null;
   mailbox: string | null;
   host: string | null;
+  address: string | null;
+  group?: EmailAddress[];
 }
 
 export interface EmailEnvelope {
-  date: string;
+  date: Date | null;
   subject: string;
   from: EmailAddress[];
   sender: EmailAddress[];
@@ -42,6 +255,243 @@ export interface EmailEnvelope {
   messageId: string;
 }
 
+export interface SearchCriteria {
+  all?: boolean;
+  answered?: boolean;
+  deleted?: boolean;
+  draft?: boolean;
+  flagged?: boolean;
+  seen?: boolean;
+  unanswered?: boolean;
+  undeleted?: boolean;
+  undraft?: boolean;
+  unflagged?: boolean;
+  unseen?: boolean;
+  recent?: boolean;
+  old?: boolean;
+  new?: boolean;
+  bcc?: string;
+  body?: string;
+  cc?: string;
+  from?: string;
+  subject?: string;
+  text?: string;
+  to?: string;
+  keyword?: string;
+  unkeyword?: string;
+  before?: Date | string;
+  on?: Date | string;
+  since?: Date | string;
+  sentBefore?: Date | string;
+  sentOn?: Date | string;
+  sentSince?: Date | string;
+  larger?: number;
+  smaller?: number;
+  header?: [string, string] | Array<[string, string]>;
+  uid?: SequenceSet;
+  seq?: SequenceSet;
+  or?: SearchCriteria[];
+  not?: SearchCriteria;
+}
+
+export type SequenceSet = number | string | Array<number | string>;
+
+export type SearchReturnOption = "MIN" | "MAX" | "COUNT" | "ALL";
+
+export type SortKey = "ARRIVAL" | "CC" | "DATE" | "FROM" | "SIZE" | "SUBJECT" | "TO" | "REVERSE";
+
+export type ThreadAlgorithm = "REFERENCES" | "ORDEREDSUBJECT";
+
+export interface ThreadNode {
+  id: number | null;
+  children: ThreadNode[];
+}
+
+export interface UIDOptions extends CallOptions {
+  uid?: boolean;
+  uidvalidity?: number;
+}
+
+export interface CachedReadOptions extends UIDOptions {
+  mailbox?: string;
+}
+
+export interface FetchItems {
+  uid?: boolean;
+  flags?: boolean;
+  envelope?: boolean;
+  size?: boolean;
+  internalDate?: boolean;
+  bodyStructure?: boolean;
+  headers?: string[] | boolean;
+}
+
+export interface BodyStructure {
+  part: string | null;
+  type: string;
+  parameters: Record<string, string>;
+  id: string | null;
+  description: string | null;
+  encoding: string | null;
+  size: number | null;
+  lines?: number;
+  md5?: string | null;
+  envelope?: EmailEnvelope | null;
+  disposition: string | null;
+  dispositionParameters: Record<string, string>;
+  filename: string | null;
+  language: string[] | null;
+  location: string | null;
+  children: BodyStructure[];
+}
+
+export interface FetchPartOptions extends UIDOptions {
+  start?: number;
+  length?: number;
+}
+
+export interface FetchPartResult {
+  structure: BodyStructure;
+  content: string | Buffer;
+}
+
+export interface DownloadOptions extends UIDOptions {
+  chunkSize?: number;
+}
+
+export interface SyncState {
+  uidvalidity: number | null;
+  highestModseq: number | null;
+  uidnext?: number | null;
+  uids: number[];
+}
+
+export interface SyncOptions extends CallOptions {
+  items?: FetchItems;
+  readOnly?: boolean;
+}
+
+export interface SyncResult {
+  added: FetchedMessage[];
+  changedFlags: Array<{ uid: number; flags: string[]; modseq?: number }>;
+  vanished: number[];
+  reset: boolean;
+  newState: SyncState;
+}
+
+export interface VanishedEvent {
+  uids: number[];
+}
+
+export interface FetchedMessage {
+  seq: number;
+  uid?: number;
+  flags?: string[];
+  modseq?: number;
+  envelope?: EmailEnvelope;
+  size?: number;
+  internalDate?: Date | null;
+  bodyStructure?: BodyStructure | null;
+  headers?: Record<string, string[]>;
+}
+
+export interface SearchOptions extends UIDOptions {
+  return?: SearchReturnOption[];
+}
+
+export declare class IMAPError extends Error {
+  command: string | null;
+  tag: string | null;
+  status: "NO" | "BAD" | "BYE" | null;
+  code: string | null;
+  codeData: string | null;
+  text: string;
+  response: string;
+}
+
+export declare class IMAPNoError extends IMAPError {}
+
+export declare class IMAPBadError extends IMAPError {}
+
+export declare class IMAPByeError extends IMAPError {}
+
+export declare class AuthenticationError extends IMAPNoError {}
+
+export declare class ConnectionError extends Error {
+  command: string | null;
+}
+
+export interface AlertEvent {
+  text: string;
+  tag: string;
+}
+
+export declare class TimeoutError extends Error {
+  command: string;
+  timeout: number;
+}
+
+export declare class AbortError extends Error {
+  command: string;
+  cause: unknown;
+}
+
+export declare class UIDValidityError extends Error {
+  mailbox: string | null;
+  expected: number;
+  actual: number;
+}
+
+export interface ESearchResult {
+  uid: boolean;
+  min: number | null;
+  max: number | null;
+  count: number | null;
+  all: number[];
+}
+
+export interface StoreOptions extends UIDOptions {
+  silent?: boolean;
+}
+
+export interface CopyOptions extends UIDOptions {
+  create?: boolean;
+}
+
+export interface ExpungeOptions {
+  /** Without UIDPLUS, expunge every \Deleted message instead of failing */
+  allowFullExpunge?: boolean;
+}
+
+export interface CopyResult {
+  destination: string;
+  uidvalidity: number | null;
+  uidMap: Map<number, number> | null;
+}
+
+export interface MoveResult extends CopyResult {
+  /** Sequence numbers, or UIDs once QRESYNC is enabled */
+  expunged: number[];
+}
+
+export interface AppendOptions extends CallOptions {
+  flags?: string | string[];
+  internalDate?: Date | string | number;
+  create?: boolean;
+}
+
+export interface AppendResult {
+  mailbox: string;
+  uidvalidity: number | null;
+  uid: number | null;
+}
+
+export interface MessageFlags {
+  seq: number;
+  uid: number | null;
+  flags: string[];
+}
+
 export interface ParsedEmail {
   subject: string;
   from: {
@@ -56,24 +506,92 @@ export interface ParsedEmail {
   html?: string;
 }
 
-declare class IMAPClient {
+declare class IMAPClient extends EventEmitter {
   constructor(config: IMAPConfig);
 
+  capabilities: string[];
+  preauth: boolean;
+  utf8Enabled: boolean;
+  qresyncEnabled: boolean;
+  cache: CacheAdapter | null;
+  offline: boolean;
+  logger: Logger | null;
+  redact: boolean;
+  transcript: Transcript | null;
+  mailbox: (MailboxStatus & { name: string }) | null;
+  greeting: string | null;
+
   // Connection Methods
-  connect(): Promise<string>;
-  close(): Promise<string>;
+  connect(options?: CallOptions): Promise<string>;
+  close(options?: { timeout?: number }): Promise<string>;
+  hasCapability(capability: string): boolean;
+  refreshCapabilities(options?: CallOptions): Promise<string[]>;
+  enable(extensions: string | string[], options?: CallOptions): Promise<string[]>;
+  id(clientInfo?: { [field: string]: string | null } | null, options?: CallOptions): Promise<{ [field: string]: string | null } | null>;
 
   // Authentication
-  login(username: string, password: string): Promise<string>;
+  login(username: string, password: string, options?: CallOptions): Promise<string>;
+  authenticate(options: AuthenticateOptions): Promise<string>;
 
   // Mailbox Operations
-  listMailboxes(): Promise<MailboxInfo[]>;
-  selectMailbox(mailbox: string): Promise<MailboxStatus>;
-  fetchEmailCount(): Promise<number>;
+  listMailboxes(options?: CallOptions): Promise<MailboxInfo[]>;
+  listMailboxTree(options?: CallOptions): Promise<MailboxTreeNode[]>;
+  getSpecialMailbox(role: SpecialUseRole | SpecialUse | string, options?: CallOptions): Promise<MailboxInfo | null>;
+  getNamespaces(options?: CallOptions): Promise<Namespaces>;
+  listSubscribed(options?: CallOptions): Promise<MailboxInfo[]>;
+  selectMailbox(mailbox: string, options?: CallOptions): Promise<MailboxStatus>;
+  examineMailbox(mailbox: string, options?: CallOptions): Promise<MailboxStatus>;
+  createMailbox(mailbox: string, options?: CallOptions): Promise<string>;
+  deleteMailbox(mailbox: string, options?: CallOptions): Promise<string>;
+  renameMailbox(mailbox: string, newName: string, options?: CallOptions): Promise<string>;
+  subscribe(mailbox: string, options?: CallOptions): Promise<string>;
+  unsubscribe(mailbox: string, options?: CallOptions): Promise<string>;
+  mailboxStatus(mailbox: string, items?: string[], options?: CallOptions): Promise<MailboxCounters>;
+  getQuota(root?: string, options?: CallOptions): Promise<Quota | null>;
+  getQuotaRoot(mailbox?: string, options?: CallOptions): Promise<QuotaRoot>;
+  fetchEmailCount(options?: CallOptions): Promise<number>;
+  search(criteria?: SearchCriteria, options?: SearchOptions & { return?: undefined }): Promise<number[]>;
+  search(criteria: SearchCriteria, options: SearchOptions & { return: SearchReturnOption[] }): Promise<ESearchResult>;
+  sort(criteria: SortKey | SortKey[] | string | string[], search?: SearchCriteria, options?: UIDOptions): Promise<number[]>;
+  thread(algorithm?: ThreadAlgorithm | string, search?: SearchCriteria, options?: UIDOptions): Promise<ThreadNode[]>;
 
   // Email Retrieval
-  fetchEmail(id: number): Promise<EmailEnvelope>;
-  fetchEmailBody(id: number, format?: "TEXT" | "HEADER"): Promise<ParsedEmail>;
+  fetchEmail(id: number | string, options?: CachedReadOptions): Promise<EmailEnvelope | null>;
+  fetchMessages(range: SequenceSet, items?: FetchItems, options?: UIDOptions): AsyncIterable<FetchedMessage>;
+  sync(mailbox: string, lastState?: Partial<SyncState>, options?: SyncOptions): Promise<SyncResult>;
+  fetchPart(id: number | string, partNumber: string, options?: FetchPartOptions): Promise<FetchPartResult>;
+  downloadAttachment(id: number | string, partNumber: string, destination: Writable, options?: DownloadOptions): Promise<BodyStructure>;
+  fetchEmailBody(id: number | string, format?: "TEXT" | "HEADER" | "HTML", options?: CachedReadOptions): Promise<ParsedEmail>;
+
+  // Flags
+  addFlags(set: SequenceSet, flags: string | string[], options?: StoreOptions): Promise<MessageFlags[]>;
+  removeFlags(set: SequenceSet, flags: string | string[], options?: StoreOptions): Promise<MessageFlags[]>;
+  setFlags(set: SequenceSet, flags: string | string[], options?: StoreOptions): Promise<MessageFlags[]>;
+  /** Expunged sequence numbers, or UIDs once QRESYNC is enabled */
+  deleteMessages(set: SequenceSet, options?: UIDOptions & ExpungeOptions): Promise<number[]>;
+  /** Expunged sequence numbers, or UIDs once QRESYNC is enabled */
+  expunge(set?: SequenceSet, options?: CallOptions & ExpungeOptions & { uid?: boolean }): Promise<number[]>;
+
+  // Copy and Move
+  copyMessages(set: SequenceSet, destination: string, options?: CopyOptions): Promise<CopyResult>;
+  moveMessages(set: SequenceSet, destination: string, options?: CopyOptions & ExpungeOptions): Promise<MoveResult>;
+
+  // Upload
+  appendMessage(mailbox: string, rawMessage: Buffer | string | Readable, options?: AppendOptions): Promise<AppendResult>;
+
+  // Mailbox Updates
+  idle(options?: { signal?: AbortSignal }): Promise<void>;
+  stopIdle(): Promise<void>;
+
+  on(event: "exists", listener: (event: ExistsEvent) => void): this;
+  on(event: "expunge", listener: (event: ExpungeEvent) => void): this;
+  on(event: "vanished", listener: (event: VanishedEvent) => void): this;
+  on(event: "flags", listener: (event: FlagsEvent) => void): this;
+  on(event: "alert", listener: (event: AlertEvent) => void): this;
+  on(event: "reconnecting", listener: (event: ReconnectingEvent) => void): this;
+  on(event: "reconnected", listener: (event: ReconnectedEvent) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
 }
 
 export default IMAPClient;